@@ -0,0 +1,62 @@
+const { reconcileCounters } = require('../utils/reconcile');
+const { purgeTrash } = require('../utils/trash');
+
+/**
+ * @desc    Recompute class, department and course student counters
+ * @route   POST /api/admin/reconcile
+ * @access  Private (admin)
+ */
+exports.reconcile = async (req, res) => {
+  try {
+    // Dry run unless explicitly asked to apply
+    const apply = req.body.apply === true || req.query.apply === 'true';
+    const report = await reconcileCounters({ apply });
+
+    res.status(200).json({
+      success: true,
+      message: apply ?
+        `Reconciled ${report.totalDrift} counter(s)` :
+        `Found ${report.totalDrift} counter(s) out of step (dry run, nothing changed)`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error in reconcile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Permanently remove students, classes, departments and courses that
+ *          have been in the trash longer than the retention period
+ * @route   POST /api/admin/purge-trash
+ * @access  Private (admin)
+ */
+exports.purgeTrash = async (req, res) => {
+  try {
+    // Dry run unless explicitly asked to apply
+    const apply = req.body.apply === true || req.query.apply === 'true';
+    const olderThanDays = req.body.olderThanDays === undefined ?
+      undefined :
+      parseInt(req.body.olderThanDays);
+    const report = await purgeTrash({ olderThanDays, apply, req });
+
+    res.status(200).json({
+      success: true,
+      message: apply ?
+        `Purged ${report.purged.length} record(s), kept ${report.kept.length}` :
+        `${report.purged.length} record(s) would be purged, ${report.kept.length} kept (dry run, nothing changed)`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error in purgeTrash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,476 @@
+const Assessment = require('../models/Assessment');
+const Score = require('../models/Score');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const { computeCourseGrade } = require('../utils/grading');
+const { getCourseAttendancePercentages } = require('../utils/attendance');
+const {
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Get all assessments of a course
+ * @route   GET /api/courses/:id/assessments
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getCourseAssessments = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('courseName courseCode department gradingPolicy');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const assessments = await Assessment.find({ course: course._id })
+      .sort({ category: 1, dueDate: 1, createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: assessments.length,
+      data: assessments
+    });
+  } catch (error) {
+    console.error('Error in getCourseAssessments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create an assessment for a course
+ * @route   POST /api/courses/:id/assessments
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.createAssessment = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // The category must carry weight in the course grading policy
+    const weight = course.gradingPolicy ? course.gradingPolicy[req.body.category] : undefined;
+    if (!weight) {
+      return res.status(400).json({
+        success: false,
+        error: `Course grading policy has no weight for '${req.body.category}'`
+      });
+    }
+
+    const assessment = new Assessment({
+      ...req.body,
+      course: course._id
+    });
+    await assessment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Assessment created successfully',
+      data: assessment
+    });
+  } catch (error) {
+    console.error('Error in createAssessment:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update an assessment
+ * @route   PUT /api/assessments/:id
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.updateAssessment = async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.id).populate('course', 'department gradingPolicy');
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assessment not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, assessment.course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    if (req.body.category && !(assessment.course.gradingPolicy || {})[req.body.category]) {
+      return res.status(400).json({
+        success: false,
+        error: `Course grading policy has no weight for '${req.body.category}'`
+      });
+    }
+
+    // Check if lowering max score below an already recorded score
+    if (req.body.maxScore) {
+      const highest = await Score.findOne({ assessment: assessment._id }).sort({ score: -1 });
+      if (highest && highest.score > req.body.maxScore) {
+        return res.status(400).json({
+          success: false,
+          error: `Maximum score cannot be less than the highest recorded score (${highest.score})`
+        });
+      }
+    }
+
+    // Course cannot be reassigned
+    delete req.body.course;
+
+    Object.keys(req.body).forEach(key => {
+      assessment[key] = req.body[key];
+    });
+    await assessment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Assessment updated successfully',
+      data: assessment
+    });
+  } catch (error) {
+    console.error('Error in updateAssessment:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete an assessment and its recorded scores
+ * @route   DELETE /api/assessments/:id
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.deleteAssessment = async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.id).populate('course', 'department');
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assessment not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, assessment.course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const { deletedCount } = await Score.deleteMany({ assessment: assessment._id });
+    await Assessment.findByIdAndDelete(assessment._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Assessment deleted successfully',
+      data: {
+        id: assessment._id,
+        title: assessment.title,
+        deletedScores: deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error in deleteAssessment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record (or overwrite) student scores for an assessment
+ * @route   POST /api/assessments/:id/scores
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.recordScores = async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.id).populate('course', 'department courseCode');
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assessment not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, assessment.course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const { scores } = req.body;
+    const courseId = assessment.course._id;
+
+    // Only students enrolled in the course can be graded
+    const enrolled = await Student.find({
+      _id: { $in: scores.map(entry => entry.student) },
+      courses: courseId
+    }).select('_id');
+    const enrolledIds = new Set(enrolled.map(student => student._id.toString()));
+
+    const errors = [];
+    const operations = [];
+
+    scores.forEach(entry => {
+      if (!enrolledIds.has(entry.student.toString())) {
+        errors.push({ student: entry.student, error: `Student is not enrolled in ${assessment.course.courseCode}` });
+        return;
+      }
+      if (entry.score > assessment.maxScore) {
+        errors.push({ student: entry.student, error: `Score cannot exceed ${assessment.maxScore}` });
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { assessment: assessment._id, student: entry.student },
+          update: {
+            $set: {
+              course: courseId,
+              score: entry.score,
+              remarks: entry.remarks,
+              gradedBy: req.user._id
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await Score.bulkWrite(operations);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Recorded ${operations.length} of ${scores.length} scores`,
+      results: {
+        successful: operations.length,
+        failed: errors.length,
+        errors
+      }
+    });
+  } catch (error) {
+    console.error('Error in recordScores:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the gradebook of a course with weighted totals per student
+ * @route   GET /api/courses/:id/gradebook?academicYear=&semester=
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getCourseGradebook = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('courseName courseCode department gradingPolicy')
+      .lean();
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Current and graded (not withdrawn) enrollments, optionally for one term
+    const enrollmentFilter = {
+      course: course._id,
+      status: { $in: ['Enrolled', 'Completed', 'Failed'] }
+    };
+    if (req.query.academicYear) enrollmentFilter.academicYear = req.query.academicYear;
+    if (req.query.semester) enrollmentFilter.semester = req.query.semester;
+
+    const [assessments, enrollments, scores, attendance] = await Promise.all([
+      Assessment.find({ course: course._id }).sort({ category: 1, dueDate: 1, createdAt: 1 }).lean(),
+      Enrollment.find(enrollmentFilter).populate('student', 'name rollNumber').lean(),
+      Score.find({ course: course._id }).lean(),
+      getCourseAttendancePercentages(course._id)
+    ]);
+
+    const scoresByStudent = groupScoresByStudent(scores);
+
+    const rows = enrollments
+      .filter(enrollment => enrollment.student)
+      .sort((a, b) => a.student.rollNumber.localeCompare(b.student.rollNumber))
+      .map(enrollment => {
+        const { student } = enrollment;
+        const scoreMap = scoresByStudent.get(student._id.toString()) || new Map();
+        return {
+          student,
+          enrollment: {
+            id: enrollment._id,
+            academicYear: enrollment.academicYear,
+            semester: enrollment.semester,
+            status: enrollment.status,
+            finalGrade: enrollment.grade || null
+          },
+          scores: assessments.map(assessment => ({
+            assessment: assessment._id,
+            score: scoreMap.has(assessment._id.toString()) ? scoreMap.get(assessment._id.toString()) : null
+          })),
+          // Recorded attendance stands in for the attendance category when it has no assessments
+          ...computeCourseGrade(course.gradingPolicy, assessments, scoreMap, {
+            attendance: attendance.get(student._id.toString())
+          })
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        course: {
+          id: course._id,
+          courseName: course.courseName,
+          courseCode: course.courseCode,
+          gradingPolicy: course.gradingPolicy
+        },
+        assessments,
+        students: rows
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCourseGradebook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a student's weighted grades in every enrolled course
+ * @route   GET /api/students/:id/grades
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getStudentGrades = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id)
+      .select('name rollNumber department courses')
+      .populate('courses', 'courseName courseCode creditHours gradingPolicy')
+      .lean();
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const courseIds = student.courses.map(course => course._id);
+    const [assessments, scores] = await Promise.all([
+      Assessment.find({ course: { $in: courseIds } }).lean(),
+      Score.find({ student: student._id, course: { $in: courseIds } }).lean()
+    ]);
+
+    const scoreMap = new Map(scores.map(score => [score.assessment.toString(), score.score]));
+    const attendance = await Promise.all(
+      student.courses.map(course => getCourseAttendancePercentages(course._id, [student._id]))
+    );
+
+    const grades = student.courses.map((course, index) => {
+      const courseAssessments = assessments.filter(a => a.course.toString() === course._id.toString());
+      return {
+        course: {
+          id: course._id,
+          courseName: course.courseName,
+          courseCode: course.courseCode,
+          creditHours: course.creditHours
+        },
+        assessments: courseAssessments.map(assessment => ({
+          id: assessment._id,
+          title: assessment.title,
+          category: assessment.category,
+          maxScore: assessment.maxScore,
+          score: scoreMap.has(assessment._id.toString()) ? scoreMap.get(assessment._id.toString()) : null
+        })),
+        ...computeCourseGrade(course.gradingPolicy, courseAssessments, scoreMap, {
+          attendance: attendance[index].get(student._id.toString())
+        })
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student: {
+          id: student._id,
+          name: student.name,
+          rollNumber: student.rollNumber
+        },
+        grades
+      }
+    });
+  } catch (error) {
+    console.error('Error in getStudentGrades:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to index scores as studentId -> (assessmentId -> score)
+function groupScoresByStudent(scores) {
+  const byStudent = new Map();
+  scores.forEach(score => {
+    const studentId = score.student.toString();
+    if (!byStudent.has(studentId)) {
+      byStudent.set(studentId, new Map());
+    }
+    byStudent.get(studentId).set(score.assessment.toString(), score.score);
+  });
+  return byStudent;
+}
@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const {
+  DEFAULT_ATTENDANCE_THRESHOLD,
+  normalizeDate,
+  dateRangeFilter,
+  attendancePercentage,
+  groupByStudentStages
+} = require('../utils/attendance');
+const {
+  getDepartmentScope,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * @desc    Mark attendance for a whole class on a day
+ * @route   POST /api/attendance/classes/:id
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.markClassAttendance = async (req, res) => {
+  try {
+    const classData = await Class.findById(req.params.id);
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, classData.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const students = await Student.find({ class: classData._id, status: 'Active' }).select('_id');
+    const result = await markSession(req, { class: classData._id }, students, classData.schedule);
+
+    res.status(200).json({
+      success: true,
+      message: `Attendance marked for ${result.marked} students`,
+      data: {
+        class: {
+          id: classData._id,
+          className: classData.className,
+          section: classData.section
+        },
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error in markClassAttendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark attendance for a course session
+ * @route   POST /api/attendance/courses/:id
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.markCourseAttendance = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const students = await Student.find({ courses: course._id, status: 'Active' }).select('_id');
+    const result = await markSession(req, { course: course._id }, students, course.schedule);
+
+    res.status(200).json({
+      success: true,
+      message: `Attendance marked for ${result.marked} students`,
+      data: {
+        course: {
+          id: course._id,
+          courseName: course.courseName,
+          courseCode: course.courseCode
+        },
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error in markCourseAttendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get attendance records of a class or course session
+ * @route   GET /api/attendance?class=&course=&date=&from=&to=
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getAttendance = async (req, res) => {
+  try {
+    const { class: classId, course, date, from, to, status } = req.query;
+
+    if (!classId && !course) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either class or course is required'
+      });
+    }
+
+    const target = classId ?
+      await Class.findById(classId).select('department') :
+      await Course.findById(course).select('department');
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: classId ? 'Class not found' : 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, target.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const filter = classId ? { class: classId } : { course };
+    if (date) {
+      filter.date = normalizeDate(date);
+    } else if (from || to) {
+      filter.date = dateRangeFilter(from, to);
+    }
+    if (status) filter.status = status;
+
+    const records = await Attendance.find(filter)
+      .populate('student', 'name rollNumber')
+      .sort({ date: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records
+    });
+  } catch (error) {
+    console.error('Error in getAttendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a student's attendance percentage over a date range
+ * @route   GET /api/students/:id/attendance?from=&to=&course=&class=
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getStudentAttendance = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('name rollNumber department').lean();
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const match = { student: student._id };
+    const range = dateRangeFilter(req.query.from, req.query.to);
+    if (range) match.date = range;
+    if (req.query.course) match.course = new mongoose.Types.ObjectId(req.query.course);
+    if (req.query.class) match.class = new mongoose.Types.ObjectId(req.query.class);
+
+    const [overall] = await Attendance.aggregate([
+      { $match: match },
+      ...groupByStudentStages()
+    ]);
+
+    // Per class/course breakdown
+    const bySession = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { class: '$class', course: '$course' },
+          Present: { $sum: { $cond: [{ $eq: ['$status', 'Present'] }, 1, 0] } },
+          Absent: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+          Late: { $sum: { $cond: [{ $eq: ['$status', 'Late'] }, 1, 0] } },
+          Excused: { $sum: { $cond: [{ $eq: ['$status', 'Excused'] }, 1, 0] } }
+        }
+      },
+      { $lookup: { from: 'classes', localField: '_id.class', foreignField: '_id', as: 'classInfo' } },
+      { $lookup: { from: 'courses', localField: '_id.course', foreignField: '_id', as: 'courseInfo' } }
+    ]);
+
+    const counts = overall || { total: 0, Present: 0, Absent: 0, Late: 0, Excused: 0 };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student: {
+          id: student._id,
+          name: student.name,
+          rollNumber: student.rollNumber
+        },
+        from: req.query.from || null,
+        to: req.query.to || null,
+        summary: {
+          totalSessions: counts.total,
+          present: counts.Present,
+          absent: counts.Absent,
+          late: counts.Late,
+          excused: counts.Excused,
+          percentage: attendancePercentage(counts)
+        },
+        breakdown: bySession.map(row => ({
+          class: row.classInfo[0] ?
+            { id: row.classInfo[0]._id, className: row.classInfo[0].className, section: row.classInfo[0].section } :
+            undefined,
+          course: row.courseInfo[0] ?
+            { id: row.courseInfo[0]._id, courseName: row.courseInfo[0].courseName, courseCode: row.courseInfo[0].courseCode } :
+            undefined,
+          present: row.Present,
+          absent: row.Absent,
+          late: row.Late,
+          excused: row.Excused,
+          percentage: attendancePercentage(row)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error in getStudentAttendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Report students whose attendance is below a threshold
+ * @route   GET /api/attendance/report?threshold=&from=&to=&class=&course=&department=
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getLowAttendanceReport = async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ?
+      parseFloat(req.query.threshold) : DEFAULT_ATTENDANCE_THRESHOLD;
+
+    const match = {};
+    const range = dateRangeFilter(req.query.from, req.query.to);
+    if (range) match.date = range;
+    if (req.query.class) match.class = new mongoose.Types.ObjectId(req.query.class);
+    if (req.query.course) match.course = new mongoose.Types.ObjectId(req.query.course);
+
+    // Department filter (forced for department-bound users) applies to the student
+    const department = getDepartmentScope(req) || req.query.department;
+    const studentMatch = department ?
+      [{ $match: { 'studentInfo.department': new mongoose.Types.ObjectId(department.toString()) } }] : [];
+
+    const rows = await Attendance.aggregate([
+      { $match: match },
+      ...groupByStudentStages(),
+      { $lookup: { from: 'students', localField: '_id', foreignField: '_id', as: 'studentInfo' } },
+      { $unwind: '$studentInfo' },
+      ...studentMatch
+    ]);
+
+    const flagged = rows
+      .map(row => ({
+        student: {
+          id: row._id,
+          name: row.studentInfo.name,
+          rollNumber: row.studentInfo.rollNumber,
+          class: row.studentInfo.class,
+          department: row.studentInfo.department
+        },
+        totalSessions: row.total,
+        present: row.Present,
+        absent: row.Absent,
+        late: row.Late,
+        excused: row.Excused,
+        percentage: attendancePercentage(row)
+      }))
+      .filter(row => row.percentage !== null && row.percentage < threshold)
+      .sort((a, b) => a.percentage - b.percentage);
+
+    res.status(200).json({
+      success: true,
+      threshold,
+      count: flagged.length,
+      studentsEvaluated: rows.length,
+      data: flagged
+    });
+  } catch (error) {
+    console.error('Error in getLowAttendanceReport:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to upsert one attendance record per student for a session
+async function markSession(req, target, students, schedule) {
+  const { date, defaultStatus = 'Present', records = [] } = req.body;
+  const sessionDate = normalizeDate(date);
+
+  const memberIds = new Set(students.map(student => student._id.toString()));
+  const overrides = new Map(records.map(record => [record.student.toString(), record]));
+
+  const errors = [];
+  overrides.forEach((record, studentId) => {
+    if (!memberIds.has(studentId)) {
+      errors.push({ student: studentId, error: 'Student does not belong to this session' });
+    }
+  });
+
+  const operations = students.map(student => {
+    const override = overrides.get(student._id.toString()) || {};
+    return {
+      updateOne: {
+        filter: { student: student._id, date: sessionDate, class: target.class || null, course: target.course || null },
+        update: {
+          $set: {
+            status: override.status || defaultStatus,
+            remarks: override.remarks,
+            markedBy: req.user._id
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Attendance.bulkWrite(operations);
+  }
+
+  // Flag sessions recorded on a day the schedule does not meet
+  const weekday = WEEKDAYS[sessionDate.getUTCDay()];
+  const warning = schedule && schedule.days && schedule.days.length > 0 && !schedule.days.includes(weekday) ?
+    `${weekday} is not a scheduled day for this session` : undefined;
+
+  return {
+    date: sessionDate,
+    marked: operations.length,
+    errors,
+    ...(warning && { warning })
+  };
+}
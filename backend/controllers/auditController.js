@@ -0,0 +1,183 @@
+const AuditLog = require('../models/AuditLog');
+
+// Columns of the CSV export
+const EXPORT_COLUMNS = [
+  'timestamp', 'requestId', 'actorEmail', 'actorRole', 'action', 'entityType',
+  'entityId', 'entityLabel', 'context', 'field', 'before', 'after'
+];
+
+/**
+ * @desc    List audit entries, newest first
+ * @route   GET /api/audit?entityType=&entityId=&action=&actor=&actorEmail=&requestId=&field=&from=&to=
+ * @access  Private (admin, registrar)
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = buildAuditFilter(req.query);
+
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    const entries = await AuditLog.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error in getAuditLogs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get one audit entry
+ * @route   GET /api/audit/:id
+ * @access  Private (admin, registrar)
+ */
+exports.getAuditLogById = async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).lean();
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audit entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error in getAuditLogById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Export audit entries, oldest first, one line per changed field
+ * @route   GET /api/audit/export?format=csv|ndjson (same filters as the list)
+ * @access  Private (admin, registrar)
+ */
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const filter = buildAuditFilter(req.query);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    // Entries are streamed, as a compliance export can cover a long period
+    const cursor = AuditLog.find(filter).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+
+    if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename=audit-${stamp}.ndjson`);
+      for await (const entry of cursor) {
+        res.write(`${JSON.stringify(entry)}\n`);
+      }
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-${stamp}.csv`);
+    res.write(`${EXPORT_COLUMNS.join(',')}\n`);
+    for await (const entry of cursor) {
+      const changes = entry.changes.length > 0 ? entry.changes : [{}];
+      changes.forEach(change => {
+        res.write(`${toCsvRow(entry, change)}\n`);
+      });
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error in exportAuditLogs:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to turn list and export query parameters into a filter
+function buildAuditFilter(query) {
+  const filter = {};
+
+  if (query.entityType) filter.entityType = query.entityType;
+  if (query.entityId) filter.entityId = query.entityId;
+  if (query.action) filter.action = query.action;
+  if (query.actor) filter['actor.user'] = query.actor;
+  if (query.actorEmail) filter['actor.email'] = query.actorEmail.toLowerCase();
+  if (query.requestId) filter.requestId = query.requestId;
+  if (query.field) filter['changes.field'] = query.field;
+
+  if (query.from || query.to) {
+    filter.timestamp = {};
+    if (query.from) filter.timestamp.$gte = new Date(query.from);
+    if (query.to) filter.timestamp.$lte = new Date(query.to);
+  }
+
+  return filter;
+}
+
+// Helper function to build one CSV line of the export
+function toCsvRow(entry, change) {
+  const actor = entry.actor || {};
+  const values = [
+    new Date(entry.timestamp).toISOString(),
+    entry.requestId,
+    actor.email || 'system',
+    actor.role,
+    entry.action,
+    entry.entityType,
+    entry.entityId,
+    entry.entityLabel,
+    entry.context,
+    change.field,
+    exportValue(change.before),
+    exportValue(change.after)
+  ];
+
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+// Helper function to write a changed value, with objects and arrays as JSON
+function exportValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
@@ -0,0 +1,240 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Department = require('../models/Department');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
+
+// Helper function to issue an access/refresh token pair and persist the refresh token hash
+async function issueTokens(user) {
+  const accessToken = jwt.sign(
+    { id: user._id, role: user.role, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+
+  const refreshToken = jwt.sign(
+    { id: user._id, type: 'refresh' },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRE }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+  const now = new Date();
+
+  // Drop expired refresh tokens while adding the new one
+  user.refreshTokens = (user.refreshTokens || [])
+    .filter(token => token.expiresAt > now)
+    .concat({
+      tokenHash: User.hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000)
+    });
+  await user.save();
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRE };
+}
+
+/**
+ * @desc    Register a new user account
+ * @route   POST /api/auth/register
+ * @access  Private (admin)
+ */
+exports.register = async (req, res) => {
+  try {
+    const { name, email, password, role, department, student, wards } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email already exists'
+      });
+    }
+
+    if (department) {
+      const departmentExists = await Department.findById(department);
+      if (!departmentExists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Department not found'
+        });
+      }
+    }
+
+    const user = new User({ name, email, password, role, department, student, wards });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error in register:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Log in and receive access and refresh tokens
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select('+password +refreshTokens');
+
+    if (!user || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    if (user.status !== 'Active') {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is inactive'
+      });
+    }
+
+    user.lastLogin = Date.now();
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('Error in login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    if (decoded.type !== 'refresh') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid Token',
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select('+refreshTokens');
+    const tokenHash = User.hashToken(refreshToken);
+
+    if (!user || !user.refreshTokens.some(token => token.tokenHash === tokenHash)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid Token',
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    if (user.status !== 'Active') {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is inactive'
+      });
+    }
+
+    // Rotate: the presented refresh token can only be used once
+    user.refreshTokens = user.refreshTokens.filter(token => token.tokenHash !== tokenHash);
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(error);
+    }
+
+    console.error('Error in refresh:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a refresh token (or all of them)
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+    const user = await User.findById(req.user._id).select('+refreshTokens');
+
+    if (allDevices) {
+      user.refreshTokens = [];
+    } else if (refreshToken) {
+      const tokenHash = User.hashToken(refreshToken);
+      user.refreshTokens = user.refreshTokens.filter(token => token.tokenHash !== tokenHash);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error in logout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the currently authenticated user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+exports.getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
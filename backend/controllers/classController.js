@@ -1,26 +1,41 @@
 const Class = require('../models/Class');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const Student = require('../models/Student');
+const { SCHEDULE_FIELDS, getScheduleProblems } = require('../utils/schedule');
+const { withTransaction } = require('../utils/transaction');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { moveToTrash, purgeDate } = require('../utils/trash');
+const { buildClassFilter } = require('../utils/filters');
+const { streamExport } = require('../utils/export');
+const {
+  applyDepartmentScope,
+  departmentScopeStage,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
 
 /**
  * @desc    Get all classes
  * @route   GET /api/classes
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.getAllClasses = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, department } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
     
-    const filter = {};
-    if (status) filter.status = status;
-    if (department) filter.department = department;
+    const filter = buildClassFilter(req.query);
+
+    // Department-bound users only see their own department
+    applyDepartmentScope(req, filter);
 
     const totalClasses = await Class.countDocuments(filter);
     const totalPages = Math.ceil(totalClasses / limit);
 
     const classes = await Class.find(filter)
       .populate('department', 'departmentName departmentCode')
+      .populate('classTeacher', 'name email')
       .sort({ className: 1, section: 1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -57,15 +72,50 @@ exports.getAllClasses = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Export classes matching the list filters, streamed as JSON, CSV,
+ *          XLSX, NDJSON or PDF, with the columns chosen in ?fields=
+ * @route   GET /api/classes/export
+ * @access  Private (admin, registrar, hod)
+ */
+exports.exportClasses = async (req, res) => {
+  try {
+    await streamExport(res, {
+      entityType: 'Class',
+      filter: applyDepartmentScope(req, buildClassFilter(req.query)),
+      format: req.query.format,
+      fields: req.query.fields
+    });
+  } catch (error) {
+    console.error('Error in exportClasses:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get class by ID
  * @route   GET /api/classes/:id
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.getClassById = async (req, res) => {
   try {
     const classData = await Class.findById(req.params.id)
-      .populate('department', 'departmentName departmentCode headOfDepartment')
+      .populate({
+        path: 'department',
+        select: 'departmentName departmentCode headOfDepartment',
+        populate: { path: 'headOfDepartment', select: 'name email phone' }
+      })
+      .populate('classTeacher', 'name email phone rank')
       .lean();
 
     if (!classData) {
@@ -75,6 +125,10 @@ exports.getClassById = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, classData.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Get students in this class
     const students = await Student.find({ class: req.params.id })
       .select('name rollNumber email phone status')
@@ -108,16 +162,20 @@ exports.getClassById = async (req, res) => {
 /**
  * @desc    Create new class
  * @route   POST /api/classes
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.createClass = async (req, res) => {
   try {
+    if (isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Check if class with same name and section already exists
     const existingClass = await Class.findOne({
       className: req.body.className.toUpperCase(),
       section: req.body.section.toUpperCase(),
       academicYear: req.body.academicYear
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingClass) {
       return res.status(400).json({
@@ -135,6 +193,23 @@ exports.createClass = async (req, res) => {
       });
     }
 
+    // Check if the class teacher is a current faculty member
+    if (req.body.classTeacher) {
+      const classTeacher = await Faculty.findById(req.body.classTeacher);
+      if (!classTeacher) {
+        return res.status(404).json({
+          success: false,
+          error: 'Class teacher not found'
+        });
+      }
+      if (classTeacher.status === 'Inactive') {
+        return res.status(400).json({
+          success: false,
+          error: 'Class teacher is no longer active'
+        });
+      }
+    }
+
     // Create class
     const classData = {
       ...req.body,
@@ -142,12 +217,28 @@ exports.createClass = async (req, res) => {
       section: req.body.section.toUpperCase()
     };
 
+    // Reject invalid schedules and double-booked rooms or instructors
+    const scheduleProblem = await getScheduleProblems(classData, 'class');
+    if (scheduleProblem) {
+      return res.status(400).json({
+        success: false,
+        ...scheduleProblem
+      });
+    }
+
+    // Kept by the student endpoints
+    delete classData.currentStrength;
+
     const newClass = new Class(classData);
-    await newClass.save();
+    await withTransaction(async (session) => {
+      await newClass.save({ session });
+      await recordAudit(req, { action: 'create', entityType: 'Class', after: newClass }, session);
+    });
 
     // Populate and return
     const populatedClass = await Class.findById(newClass._id)
-      .populate('department', 'departmentName departmentCode');
+      .populate('department', 'departmentName departmentCode')
+      .populate('classTeacher', 'name email');
 
     res.status(201).json({
       success: true,
@@ -177,7 +268,7 @@ exports.createClass = async (req, res) => {
 /**
  * @desc    Update class
  * @route   PUT /api/classes/:id
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.updateClass = async (req, res) => {
   try {
@@ -190,6 +281,14 @@ exports.updateClass = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, classData.department) ||
+        isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Kept by the student endpoints
+    delete req.body.currentStrength;
+
     // Check if updating to a duplicate class
     if (req.body.className || req.body.section || req.body.academicYear) {
       const className = (req.body.className || classData.className).toUpperCase();
@@ -201,7 +300,7 @@ exports.updateClass = async (req, res) => {
         section,
         academicYear,
         _id: { $ne: classData._id }
-      });
+      }).setOptions({ withDeleted: true });
 
       if (duplicateClass) {
         return res.status(400).json({
@@ -222,16 +321,53 @@ exports.updateClass = async (req, res) => {
       });
     }
 
+    // Check if the class teacher is a current faculty member
+    if (req.body.classTeacher) {
+      const classTeacher = await Faculty.findById(req.body.classTeacher);
+      if (!classTeacher) {
+        return res.status(404).json({
+          success: false,
+          error: 'Class teacher not found'
+        });
+      }
+      if (classTeacher.status === 'Inactive') {
+        return res.status(400).json({
+          success: false,
+          error: 'Class teacher is no longer active'
+        });
+      }
+    }
+
+    // Rooms and instructors cannot be double-booked by the change
+    if (SCHEDULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      const scheduleProblem = await getScheduleProblems(
+        { ...classData.toObject(), ...req.body },
+        'class'
+      );
+      if (scheduleProblem) {
+        return res.status(400).json({
+          success: false,
+          ...scheduleProblem
+        });
+      }
+    }
+
+    const before = snapshot(classData);
+
     // Update class
     Object.keys(req.body).forEach(key => {
       classData[key] = req.body[key];
     });
 
-    await classData.save();
+    await withTransaction(async (session) => {
+      await classData.save({ session });
+      await recordAudit(req, { action: 'update', entityType: 'Class', before, after: classData }, session);
+    });
 
     // Populate and return
     const populatedClass = await Class.findById(classData._id)
-      .populate('department', 'departmentName departmentCode');
+      .populate('department', 'departmentName departmentCode')
+      .populate('classTeacher', 'name email');
 
     res.status(200).json({
       success: true,
@@ -259,9 +395,9 @@ exports.updateClass = async (req, res) => {
 };
 
 /**
- * @desc    Delete class
+ * @desc    Delete class: move it to the trash, from where it can be restored until it is purged
  * @route   DELETE /api/classes/:id
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.deleteClass = async (req, res) => {
   try {
@@ -274,6 +410,10 @@ exports.deleteClass = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, classData.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Check if class has students
     const studentCount = await Student.countDocuments({ class: req.params.id });
     if (studentCount > 0) {
@@ -283,16 +423,19 @@ exports.deleteClass = async (req, res) => {
       });
     }
 
-    // Delete class
-    await Class.findByIdAndDelete(req.params.id);
+    // Move class to the trash
+    await withTransaction(async (session) => {
+      await moveToTrash(req, classData, 'Class', session);
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Class deleted successfully',
+      message: 'Class moved to the trash',
       data: {
         id: req.params.id,
         className: classData.className,
-        section: classData.section
+        section: classData.section,
+        purgeAfter: purgeDate(classData)
       }
     });
   } catch (error) {
@@ -308,11 +451,14 @@ exports.deleteClass = async (req, res) => {
 /**
  * @desc    Get class statistics
  * @route   GET /api/classes/stats
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.getClassStats = async (req, res) => {
   try {
+    const scopeStage = departmentScopeStage(req);
+
     const stats = await Class.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: null,
@@ -349,6 +495,7 @@ exports.getClassStats = async (req, res) => {
 
     // Department-wise class statistics
     const departmentClassStats = await Class.aggregate([
+      ...scopeStage,
       {
         $lookup: {
           from: 'departments',
@@ -389,6 +536,7 @@ exports.getClassStats = async (req, res) => {
 
     // Status distribution
     const statusDistribution = await Class.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: '$status',
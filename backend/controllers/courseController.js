@@ -1,38 +1,68 @@
 const Course = require('../models/Course');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const Waitlist = require('../models/Waitlist');
+const { recordEnrollments, recordWithdrawals } = require('../utils/enrollment');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { withTransaction } = require('../utils/transaction');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { moveToTrash, purgeDate } = require('../utils/trash');
+const { buildCourseFilter } = require('../utils/filters');
+const { streamExport } = require('../utils/export');
+const { requirementCourseIds, getUnmetRequirements } = require('../utils/prerequisites');
+const {
+  GRAPH_FIELDS,
+  indexCourses,
+  findAllCycles,
+  cycleCodes,
+  detectPrerequisiteCycle,
+  buildPrerequisiteTree,
+  transitivePrerequisites,
+  buildGraphExport,
+  toDot
+} = require('../utils/prerequisiteGraph');
+const {
+  SeatUnavailableError,
+  reserveCourseSeat,
+  releaseCourseSeats
+} = require('../utils/seats');
+const {
+  SCHEDULE_FIELDS,
+  getScheduleProblems,
+  getStudentScheduleClashes
+} = require('../utils/schedule');
+const { LOAD_FIELDS, checkAssignmentLoad } = require('../utils/workload');
+const {
+  applyDepartmentScope,
+  departmentScopeStage,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
 
 /**
  * @desc    Get all courses
  * @route   GET /api/courses
- * @access  Public
+ * @access  Private
  */
 exports.getAllCourses = async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      department, 
-      semester, 
-      year, 
-      courseType, 
-      status 
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     
     const skip = (page - 1) * limit;
     
-    const filter = {};
-    if (department) filter.department = department;
-    if (semester) filter.semester = semester;
-    if (year) filter.year = parseInt(year);
-    if (courseType) filter.courseType = courseType;
-    if (status) filter.status = status;
+    const filter = buildCourseFilter(req.query);
+
+    // Department-bound users only see their own department
+    applyDepartmentScope(req, filter);
 
     const totalCourses = await Course.countDocuments(filter);
     const totalPages = Math.ceil(totalCourses / limit);
 
     const courses = await Course.find(filter)
       .populate('department', 'departmentName departmentCode')
+      .populate('instructor', 'name email')
       .populate('prerequisites', 'courseName courseCode')
       .sort({ courseCode: 1 })
       .skip(skip)
@@ -71,16 +101,53 @@ exports.getAllCourses = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Export courses matching the list filters, streamed as JSON, CSV,
+ *          XLSX, NDJSON or PDF, with the columns chosen in ?fields=
+ * @route   GET /api/courses/export
+ * @access  Private (admin, registrar, hod)
+ */
+exports.exportCourses = async (req, res) => {
+  try {
+    await streamExport(res, {
+      entityType: 'Course',
+      filter: applyDepartmentScope(req, buildCourseFilter(req.query)),
+      format: req.query.format,
+      fields: req.query.fields
+    });
+  } catch (error) {
+    console.error('Error in exportCourses:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get course by ID
  * @route   GET /api/courses/:id
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.getCourseById = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
-      .populate('department', 'departmentName departmentCode headOfDepartment')
+      .populate({
+        path: 'department',
+        select: 'departmentName departmentCode headOfDepartment',
+        populate: { path: 'headOfDepartment', select: 'name email phone' }
+      })
+      .populate('instructor', 'name email phone rank')
       .populate('prerequisites', 'courseName courseCode creditHours')
+      .populate('prerequisiteGroups.courses', 'courseName courseCode')
+      .populate('corequisites', 'courseName courseCode')
       .lean();
 
     if (!course) {
@@ -90,6 +157,10 @@ exports.getCourseById = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Get students enrolled in this course
     const students = await Student.find({ courses: req.params.id })
       .select('name rollNumber email class department')
@@ -126,14 +197,18 @@ exports.getCourseById = async (req, res) => {
 /**
  * @desc    Create new course
  * @route   POST /api/courses
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.createCourse = async (req, res) => {
   try {
+    if (isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Check if course with same code already exists
     const existingCourse = await Course.findOne({
       courseCode: req.body.courseCode.toUpperCase()
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingCourse) {
       return res.status(400).json({
@@ -151,13 +226,31 @@ exports.createCourse = async (req, res) => {
       });
     }
 
-    // Validate prerequisites
-    if (req.body.prerequisites && req.body.prerequisites.length > 0) {
+    // Check if the instructor is a current faculty member
+    if (req.body.instructor) {
+      const instructor = await Faculty.findById(req.body.instructor);
+      if (!instructor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Instructor not found'
+        });
+      }
+      if (instructor.status === 'Inactive') {
+        return res.status(400).json({
+          success: false,
+          error: 'Instructor is no longer active'
+        });
+      }
+    }
+
+    // Validate prerequisites, "one of" groups and corequisites
+    const requiredCourses = requirementCourseIds(req.body);
+    if (requiredCourses.length > 0) {
       const prerequisitesExist = await Course.find({ 
-        _id: { $in: req.body.prerequisites } 
+        _id: { $in: requiredCourses } 
       });
       
-      if (prerequisitesExist.length !== req.body.prerequisites.length) {
+      if (prerequisitesExist.length !== requiredCourses.length) {
         return res.status(404).json({
           success: false,
           error: 'One or more prerequisites not found'
@@ -166,18 +259,51 @@ exports.createCourse = async (req, res) => {
     }
 
     // Create course
+    const { loadOverrideReason, ...courseFields } = req.body;
     const courseData = {
-      ...req.body,
+      ...courseFields,
       courseCode: req.body.courseCode.toUpperCase()
     };
+    delete courseData.loadOverride;
+
+    // The instructor's teaching load for the term must stay within their limits
+    const overload = await checkAssignmentLoad(courseData);
+    if (overload) {
+      if (!loadOverrideReason) {
+        return overloadRejected(res, overload);
+      }
+      courseData.loadOverride = {
+        reason: loadOverrideReason,
+        approvedBy: req.user._id,
+        approvedAt: new Date()
+      };
+    }
+
+    // Reject invalid schedules and double-booked rooms or instructors
+    const scheduleProblem = await getScheduleProblems(courseData, 'course');
+    if (scheduleProblem) {
+      return res.status(400).json({
+        success: false,
+        ...scheduleProblem
+      });
+    }
+
+    // Kept by the student and enrollment endpoints
+    delete courseData.enrolledStudents;
 
     const newCourse = new Course(courseData);
-    await newCourse.save();
+    await withTransaction(async (session) => {
+      await newCourse.save({ session });
+      await recordAudit(req, { action: 'create', entityType: 'Course', after: newCourse }, session);
+    });
 
     // Populate and return
     const populatedCourse = await Course.findById(newCourse._id)
       .populate('department', 'departmentName departmentCode')
-      .populate('prerequisites', 'courseName courseCode');
+      .populate('instructor', 'name email')
+      .populate('prerequisites', 'courseName courseCode')
+      .populate('prerequisiteGroups.courses', 'courseName courseCode')
+      .populate('corequisites', 'courseName courseCode');
 
     res.status(201).json({
       success: true,
@@ -207,7 +333,7 @@ exports.createCourse = async (req, res) => {
 /**
  * @desc    Update course
  * @route   PUT /api/courses/:id
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.updateCourse = async (req, res) => {
   try {
@@ -220,12 +346,20 @@ exports.updateCourse = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, course.department) ||
+        isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Kept by the student and enrollment endpoints
+    delete req.body.enrolledStudents;
+
     // Check if updating to duplicate course code
     if (req.body.courseCode && req.body.courseCode !== course.courseCode) {
       const duplicateCourse = await Course.findOne({
         courseCode: req.body.courseCode.toUpperCase(),
         _id: { $ne: course._id }
-      });
+      }).setOptions({ withDeleted: true });
 
       if (duplicateCourse) {
         return res.status(400).json({
@@ -244,13 +378,45 @@ exports.updateCourse = async (req, res) => {
       });
     }
 
-    // Validate prerequisites
-    if (req.body.prerequisites) {
+    // Check if the instructor is a current faculty member
+    if (req.body.instructor) {
+      const instructor = await Faculty.findById(req.body.instructor);
+      if (!instructor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Instructor not found'
+        });
+      }
+      if (instructor.status === 'Inactive') {
+        return res.status(400).json({
+          success: false,
+          error: 'Instructor is no longer active'
+        });
+      }
+    }
+
+    // Rooms and instructors cannot be double-booked by the change
+    if (SCHEDULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      const scheduleProblem = await getScheduleProblems(
+        { ...course.toObject(), ...req.body },
+        'course'
+      );
+      if (scheduleProblem) {
+        return res.status(400).json({
+          success: false,
+          ...scheduleProblem
+        });
+      }
+    }
+
+    // Validate prerequisites, "one of" groups and corequisites
+    const requiredCourses = requirementCourseIds(req.body);
+    if (requiredCourses.length > 0) {
       const prerequisitesExist = await Course.find({ 
-        _id: { $in: req.body.prerequisites } 
+        _id: { $in: requiredCourses } 
       });
       
-      if (prerequisitesExist.length !== req.body.prerequisites.length) {
+      if (prerequisitesExist.length !== requiredCourses.length) {
         return res.status(404).json({
           success: false,
           error: 'One or more prerequisites not found'
@@ -258,7 +424,7 @@ exports.updateCourse = async (req, res) => {
       }
 
       // Check for circular dependencies
-      if (req.body.prerequisites.includes(course._id.toString())) {
+      if (requiredCourses.includes(course._id.toString())) {
         return res.status(400).json({
           success: false,
           error: 'Course cannot be a prerequisite of itself'
@@ -266,17 +432,61 @@ exports.updateCourse = async (req, res) => {
       }
     }
 
+    // A prerequisite change must not close a loop anywhere in the course graph
+    if (req.body.prerequisites || req.body.prerequisiteGroups) {
+      const cycle = await detectPrerequisiteCycle(course._id, req.body);
+      if (cycle) {
+        return res.status(400).json({
+          success: false,
+          error: `Prerequisites would create a cycle: ${cycle.join(' -> ')}`,
+          cycle
+        });
+      }
+    }
+
+    const { loadOverrideReason } = req.body;
+    delete req.body.loadOverrideReason;
+    delete req.body.loadOverride;
+
+    // The instructor's teaching load for the term must stay within their limits
+    let loadOverride;
+    if (LOAD_FIELDS.some(field => req.body[field] !== undefined)) {
+      const overload = await checkAssignmentLoad({ ...course.toObject(), ...req.body });
+      if (overload && !loadOverrideReason) {
+        return overloadRejected(res, overload);
+      }
+      loadOverride = overload ?
+        { reason: loadOverrideReason, approvedBy: req.user._id, approvedAt: new Date() } :
+        null;
+    }
+
+    const before = snapshot(course);
+
     // Update course
     Object.keys(req.body).forEach(key => {
       course[key] = req.body[key];
     });
+    if (loadOverride !== undefined) {
+      course.loadOverride = loadOverride || undefined;
+    }
 
-    await course.save();
+    await withTransaction(async (session) => {
+      await course.save({ session });
+      await recordAudit(req, { action: 'update', entityType: 'Course', before, after: course }, session);
+    });
+
+    // Extra seats go to the waitlist first
+    if (req.body.maxStudents) {
+      await promoteFromWaitlist(course._id);
+    }
 
     // Populate and return
     const populatedCourse = await Course.findById(course._id)
       .populate('department', 'departmentName departmentCode')
-      .populate('prerequisites', 'courseName courseCode');
+      .populate('instructor', 'name email')
+      .populate('prerequisites', 'courseName courseCode')
+      .populate('prerequisiteGroups.courses', 'courseName courseCode')
+      .populate('corequisites', 'courseName courseCode');
 
     res.status(200).json({
       success: true,
@@ -304,9 +514,9 @@ exports.updateCourse = async (req, res) => {
 };
 
 /**
- * @desc    Delete course
+ * @desc    Delete course: move it to the trash, from where it can be restored until it is purged
  * @route   DELETE /api/courses/:id
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.deleteCourse = async (req, res) => {
   try {
@@ -319,6 +529,10 @@ exports.deleteCourse = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Check if course has enrolled students
     const studentCount = await Student.countDocuments({ courses: req.params.id });
     if (studentCount > 0) {
@@ -328,8 +542,26 @@ exports.deleteCourse = async (req, res) => {
       });
     }
 
+    // Check if course appears on any transcript
+    const gradedCount = await Enrollment.countDocuments({
+      course: req.params.id,
+      status: { $in: ['Completed', 'Failed'] }
+    });
+    if (gradedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete course with ${gradedCount} graded enrollments on student transcripts.`
+      });
+    }
+
     // Check if course is a prerequisite for other courses
-    const dependentCourses = await Course.find({ prerequisites: req.params.id });
+    const dependentCourses = await Course.find({
+      $or: [
+        { prerequisites: req.params.id },
+        { 'prerequisiteGroups.courses': req.params.id },
+        { corequisites: req.params.id }
+      ]
+    });
     if (dependentCourses.length > 0) {
       const courseNames = dependentCourses.map(c => c.courseName).join(', ');
       return res.status(400).json({
@@ -338,16 +570,19 @@ exports.deleteCourse = async (req, res) => {
       });
     }
 
-    // Delete course
-    await Course.findByIdAndDelete(req.params.id);
+    // Move course to the trash
+    await withTransaction(async (session) => {
+      await moveToTrash(req, course, 'Course', session);
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Course deleted successfully',
+      message: 'Course moved to the trash',
       data: {
         id: req.params.id,
         courseName: course.courseName,
-        courseCode: course.courseCode
+        courseCode: course.courseCode,
+        purgeAfter: purgeDate(course)
       }
     });
   } catch (error) {
@@ -363,7 +598,7 @@ exports.deleteCourse = async (req, res) => {
 /**
  * @desc    Enroll student in course
  * @route   POST /api/courses/:id/enroll
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.enrollStudent = async (req, res) => {
   try {
@@ -384,11 +619,18 @@ exports.enrollStudent = async (req, res) => {
       });
     }
 
-    // Check if course is full
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Full courses take students through their waitlist instead
     if (course.enrolledStudents >= course.maxStudents) {
+      const waitlistLength = await Waitlist.countDocuments({ course: course._id, status: 'Waiting' });
       return res.status(400).json({
         success: false,
-        error: 'Course is full'
+        error: 'Course is full',
+        message: `Add the student to the waitlist with POST /api/students/${studentId}/waitlists`,
+        waitlistLength
       });
     }
 
@@ -409,27 +651,57 @@ exports.enrollStudent = async (req, res) => {
       });
     }
 
-    // Check prerequisites
-    if (course.prerequisites && course.prerequisites.length > 0) {
-      const completedPrerequisites = course.prerequisites.every(prereqId =>
-        student.courses.includes(prereqId)
-      );
+    // Check prerequisites against completed courses and grades
+    const unmetRequirements = await getUnmetRequirements(student._id, course);
+    if (unmetRequirements.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Student does not meet course prerequisites',
+        unmetRequirements
+      });
+    }
 
-      if (!completedPrerequisites) {
-        return res.status(400).json({
-          success: false,
-          error: 'Student does not meet course prerequisites'
-        });
-      }
+    // Timetable clashes with the student's class or courses need an explicit override
+    const scheduleClashes = await getStudentScheduleClashes(student, course);
+    if (scheduleClashes.length > 0 && req.body.allowScheduleConflicts !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course schedule clashes with the student\'s timetable',
+        message: 'Send allowScheduleConflicts: true to enroll anyway',
+        scheduleClashes
+      });
     }
 
-    // Enroll student
-    student.courses.push(req.params.id);
-    await student.save();
+    const before = snapshot(student);
+
+    // Take the seat, enroll the student and record the history together
+    const enrollment = await withTransaction(async (session) => {
+      const updatedCourse = await reserveCourseSeat(course._id, session);
+      if (!updatedCourse) {
+        throw new SeatUnavailableError('Course is full');
+      }
+
+      student.courses.addToSet(course._id);
+      await student.save({ session });
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'Student',
+        before,
+        after: student,
+        context: `enrollment in ${course.courseCode}`
+      }, session);
 
-    // Update course enrollment count
-    course.enrolledStudents += 1;
-    await course.save();
+      const [created] = await recordEnrollments(student, [course], { session });
+
+      // A direct enrollment replaces any place the student held in the queue
+      await Waitlist.updateMany(
+        { course: course._id, student: student._id, status: 'Waiting' },
+        { $set: { status: 'Removed', respondedAt: new Date() } },
+        { session }
+      );
+
+      return created;
+    });
 
     res.status(200).json({
       success: true,
@@ -445,11 +717,25 @@ exports.enrollStudent = async (req, res) => {
           courseName: course.courseName,
           courseCode: course.courseCode
         },
-        enrollmentDate: new Date()
-      }
+        enrollment: {
+          id: enrollment._id,
+          academicYear: enrollment.academicYear,
+          semester: enrollment.semester
+        },
+        enrollmentDate: enrollment.enrolledAt
+      },
+      ...(scheduleClashes.length > 0 && { warnings: { scheduleClashes } })
     });
   } catch (error) {
     console.error('Error in enrollStudent:', error);
+
+    if (error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -461,7 +747,7 @@ exports.enrollStudent = async (req, res) => {
 /**
  * @desc    Remove student from course
  * @route   POST /api/courses/:id/withdraw
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.withdrawStudent = async (req, res) => {
   try {
@@ -482,6 +768,10 @@ exports.withdrawStudent = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
     // Check if student exists
     const student = await Student.findById(studentId);
     if (!student) {
@@ -499,15 +789,31 @@ exports.withdrawStudent = async (req, res) => {
       });
     }
 
-    // Withdraw student
-    student.courses = student.courses.filter(courseId => 
-      courseId.toString() !== req.params.id
-    );
-    await student.save();
+    const before = snapshot(student);
+
+    // Withdraw student, free the seat and record the history together
+    await withTransaction(async (session) => {
+      student.courses = student.courses.filter(courseId => 
+        courseId.toString() !== req.params.id
+      );
+      await student.save({ session });
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'Student',
+        before,
+        after: student,
+        context: `withdrawal from ${course.courseCode}`
+      }, session);
 
-    // Update course enrollment count
-    course.enrolledStudents = Math.max(0, course.enrolledStudents - 1);
-    await course.save();
+      await releaseCourseSeats([course._id], session);
+      await recordWithdrawals(student._id, [course._id], {
+        reason: req.body.reason,
+        session
+      });
+    });
+
+    // Offer the freed seat to the next student on the waitlist
+    const promoted = await promoteFromWaitlist(course._id);
 
     res.status(200).json({
       success: true,
@@ -523,7 +829,8 @@ exports.withdrawStudent = async (req, res) => {
           courseName: course.courseName,
           courseCode: course.courseCode
         },
-        withdrawalDate: new Date()
+        withdrawalDate: new Date(),
+        promotedFromWaitlist: promoted.map(entry => entry.student)
       }
     });
   } catch (error) {
@@ -536,14 +843,104 @@ exports.withdrawStudent = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the full transitive prerequisite tree of a course
+ * @route   GET /api/courses/:id/prerequisite-tree
+ * @access  Private
+ */
+exports.getPrerequisiteTree = async (req, res) => {
+  try {
+    const courses = indexCourses(await Course.find().select(GRAPH_FIELDS).lean());
+    const course = courses.get(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const required = transitivePrerequisites(courses, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tree: buildPrerequisiteTree(courses, req.params.id),
+        allPrerequisites: required,
+        totalCreditHours: required.reduce((total, entry) => total + entry.creditHours, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPrerequisiteTree:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Export the prerequisite graph for curriculum planning
+ * @route   GET /api/courses/prerequisite-graph?department=&format=json|dot
+ * @access  Private
+ */
+exports.getPrerequisiteGraph = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.department) filter.department = req.query.department;
+    if (req.query.status) filter.status = req.query.status;
+
+    // Department-bound users only see their own department
+    applyDepartmentScope(req, filter);
+
+    const [allCourses, selected] = await Promise.all([
+      Course.find().select(GRAPH_FIELDS).lean(),
+      Course.find(filter).select('_id').lean()
+    ]);
+
+    const courses = indexCourses(allCourses);
+    const graph = buildGraphExport(courses, new Set(selected.map(course => course._id.toString())));
+
+    if (req.query.format === 'dot') {
+      res.setHeader('Content-Type', 'text/vnd.graphviz');
+      res.setHeader('Content-Disposition', 'attachment; filename=prerequisite-graph.dot');
+      return res.send(toDot(graph));
+    }
+
+    const cycles = findAllCycles(courses)
+      .filter(cycle => cycle.some(courseId => graph.nodes.some(node => node.id.toString() === courseId)))
+      .map(cycle => cycleCodes(courses, cycle));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        nodes: graph.nodes,
+        edges: graph.edges,
+        cycles
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPrerequisiteGraph:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get course statistics
  * @route   GET /api/courses/stats
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.getCourseStats = async (req, res) => {
   try {
+    const scopeStage = departmentScopeStage(req);
+
     const stats = await Course.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: null,
@@ -584,6 +981,7 @@ exports.getCourseStats = async (req, res) => {
 
     // Department-wise course statistics
     const departmentCourseStats = await Course.aggregate([
+      ...scopeStage,
       {
         $lookup: {
           from: 'departments',
@@ -630,6 +1028,7 @@ exports.getCourseStats = async (req, res) => {
 
     // Course type distribution
     const typeDistribution = await Course.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: '$courseType',
@@ -641,6 +1040,7 @@ exports.getCourseStats = async (req, res) => {
 
     // Semester-wise statistics
     const semesterStats = await Course.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: '$semester',
@@ -687,4 +1087,13 @@ exports.getCourseStats = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Helper function to refuse an assignment over the instructor's teaching load
+function overloadRejected(res, overload) {
+  return res.status(400).json({
+    success: false,
+    error: `Assignment exceeds the teaching load of ${overload.faculty.name} (${overload.faculty.rank}) for ${overload.semester}. Send loadOverrideReason to assign anyway.`,
+    workload: overload
+  });
+}
@@ -0,0 +1,191 @@
+const Student = require('../models/Student');
+const Department = require('../models/Department');
+const ProgramRequirement = require('../models/ProgramRequirement');
+const { runDegreeAudit } = require('../utils/degreeAudit');
+const {
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Check a student's record against their department's graduation requirements
+ * @route   GET /api/students/:id/degree-audit
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getDegreeAudit = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id)
+      .select('name rollNumber status academicYear department class')
+      .populate('department', 'departmentName departmentCode')
+      .populate('class', 'className section level')
+      .lean();
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const audit = await runDegreeAudit(student);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student: {
+          id: student._id,
+          name: student.name,
+          rollNumber: student.rollNumber,
+          status: student.status,
+          department: student.department,
+          class: student.class
+        },
+        eligible: audit.eligible,
+        record: audit.record,
+        requirements: audit.requirements,
+        satisfied: audit.checks.filter(check => check.satisfied),
+        missing: audit.checks.filter(check => !check.satisfied)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getDegreeAudit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a department's graduation requirements
+ * @route   GET /api/departments/:id/program-requirements
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getProgramRequirements = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id).select('departmentName departmentCode');
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const requirement = await ProgramRequirement.findOne({ department: department._id })
+      .populate('updatedBy', 'name email');
+
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        error: `No program requirements configured for ${department.departmentName}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: requirement
+    });
+  } catch (error) {
+    console.error('Error in getProgramRequirements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set a department's graduation requirements
+ * @route   PUT /api/departments/:id/program-requirements
+ * @access  Private (admin, registrar, hod)
+ */
+exports.updateProgramRequirements = async (req, res) => {
+  try {
+    if (isOutsideDepartmentScope(req, req.params.id)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const department = await Department.findById(req.params.id).select('departmentName');
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const { totalCredits, minimumCgpa, requiredCourseTypes, electiveRequirements } = req.body;
+
+    // The whole set is replaced; fields left out go back to their defaults
+    const requirement = await ProgramRequirement.findOneAndUpdate(
+      { department: department._id },
+      {
+        department: department._id,
+        totalCredits,
+        minimumCgpa: minimumCgpa === undefined ? 2.0 : minimumCgpa,
+        requiredCourseTypes: requiredCourseTypes === undefined ? ['Core'] : requiredCourseTypes,
+        electiveRequirements: electiveRequirements || [],
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Program requirements for ${department.departmentName} updated successfully`,
+      data: requirement
+    });
+  } catch (error) {
+    console.error('Error in updateProgramRequirements:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a department's graduation requirements
+ * @route   DELETE /api/departments/:id/program-requirements
+ * @access  Private (admin, registrar)
+ */
+exports.deleteProgramRequirements = async (req, res) => {
+  try {
+    const result = await ProgramRequirement.deleteOne({ department: req.params.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No program requirements configured for this department'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Program requirements removed; students of the department cannot graduate until new ones are set'
+    });
+  } catch (error) {
+    console.error('Error in deleteProgramRequirements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
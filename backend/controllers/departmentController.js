@@ -2,24 +2,31 @@ const Department = require('../models/Department');
 const Class = require('../models/Class');
 const Student = require('../models/Student');
 const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const { departmentScopeStage } = require('../utils/departmentScope');
+const { withTransaction } = require('../utils/transaction');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { moveToTrash, purgeDate } = require('../utils/trash');
+const { buildDepartmentFilter } = require('../utils/filters');
+const { streamExport } = require('../utils/export');
 
 /**
  * @desc    Get all departments
  * @route   GET /api/departments
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.getAllDepartments = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
     
-    const filter = {};
-    if (status) filter.status = status;
+    const filter = buildDepartmentFilter(req.query);
 
     const totalDepartments = await Department.countDocuments(filter);
     const totalPages = Math.ceil(totalDepartments / limit);
 
     const departments = await Department.find(filter)
+      .populate('headOfDepartment', 'name email phone')
       .sort({ departmentName: 1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -54,14 +61,46 @@ exports.getAllDepartments = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Export departments matching the list filters, streamed as JSON, CSV,
+ *          XLSX, NDJSON or PDF, with the columns chosen in ?fields=
+ * @route   GET /api/departments/export
+ * @access  Private (admin, registrar, hod)
+ */
+exports.exportDepartments = async (req, res) => {
+  try {
+    await streamExport(res, {
+      entityType: 'Department',
+      filter: buildDepartmentFilter(req.query),
+      format: req.query.format,
+      fields: req.query.fields
+    });
+  } catch (error) {
+    console.error('Error in exportDepartments:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get department by ID
  * @route   GET /api/departments/:id
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.getDepartmentById = async (req, res) => {
   try {
-    const department = await Department.findById(req.params.id).lean();
+    const department = await Department.findById(req.params.id)
+      .populate('headOfDepartment', 'name email phone qualification rank')
+      .lean();
 
     if (!department) {
       return res.status(404).json({
@@ -71,7 +110,7 @@ exports.getDepartmentById = async (req, res) => {
     }
 
     // Get related data
-    const [classes, students, courses] = await Promise.all([
+    const [classes, students, courses, faculty] = await Promise.all([
       Class.find({ department: req.params.id })
         .select('className section academicYear currentStrength capacity status')
         .lean(),
@@ -81,6 +120,10 @@ exports.getDepartmentById = async (req, res) => {
         .lean(),
       Course.find({ department: req.params.id })
         .select('courseName courseCode creditHours semester year enrolledStudents')
+        .lean(),
+      Faculty.find({ department: req.params.id })
+        .select('name email rank status')
+        .sort({ name: 1 })
         .lean()
     ]);
 
@@ -103,6 +146,10 @@ exports.getDepartmentById = async (req, res) => {
           courses: {
             count: courses.length,
             list: courses
+          },
+          faculty: {
+            count: faculty.length,
+            list: faculty
           }
         }
       }
@@ -120,7 +167,7 @@ exports.getDepartmentById = async (req, res) => {
 /**
  * @desc    Create new department
  * @route   POST /api/departments
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.createDepartment = async (req, res) => {
   try {
@@ -130,7 +177,7 @@ exports.createDepartment = async (req, res) => {
         { departmentName: req.body.departmentName },
         { departmentCode: req.body.departmentCode.toUpperCase() }
       ]
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingDepartment) {
       return res.status(400).json({
@@ -139,14 +186,37 @@ exports.createDepartment = async (req, res) => {
       });
     }
 
+    // Check if the head of department is a current faculty member
+    if (req.body.headOfDepartment) {
+      const head = await Faculty.findById(req.body.headOfDepartment);
+      if (!head) {
+        return res.status(404).json({
+          success: false,
+          error: 'Head of department not found'
+        });
+      }
+      if (head.status === 'Inactive') {
+        return res.status(400).json({
+          success: false,
+          error: 'Head of department is no longer active'
+        });
+      }
+    }
+
     // Create department
     const departmentData = {
       ...req.body,
       departmentCode: req.body.departmentCode.toUpperCase()
     };
+    // Counted from the Faculty collection and kept by the student endpoints
+    delete departmentData.totalFaculty;
+    delete departmentData.totalStudents;
 
     const newDepartment = new Department(departmentData);
-    await newDepartment.save();
+    await withTransaction(async (session) => {
+      await newDepartment.save({ session });
+      await recordAudit(req, { action: 'create', entityType: 'Department', after: newDepartment }, session);
+    });
 
     res.status(201).json({
       success: true,
@@ -176,7 +246,7 @@ exports.createDepartment = async (req, res) => {
 /**
  * @desc    Update department
  * @route   PUT /api/departments/:id
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.updateDepartment = async (req, res) => {
   try {
@@ -200,7 +270,7 @@ exports.updateDepartment = async (req, res) => {
           { departmentCode }
         ],
         _id: { $ne: department._id }
-      });
+      }).setOptions({ withDeleted: true });
 
       if (duplicateDepartment) {
         return res.status(400).json({
@@ -214,12 +284,38 @@ exports.updateDepartment = async (req, res) => {
       }
     }
 
+    // Check if the head of department is a current faculty member
+    if (req.body.headOfDepartment) {
+      const head = await Faculty.findById(req.body.headOfDepartment);
+      if (!head) {
+        return res.status(404).json({
+          success: false,
+          error: 'Head of department not found'
+        });
+      }
+      if (head.status === 'Inactive') {
+        return res.status(400).json({
+          success: false,
+          error: 'Head of department is no longer active'
+        });
+      }
+    }
+
+    // Counted from the Faculty collection and kept by the student endpoints
+    delete req.body.totalFaculty;
+    delete req.body.totalStudents;
+
+    const before = snapshot(department);
+
     // Update department
     Object.keys(req.body).forEach(key => {
       department[key] = req.body[key];
     });
 
-    await department.save();
+    await withTransaction(async (session) => {
+      await department.save({ session });
+      await recordAudit(req, { action: 'update', entityType: 'Department', before, after: department }, session);
+    });
 
     res.status(200).json({
       success: true,
@@ -247,9 +343,9 @@ exports.updateDepartment = async (req, res) => {
 };
 
 /**
- * @desc    Delete department
+ * @desc    Delete department: move it to the trash, from where it can be restored until it is purged
  * @route   DELETE /api/departments/:id
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.deleteDepartment = async (req, res) => {
   try {
@@ -263,29 +359,33 @@ exports.deleteDepartment = async (req, res) => {
     }
 
     // Check if department has related data
-    const [classCount, studentCount, courseCount] = await Promise.all([
+    const [classCount, studentCount, courseCount, facultyCount] = await Promise.all([
       Class.countDocuments({ department: req.params.id }),
       Student.countDocuments({ department: req.params.id }),
-      Course.countDocuments({ department: req.params.id })
+      Course.countDocuments({ department: req.params.id }),
+      Faculty.countDocuments({ department: req.params.id })
     ]);
 
-    if (classCount > 0 || studentCount > 0 || courseCount > 0) {
+    if (classCount > 0 || studentCount > 0 || courseCount > 0 || facultyCount > 0) {
       return res.status(400).json({
         success: false,
-        error: `Cannot delete department. It has ${classCount} classes, ${studentCount} students, and ${courseCount} courses.`
+        error: `Cannot delete department. It has ${classCount} classes, ${studentCount} students, ${courseCount} courses, and ${facultyCount} faculty members.`
       });
     }
 
-    // Delete department
-    await Department.findByIdAndDelete(req.params.id);
+    // Move department to the trash
+    await withTransaction(async (session) => {
+      await moveToTrash(req, department, 'Department', session);
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Department deleted successfully',
+      message: 'Department moved to the trash',
       data: {
         id: req.params.id,
         departmentName: department.departmentName,
-        departmentCode: department.departmentCode
+        departmentCode: department.departmentCode,
+        purgeAfter: purgeDate(department)
       }
     });
   } catch (error) {
@@ -301,11 +401,15 @@ exports.deleteDepartment = async (req, res) => {
 /**
  * @desc    Get department statistics
  * @route   GET /api/departments/stats
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.getDepartmentStats = async (req, res) => {
   try {
+    // Department-bound users only see their own department
+    const scopeStage = departmentScopeStage(req, '_id');
+
     const stats = await Department.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: null,
@@ -343,21 +447,28 @@ exports.getDepartmentStats = async (req, res) => {
       }
     ]);
 
-    // Detailed department statistics
+    // Detailed department statistics; classes and courses in the trash are not counted
     const detailedStats = await Department.aggregate([
+      ...scopeStage,
       {
         $lookup: {
           from: 'classes',
-          localField: '_id',
-          foreignField: 'department',
+          let: { departmentId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$department', '$$departmentId'] }, deletedAt: null } },
+            { $project: { _id: 1 } }
+          ],
           as: 'classes'
         }
       },
       {
         $lookup: {
           from: 'courses',
-          localField: '_id',
-          foreignField: 'department',
+          let: { departmentId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$department', '$$departmentId'] }, deletedAt: null } },
+            { $project: { _id: 1 } }
+          ],
           as: 'courses'
         }
       },
@@ -379,6 +490,7 @@ exports.getDepartmentStats = async (req, res) => {
 
     // Status distribution
     const statusDistribution = await Department.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: '$status',
@@ -0,0 +1,374 @@
+const Faculty = require('../models/Faculty');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const Class = require('../models/Class');
+const { withTransaction } = require('../utils/transaction');
+const {
+  applyDepartmentScope,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Get all faculty members
+ * @route   GET /api/faculty
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getAllFaculty = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, department, rank, status, name, email } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (department) filter.department = department;
+    if (rank) filter.rank = rank;
+    if (status) filter.status = status;
+    if (name) filter.name = { $regex: name, $options: 'i' };
+    if (email) filter.email = { $regex: email, $options: 'i' };
+
+    // Department-bound users only see their own department
+    applyDepartmentScope(req, filter);
+
+    const totalFaculty = await Faculty.countDocuments(filter);
+    const totalPages = Math.ceil(totalFaculty / limit);
+
+    const faculty = await Faculty.find(filter)
+      .populate('department', 'departmentName departmentCode')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: faculty.length,
+      total: totalFaculty,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      data: faculty
+    });
+  } catch (error) {
+    console.error('Error in getAllFaculty:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a faculty member with the courses, classes and departments they lead
+ * @route   GET /api/faculty/:id
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getFacultyById = async (req, res) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id)
+      .populate('department', 'departmentName departmentCode')
+      .lean();
+
+    if (!faculty) {
+      return res.status(404).json({
+        success: false,
+        error: 'Faculty member not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, faculty.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const [courses, classes, departmentsHeaded] = await Promise.all([
+      Course.find({ instructor: faculty._id })
+        .select('courseName courseCode creditHours semester year schedule status')
+        .sort({ courseCode: 1 })
+        .lean(),
+      Class.find({ classTeacher: faculty._id })
+        .select('className section academicYear schedule status')
+        .lean(),
+      Department.find({ headOfDepartment: faculty._id })
+        .select('departmentName departmentCode')
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...faculty,
+        courses: {
+          count: courses.length,
+          list: courses
+        },
+        classes: {
+          count: classes.length,
+          list: classes
+        },
+        departmentsHeaded
+      }
+    });
+  } catch (error) {
+    console.error('Error in getFacultyById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a faculty member
+ * @route   POST /api/faculty
+ * @access  Private (admin, registrar, hod)
+ */
+exports.createFaculty = async (req, res) => {
+  try {
+    if (isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Check if a faculty member with the same email already exists
+    const existingFaculty = await Faculty.findOne({
+      email: req.body.email.toLowerCase()
+    });
+
+    if (existingFaculty) {
+      return res.status(400).json({
+        success: false,
+        error: 'Faculty member with this email already exists'
+      });
+    }
+
+    // Check if department exists
+    const departmentExists = await Department.findById(req.body.department);
+    if (!departmentExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const newFaculty = await withTransaction(async (session) => {
+      const [created] = await Faculty.create([req.body], { session });
+      await adjustFacultyCount(created.department, countsTowardsDepartment(created) ? 1 : 0, session);
+      return created;
+    });
+
+    const populatedFaculty = await Faculty.findById(newFaculty._id)
+      .populate('department', 'departmentName departmentCode');
+
+    res.status(201).json({
+      success: true,
+      message: 'Faculty member created successfully',
+      data: populatedFaculty
+    });
+  } catch (error) {
+    console.error('Error in createFaculty:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Faculty member with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a faculty member
+ * @route   PUT /api/faculty/:id
+ * @access  Private (admin, registrar, hod)
+ */
+exports.updateFaculty = async (req, res) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id);
+
+    if (!faculty) {
+      return res.status(404).json({
+        success: false,
+        error: 'Faculty member not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, faculty.department) ||
+        isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Check if updating to a duplicate email
+    if (req.body.email && req.body.email.toLowerCase() !== faculty.email) {
+      const duplicateFaculty = await Faculty.findOne({
+        email: req.body.email.toLowerCase(),
+        _id: { $ne: faculty._id }
+      });
+
+      if (duplicateFaculty) {
+        return res.status(400).json({
+          success: false,
+          error: 'Faculty member with this email already exists'
+        });
+      }
+    }
+
+    // Check if new department exists
+    if (req.body.department && req.body.department !== faculty.department.toString()) {
+      const departmentExists = await Department.findById(req.body.department);
+      if (!departmentExists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Department not found'
+        });
+      }
+    }
+
+    const previousDepartment = faculty.department;
+    const wasCounted = countsTowardsDepartment(faculty);
+
+    Object.keys(req.body).forEach(key => {
+      faculty[key] = req.body[key];
+    });
+
+    const isCounted = countsTowardsDepartment(faculty);
+    const departmentChanged = previousDepartment.toString() !== faculty.department.toString();
+
+    await withTransaction(async (session) => {
+      await faculty.save({ session });
+
+      // Move the member between department counts on a transfer or status change
+      if (departmentChanged) {
+        await adjustFacultyCount(previousDepartment, wasCounted ? -1 : 0, session);
+        await adjustFacultyCount(faculty.department, isCounted ? 1 : 0, session);
+      } else if (wasCounted !== isCounted) {
+        await adjustFacultyCount(faculty.department, isCounted ? 1 : -1, session);
+      }
+    });
+
+    const populatedFaculty = await Faculty.findById(faculty._id)
+      .populate('department', 'departmentName departmentCode');
+
+    res.status(200).json({
+      success: true,
+      message: 'Faculty member updated successfully',
+      data: populatedFaculty
+    });
+  } catch (error) {
+    console.error('Error in updateFaculty:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Faculty member with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a faculty member who no longer teaches or leads anything
+ * @route   DELETE /api/faculty/:id
+ * @access  Private (admin, registrar)
+ */
+exports.deleteFaculty = async (req, res) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id);
+
+    if (!faculty) {
+      return res.status(404).json({
+        success: false,
+        error: 'Faculty member not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, faculty.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    // Check if the member is still referenced
+    const [courseCount, classCount, departmentCount] = await Promise.all([
+      Course.countDocuments({ instructor: faculty._id }),
+      Class.countDocuments({ classTeacher: faculty._id }),
+      Department.countDocuments({ headOfDepartment: faculty._id })
+    ]);
+
+    if (courseCount > 0 || classCount > 0 || departmentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete faculty member. They teach ${courseCount} courses, lead ${classCount} classes, and head ${departmentCount} departments. Reassign them or set the status to Inactive.`
+      });
+    }
+
+    await withTransaction(async (session) => {
+      await Faculty.deleteOne({ _id: faculty._id }, { session });
+      await adjustFacultyCount(faculty.department, countsTowardsDepartment(faculty) ? -1 : 0, session);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Faculty member deleted successfully',
+      data: {
+        id: faculty._id,
+        name: faculty.name,
+        email: faculty.email
+      }
+    });
+  } catch (error) {
+    console.error('Error in deleteFaculty:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to tell whether a member counts towards Department.totalFaculty
+function countsTowardsDepartment(faculty) {
+  return Faculty.COUNTED_STATUSES.includes(faculty.status);
+}
+
+// Helper function to move a department's faculty count, never below zero
+async function adjustFacultyCount(departmentId, change, session) {
+  if (change === 0) return;
+
+  await Department.updateOne(
+    change < 0 ? { _id: departmentId, totalFaculty: { $gt: 0 } } : { _id: departmentId },
+    { $inc: { totalFaculty: change } },
+    { session }
+  );
+}
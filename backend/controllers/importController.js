@@ -0,0 +1,89 @@
+const { planStudentImport, applyStudentImport } = require('../utils/studentImport');
+const { SeatUnavailableError } = require('../utils/seats');
+
+/**
+ * @desc    Import students from a CSV or XLSX file. Without apply, a dry run
+ *          that reports on every row; with apply, imports all rows or none.
+ * @route   POST /api/students/import (multipart: file, apply)
+ * @access  Private (admin, registrar)
+ */
+exports.importStudents = async (req, res) => {
+  try {
+    // Dry run unless explicitly asked to apply
+    const apply = req.body.apply === true || req.body.apply === 'true' || req.query.apply === 'true';
+    const { problem, report, plan } = await planStudentImport(req.file);
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    if (!apply) {
+      return res.status(200).json({
+        success: true,
+        message: `${report.summary.valid} of ${report.summary.rows} row(s) can be imported (dry run, nothing imported)`,
+        ...report
+      });
+    }
+
+    if (report.summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${report.summary.invalid} row(s) are invalid. Nothing was imported; fix them and upload the file again.`,
+        summary: report.summary,
+        rows: report.rows.filter(row => !row.valid)
+      });
+    }
+
+    const students = await applyStudentImport(req, plan);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${students.length} student(s)`,
+      summary: report.summary,
+      data: students.map(student => ({
+        id: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber
+      }))
+    });
+  } catch (error) {
+    console.error('Error in importStudents:', error);
+
+    if (error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: `${error.message}. Nothing was imported; run the dry run again.`
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: `${duplicateKeyMessage(error)} Nothing was imported; run the dry run again.`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to name the unique key an import collided with
+function duplicateKeyMessage(error) {
+  const keyValue = error.keyValue || {};
+  const fields = Object.keys(keyValue);
+
+  if (fields.includes('student') && fields.includes('course')) {
+    return `Student ${keyValue.student} is already enrolled in course ${keyValue.course}.`;
+  }
+  if (fields.length === 0) {
+    return 'A record in the file was created meanwhile.';
+  }
+  return `A student with ${fields.map(field => `${field} ${keyValue[field]}`).join(', ')} was created meanwhile.`;
+}
@@ -0,0 +1,98 @@
+const Notification = require('../models/Notification');
+const Student = require('../models/Student');
+const {
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Get a student's notifications, newest first
+ * @route   GET /api/students/:id/notifications?unread=true
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getStudentNotifications = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('department');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const filter = { student: student._id };
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(filter)
+        .populate('course', 'courseName courseCode')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Notification.countDocuments({ student: student._id, read: false })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unread,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error in getStudentNotifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/students/:id/notifications/:notificationId/read
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('department');
+    if (student && isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      student: req.params.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error in markNotificationRead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,75 @@
+const {
+  OneRosterError,
+  buildOneRosterExport,
+  readOneRosterBundle,
+  importOneRoster
+} = require('../utils/oneroster');
+
+/**
+ * @desc    Export departments, courses, classes, students and their
+ *          enrollments as a OneRoster 1.1 CSV bundle
+ * @route   GET /api/oneroster/export
+ * @access  Private (admin, registrar)
+ */
+exports.exportOneRoster = async (req, res) => {
+  try {
+    const bundle = await buildOneRosterExport();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=oneroster-${stamp}.zip`);
+    res.status(200).send(bundle);
+  } catch (error) {
+    console.error('Error in exportOneRoster:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create or update departments, courses, classes and students from a
+ *          OneRoster 1.1 CSV bundle, matched by sourcedId. Without apply, a
+ *          dry run that reports what would change.
+ * @route   POST /api/oneroster/import (multipart: file, apply)
+ * @access  Private (admin, registrar)
+ */
+exports.importOneRoster = async (req, res) => {
+  try {
+    // Dry run unless explicitly asked to apply
+    const apply = req.body.apply === true || req.body.apply === 'true' || req.query.apply === 'true';
+    const files = readOneRosterBundle(req.file.buffer);
+    const report = await importOneRoster(req, files, { apply });
+
+    const totals = Object.values(report.summary).reduce((sum, counts) => ({
+      create: sum.create + counts.create,
+      update: sum.update + counts.update,
+      error: sum.error + counts.error
+    }), { create: 0, update: 0, error: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: apply ?
+        `Created ${totals.create} and updated ${totals.update} record(s); ${totals.error} rejected` :
+        `${totals.create} record(s) would be created and ${totals.update} updated; ${totals.error} rejected (dry run, nothing imported)`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error in importOneRoster:', error);
+
+    if (error instanceof OneRosterError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
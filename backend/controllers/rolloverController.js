@@ -0,0 +1,78 @@
+const Department = require('../models/Department');
+const { planRollover, applyRollover } = require('../utils/rollover');
+
+/**
+ * @desc    Roll classes and students over into the next academic year:
+ *          preview the outcome, or carry it out in apply mode
+ * @route   POST /api/classes/rollover
+ * @access  Private (admin, registrar)
+ */
+exports.rolloverAcademicYear = async (req, res) => {
+  try {
+    const { fromYear, department, mode = 'preview', allowPartial = false } = req.body;
+    const minimumCgpa = req.body.minimumCgpa === undefined ? undefined : parseFloat(req.body.minimumCgpa);
+
+    if (department) {
+      const departmentExists = await Department.findById(department);
+      if (!departmentExists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Department not found'
+        });
+      }
+    }
+
+    const plan = await planRollover({ fromYear, department, minimumCgpa });
+
+    if (plan.classes.completed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No active classes with a level found for ${fromYear}`,
+        summary: plan.summary,
+        skipped: plan.classes.skipped
+      });
+    }
+
+    if (mode !== 'apply') {
+      return res.status(200).json({
+        success: true,
+        mode: 'preview',
+        ...plan
+      });
+    }
+
+    if (plan.students.unplaced.length > 0 && !allowPartial) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some students have no seat next year. Add classes or capacity, or send allowPartial: true.',
+        summary: plan.summary,
+        unplaced: plan.students.unplaced
+      });
+    }
+
+    const result = await applyRollover(plan, req);
+
+    res.status(200).json({
+      success: true,
+      mode: 'apply',
+      message: `Rolled ${plan.fromYear} over into ${plan.toYear}`,
+      ...plan,
+      result
+    });
+  } catch (error) {
+    console.error('Error in rolloverAcademicYear:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A class for the next academic year was created meanwhile. Preview the rollover again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
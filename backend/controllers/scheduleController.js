@@ -0,0 +1,321 @@
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
+const Student = require('../models/Student');
+const {
+  parseTime,
+  instructorOf,
+  toScheduleEntry,
+  loadScheduleEntries,
+  findAllConflicts,
+  overlap
+} = require('../utils/schedule');
+const { DEFAULT_DAYS, DEFAULT_TIME_SLOTS, solveTimetable } = require('../utils/timetable');
+const { withTransaction } = require('../utils/transaction');
+const { withBulkAudit } = require('../utils/audit');
+const { getDepartmentScope } = require('../utils/departmentScope');
+
+/**
+ * @desc    Report every current timetable clash: double-booked rooms and
+ *          instructors, and students with overlapping class/course sessions
+ * @route   GET /api/schedule/conflicts?type=room|instructor|student&department=
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getScheduleConflicts = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const department = getDepartmentScope(req) || req.query.department;
+
+    const entries = await loadScheduleEntries();
+    const entryIndex = new Map(entries.map(entry => [`${entry.kind}:${entry.id}`, entry]));
+
+    let resourceConflicts = [];
+    if (!type || type === 'room' || type === 'instructor') {
+      resourceConflicts = findAllConflicts(entries)
+        .filter(conflict => !type || conflict.type === type);
+
+      if (department) {
+        resourceConflicts = resourceConflicts.filter(conflict => conflict.between.some(side =>
+          (entryIndex.get(`${side.kind}:${side.id}`) || {}).department === department.toString()
+        ));
+      }
+    }
+
+    let studentClashes = [];
+    if (!type || type === 'student') {
+      const studentFilter = { status: 'Active' };
+      if (department) studentFilter.department = department;
+
+      const students = await Student.find(studentFilter)
+        .select('name rollNumber class courses')
+        .lean();
+
+      students.forEach(student => {
+        const timetable = [
+          entryIndex.get(`class:${student.class}`),
+          ...(student.courses || []).map(courseId => entryIndex.get(`course:${courseId}`))
+        ].filter(Boolean);
+
+        timetable.forEach((entry, index) => {
+          timetable.slice(index + 1).forEach(other => {
+            const window = overlap(entry, other);
+            if (window) {
+              studentClashes.push({
+                type: 'student',
+                student: { id: student._id, name: student.name, rollNumber: student.rollNumber },
+                between: [
+                  { kind: entry.kind, id: entry.id, label: entry.label },
+                  { kind: other.kind, id: other.id, label: other.label }
+                ],
+                ...window
+              });
+            }
+          });
+        });
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      summary: {
+        room: resourceConflicts.filter(conflict => conflict.type === 'room').length,
+        instructor: resourceConflicts.filter(conflict => conflict.type === 'instructor').length,
+        student: studentClashes.length
+      },
+      data: {
+        resources: resourceConflicts,
+        students: studentClashes
+      }
+    });
+  } catch (error) {
+    console.error('Error in getScheduleConflicts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Propose a conflict-free weekly timetable for the active courses of
+ *          a semester, and write it to Course.schedule in apply mode
+ * @route   POST /api/schedule/generate
+ * @access  Private (admin, registrar, hod)
+ */
+exports.generateTimetable = async (req, res) => {
+  try {
+    const {
+      semester,
+      mode = 'preview',
+      keepExisting = false,
+      allowPartial = false,
+      days = DEFAULT_DAYS,
+      timeSlots = DEFAULT_TIME_SLOTS,
+      instructorAvailability = []
+    } = req.body;
+    const department = getDepartmentScope(req) || req.body.department;
+
+    const [classes, termCourses, departments] = await Promise.all([
+      Class.find({ status: 'Active' })
+        .select('className section academicYear department classTeacher schedule')
+        .populate('classTeacher', 'name')
+        .lean(),
+      Course.find({ status: 'Active', semester })
+        .select('courseName courseCode department year semester courseType creditHours maxStudents instructor schedule')
+        .populate('instructor', 'name email')
+        .lean(),
+      Department.find({ status: 'Active' }).select('location').lean()
+    ]);
+
+    // Courses to place; the rest of the term (and every class) stays fixed
+    const toSchedule = termCourses.filter(course =>
+      (!department || course.department.toString() === department.toString()) &&
+      !(keepExisting && toScheduleEntry(course, 'course'))
+    );
+    if (toSchedule.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${semester} courses to schedule`
+      });
+    }
+
+    const scheduledIds = new Set(toSchedule.map(course => course._id.toString()));
+    const currentEntries = [
+      ...classes.map(doc => toScheduleEntry(doc, 'class')),
+      ...termCourses.map(doc => toScheduleEntry(doc, 'course'))
+    ].filter(Boolean);
+    const fixed = currentEntries.filter(entry =>
+      !(entry.kind === 'course' && scheduledIds.has(entry.id))
+    );
+
+    // Rooms: as given, or each department's room plus every room in use
+    const departmentRooms = new Map();
+    const addDepartmentRoom = (departmentId, room) => {
+      const name = (room || '').trim().toUpperCase();
+      if (!departmentId || !name) return;
+      const key = departmentId.toString();
+      if (!departmentRooms.has(key)) departmentRooms.set(key, new Set());
+      departmentRooms.get(key).add(name);
+    };
+    departments.forEach(doc => addDepartmentRoom(doc._id, doc.location && doc.location.room));
+    currentEntries.forEach(entry => addDepartmentRoom(entry.department, entry.room));
+
+    const rooms = req.body.rooms ?
+      req.body.rooms.map(room => ({ name: room.name.trim().toUpperCase(), capacity: room.capacity })) :
+      [...new Set([...departmentRooms.values()].flatMap(names => [...names]))]
+        .map(name => ({ name }));
+
+    if (rooms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No rooms available. Set department locations or pass rooms in the request.'
+      });
+    }
+
+    // Availability is given per faculty member, by id or email
+    const facultyByEmail = new Map(
+      (await Faculty.find({
+        email: { $in: instructorAvailability.map(window => window.instructor.trim().toLowerCase()) }
+      }).select('email').lean()).map(faculty => [faculty.email, faculty._id.toString()])
+    );
+    const availability = new Map();
+    instructorAvailability.forEach(window => {
+      const instructor = window.instructor.trim().toLowerCase();
+      const key = facultyByEmail.get(instructor) || instructor;
+      if (!availability.has(key)) availability.set(key, []);
+      availability.get(key).push({
+        days: window.days,
+        start: parseTime(window.start || '00:00'),
+        end: parseTime(window.end || '23:59')
+      });
+    });
+
+    // Students taking the courses must not have two sessions at once
+    const students = await Student.find({ status: 'Active', courses: { $in: [...scheduledIds] } })
+      .select('class courses')
+      .lean();
+
+    const fixedIndex = new Map(fixed.map(entry => [`${entry.kind}:${entry.id}`, entry]));
+    const sharedStudents = new Set();
+    const blockedEntries = new Map();
+    students.forEach(student => {
+      const courseIds = (student.courses || []).map(courseId => courseId.toString());
+      const taking = courseIds.filter(courseId => scheduledIds.has(courseId));
+      const busy = [
+        fixedIndex.get(`class:${student.class}`),
+        ...courseIds.map(courseId => fixedIndex.get(`course:${courseId}`))
+      ].filter(Boolean);
+
+      taking.forEach(courseId => {
+        taking.forEach(otherId => {
+          if (otherId !== courseId) sharedStudents.add(`${courseId}|${otherId}`);
+        });
+        if (!blockedEntries.has(courseId)) blockedEntries.set(courseId, new Map());
+        busy.forEach(entry => blockedEntries.get(courseId).set(`${entry.kind}:${entry.id}`, entry));
+      });
+    });
+
+    const result = solveTimetable({
+      courses: toSchedule.map(course => {
+        const id = course._id.toString();
+        return {
+          id,
+          label: course.courseCode,
+          creditHours: course.creditHours,
+          maxStudents: course.maxStudents,
+          // Core courses of a department's year are taken together
+          cohort: course.courseType === 'Core' ? `${course.department}:${course.year}` : null,
+          instructor: instructorOf(course.instructor),
+          preferredRooms: [...(departmentRooms.get(course.department.toString()) || [])],
+          blockedEntries: [...(blockedEntries.get(id) || new Map()).values()]
+        };
+      }),
+      rooms,
+      days,
+      timeSlots,
+      fixed,
+      availability,
+      sharedStudents
+    });
+
+    const proposed = toSchedule
+      .filter(course => result.assignments.has(course._id.toString()))
+      .map(course => {
+        const assignment = result.assignments.get(course._id.toString());
+        const current = course.schedule || {};
+        return {
+          course: { id: course._id, courseCode: course.courseCode, courseName: course.courseName },
+          instructor: course.instructor ? course.instructor.name : null,
+          schedule: {
+            days: assignment.days,
+            time: { start: assignment.start, end: assignment.end },
+            room: assignment.room
+          },
+          previous: current.days && current.days.length > 0 ? current : null
+        };
+      })
+      .sort((a, b) => a.course.courseCode.localeCompare(b.course.courseCode));
+
+    const summary = {
+      semester,
+      courses: toSchedule.length,
+      scheduled: proposed.length,
+      unscheduled: result.unscheduled.length,
+      rooms: rooms.length,
+      complete: result.complete
+    };
+
+    if (mode !== 'apply') {
+      return res.status(200).json({
+        success: true,
+        mode: 'preview',
+        summary,
+        data: proposed,
+        unscheduled: result.unscheduled
+      });
+    }
+
+    if (!result.complete && !allowPartial) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some courses could not be scheduled. Fix the constraints or send allowPartial: true.',
+        summary,
+        unscheduled: result.unscheduled
+      });
+    }
+
+    if (proposed.length > 0) {
+      await withTransaction(async (session) => {
+        await withBulkAudit(
+          req,
+          { model: Course, entityType: 'Course', ids: proposed.map(item => item.course.id), context: 'timetable generator' },
+          session,
+          () => Course.bulkWrite(proposed.map(item => ({
+            updateOne: {
+              filter: { _id: item.course.id },
+              update: { $set: { schedule: item.schedule } }
+            }
+          })), { session })
+        );
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      mode: 'apply',
+      message: `Timetable applied to ${proposed.length} course(s)`,
+      summary,
+      data: proposed,
+      unscheduled: result.unscheduled
+    });
+  } catch (error) {
+    console.error('Error in generateTimetable:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
@@ -1,12 +1,59 @@
 const Student = require('../models/Student');
-const Class = require('../models/Class');
 const Department = require('../models/Department');
-const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Waitlist = require('../models/Waitlist');
+const { recordWithdrawals } = require('../utils/enrollment');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { withTransaction } = require('../utils/transaction');
+const { snapshot, diffSnapshots } = require('../utils/audit');
+const { moveToTrash, purgeDate } = require('../utils/trash');
+const { getVersionHistory, getVersion, getVersionAsOf } = require('../utils/versions');
+const { validateStudentData } = require('../utils/studentImport');
+const { buildStudentFilter } = require('../utils/filters');
+const { streamExport } = require('../utils/export');
+const {
+  planNewStudent,
+  saveNewStudent,
+  planStudentChanges,
+  saveStudentChanges
+} = require('../utils/studentWrites');
+const {
+  SeatUnavailableError,
+  releaseClassSeat,
+  releaseCourseSeats
+} = require('../utils/seats');
+const {
+  applyDepartmentScope,
+  departmentScopeStage,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+// Related documents shown with a single student
+const STUDENT_DETAIL_POPULATE = [
+  { path: 'class', select: 'className section classCode capacity currentStrength' },
+  {
+    path: 'department',
+    select: 'departmentName departmentCode headOfDepartment totalStudents',
+    populate: { path: 'headOfDepartment', select: 'name email phone' }
+  },
+  {
+    path: 'courses',
+    select: 'courseName courseCode creditHours semester year instructor',
+    populate: { path: 'instructor', select: 'name email' }
+  }
+];
+
+// Fields a revert leaves alone
+const REVERT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// Most students one bulk update may change
+const MAX_BULK_UPDATE = 500;
 
 /**
  * @desc    Get all students with pagination, filtering, and sorting
  * @route   GET /api/students
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.getAllStudents = async (req, res) => {
   try {
@@ -21,35 +68,10 @@ exports.getAllStudents = async (req, res) => {
     const sort = { [sortBy]: sortOrder };
 
     // Filtering
-    const filter = {};
-    
-    if (req.query.name) {
-      filter.name = { $regex: req.query.name, $options: 'i' };
-    }
-    if (req.query.rollNumber) {
-      filter.rollNumber = { $regex: req.query.rollNumber, $options: 'i' };
-    }
-    if (req.query.email) {
-      filter.email = { $regex: req.query.email, $options: 'i' };
-    }
-    if (req.query.class) {
-      filter.class = req.query.class;
-    }
-    if (req.query.department) {
-      filter.department = req.query.department;
-    }
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
-    if (req.query.gender) {
-      filter.gender = req.query.gender;
-    }
-    if (req.query.academicYear) {
-      filter.academicYear = req.query.academicYear;
-    }
-    if (req.query.city) {
-      filter['address.city'] = { $regex: req.query.city, $options: 'i' };
-    }
+    const filter = buildStudentFilter(req.query);
+
+    // Department-bound users only see their own department
+    applyDepartmentScope(req, filter);
 
     // Get total count for pagination
     const totalStudents = await Student.countDocuments(filter);
@@ -96,16 +118,18 @@ exports.getAllStudents = async (req, res) => {
 };
 
 /**
- * @desc    Get single student by ID
- * @route   GET /api/students/:id
- * @access  Public
+ * @desc    Get single student by ID, or the student as it was at a point in time
+ * @route   GET /api/students/:id?asOf=<date>
+ * @access  Private (admin, registrar, hod, teacher, or the student/guardian)
  */
 exports.getStudentById = async (req, res) => {
   try {
+    if (req.query.asOf) {
+      return sendStudentAsOf(req, res, new Date(req.query.asOf));
+    }
+
     const student = await Student.findById(req.params.id)
-      .populate('class', 'className section classCode capacity currentStrength')
-      .populate('department', 'departmentName departmentCode headOfDepartment totalStudents')
-      .populate('courses', 'courseName courseCode creditHours semester year instructor')
+      .populate(STUDENT_DETAIL_POPULATE)
       .lean();
 
     if (!student) {
@@ -115,9 +139,11 @@ exports.getStudentById = async (req, res) => {
       });
     }
 
-    // Add virtual fields
-    student.fullAddress = `${student.address.street}, ${student.address.city}, ${student.address.state} ${student.address.zipCode}`;
-    student.age = calculateAge(student.dateOfBirth);
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    addComputedFields(student);
 
     res.status(200).json({
       success: true,
@@ -136,111 +162,28 @@ exports.getStudentById = async (req, res) => {
 /**
  * @desc    Create new student
  * @route   POST /api/students
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.createStudent = async (req, res) => {
   try {
-    // Check if roll number already exists
-    const existingStudent = await Student.findOne({ 
-      rollNumber: req.body.rollNumber 
-    });
-    
-    if (existingStudent) {
-      return res.status(400).json({
-        success: false,
-        error: 'Roll number already exists'
-      });
+    if (isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
     }
 
-    // Check if email already exists
-    const existingEmail = await Student.findOne({ 
-      email: req.body.email.toLowerCase() 
-    });
-    
-    if (existingEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email already exists'
-      });
-    }
-
-    // Check if class exists
-    const classExists = await Class.findById(req.body.class);
-    if (!classExists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Class not found'
-      });
-    }
-
-    // Check if class has available seats
-    if (classExists.currentStrength >= classExists.capacity) {
-      return res.status(400).json({
-        success: false,
-        error: 'Class is full. No more seats available'
-      });
-    }
-
-    // Check if department exists
-    const departmentExists = await Department.findById(req.body.department);
-    if (!departmentExists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Department not found'
-      });
-    }
-
-    // Check if courses exist
-    if (req.body.courses && req.body.courses.length > 0) {
-      const coursesExist = await Course.find({ 
-        _id: { $in: req.body.courses } 
-      });
-      
-      if (coursesExist.length !== req.body.courses.length) {
-        return res.status(404).json({
-          success: false,
-          error: 'One or more courses not found'
-        });
-      }
+    // Timetable clashes with the student's courses need an explicit override
+    const options = { allowScheduleConflicts: req.body.allowScheduleConflicts === true };
+    delete req.body.allowScheduleConflicts;
 
-      // Check if courses have available seats
-      const fullCourses = coursesExist.filter(course => 
-        course.enrolledStudents >= course.maxStudents
-      );
-      
-      if (fullCourses.length > 0) {
-        return res.status(400).json({
-          success: false,
-          error: `Course(s) ${fullCourses.map(c => c.courseCode).join(', ')} are full`
-        });
-      }
+    const { problem, plan } = await planNewStudent(req.body, options);
+    if (problem) {
+      const { status, ...details } = problem;
+      return res.status(status).json({ success: false, ...details });
     }
 
-    // Create student
-    const studentData = {
-      ...req.body,
-      email: req.body.email.toLowerCase(),
-      rollNumber: req.body.rollNumber.toUpperCase()
-    };
-
-    const student = new Student(studentData);
-    await student.save();
-
-    // Update class current strength
-    classExists.currentStrength += 1;
-    await classExists.save();
-
-    // Update department student count
-    departmentExists.totalStudents += 1;
-    await departmentExists.save();
-
-    // Update course enrolled students count
-    if (req.body.courses && req.body.courses.length > 0) {
-      await Course.updateMany(
-        { _id: { $in: req.body.courses } },
-        { $inc: { enrolledStudents: 1 } }
-      );
-    }
+    // Student, seat counters and enrollment history are written together
+    const student = await withTransaction(session =>
+      saveNewStudent(req, req.body, plan, session)
+    );
 
     // Populate and return created student
     const populatedStudent = await Student.findById(student._id)
@@ -255,6 +198,13 @@ exports.createStudent = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in createStudent:', error);
+
+    if (error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -276,7 +226,7 @@ exports.createStudent = async (req, res) => {
 /**
  * @desc    Update student
  * @route   PUT /api/students/:id
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.updateStudent = async (req, res) => {
   try {
@@ -289,141 +239,25 @@ exports.updateStudent = async (req, res) => {
       });
     }
 
-    // Check if updating email and if it already exists (excluding current student)
-    if (req.body.email && req.body.email !== student.email) {
-      const existingEmail = await Student.findOne({ 
-        email: req.body.email.toLowerCase(),
-        _id: { $ne: student._id }
-      });
-      
-      if (existingEmail) {
-        return res.status(400).json({
-          success: false,
-          error: 'Email already exists'
-        });
-      }
-      req.body.email = req.body.email.toLowerCase();
-    }
-
-    // Check if updating roll number and if it already exists
-    if (req.body.rollNumber && req.body.rollNumber !== student.rollNumber) {
-      const existingRollNumber = await Student.findOne({ 
-        rollNumber: req.body.rollNumber.toUpperCase(),
-        _id: { $ne: student._id }
-      });
-      
-      if (existingRollNumber) {
-        return res.status(400).json({
-          success: false,
-          error: 'Roll number already exists'
-        });
-      }
-      req.body.rollNumber = req.body.rollNumber.toUpperCase();
+    if (isOutsideDepartmentScope(req, student.department) ||
+        isOutsideDepartmentScope(req, req.body.department)) {
+      return departmentScopeForbidden(res);
     }
 
-    // Handle class change
-    if (req.body.class && req.body.class !== student.class.toString()) {
-      const oldClass = await Class.findById(student.class);
-      const newClass = await Class.findById(req.body.class);
-      
-      if (!newClass) {
-        return res.status(404).json({
-          success: false,
-          error: 'New class not found'
-        });
-      }
-
-      if (newClass.currentStrength >= newClass.capacity) {
-        return res.status(400).json({
-          success: false,
-          error: 'New class is full'
-        });
-      }
-
-      // Update class counts
-      if (oldClass) {
-        oldClass.currentStrength -= 1;
-        await oldClass.save();
-      }
-      
-      newClass.currentStrength += 1;
-      await newClass.save();
-    }
-
-    // Handle department change
-    if (req.body.department && req.body.department !== student.department.toString()) {
-      const oldDepartment = await Department.findById(student.department);
-      const newDepartment = await Department.findById(req.body.department);
-      
-      if (!newDepartment) {
-        return res.status(404).json({
-          success: false,
-          error: 'New department not found'
-        });
-      }
-
-      // Update department counts
-      if (oldDepartment) {
-        oldDepartment.totalStudents -= 1;
-        await oldDepartment.save();
-      }
-      
-      newDepartment.totalStudents += 1;
-      await newDepartment.save();
-    }
-
-    // Handle courses change
-    if (req.body.courses) {
-      const oldCourses = student.courses.map(c => c.toString());
-      const newCourses = req.body.courses;
-      
-      // Find courses to remove
-      const coursesToRemove = oldCourses.filter(courseId => 
-        !newCourses.includes(courseId)
-      );
-      
-      // Find courses to add
-      const coursesToAdd = newCourses.filter(courseId => 
-        !oldCourses.includes(courseId)
-      );
-
-      // Remove student from old courses
-      if (coursesToRemove.length > 0) {
-        await Course.updateMany(
-          { _id: { $in: coursesToRemove } },
-          { $inc: { enrolledStudents: -1 } }
-        );
-      }
+    // Kept by the OneRoster import
+    delete req.body.sourcedId;
 
-      // Add student to new courses (check capacity first)
-      if (coursesToAdd.length > 0) {
-        const coursesToAddData = await Course.find({ _id: { $in: coursesToAdd } });
-        
-        const fullCourses = coursesToAddData.filter(course => 
-          course.enrolledStudents >= course.maxStudents
-        );
-        
-        if (fullCourses.length > 0) {
-          return res.status(400).json({
-            success: false,
-            error: `Course(s) ${fullCourses.map(c => c.courseCode).join(', ')} are full`
-          });
-        }
+    // Timetable clashes with the student's courses need an explicit override
+    const options = { allowScheduleConflicts: req.body.allowScheduleConflicts === true };
+    delete req.body.allowScheduleConflicts;
 
-        await Course.updateMany(
-          { _id: { $in: coursesToAdd } },
-          { $inc: { enrolledStudents: 1 } }
-        );
-      }
+    const { problem, plan } = await planStudentChanges(student, req.body, options);
+    if (problem) {
+      const { status, ...details } = problem;
+      return res.status(status).json({ success: false, ...details });
     }
 
-    // Update student
-    Object.keys(req.body).forEach(key => {
-      student[key] = req.body[key];
-    });
-
-    student.updatedAt = Date.now();
-    await student.save();
+    await saveStudentChanges(req, student, req.body, plan);
 
     // Populate and return updated student
     const populatedStudent = await Student.findById(student._id)
@@ -438,6 +272,13 @@ exports.updateStudent = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in updateStudent:', error);
+
+    if (error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -457,9 +298,9 @@ exports.updateStudent = async (req, res) => {
 };
 
 /**
- * @desc    Delete student
+ * @desc    Delete student: move it to the trash, from where it can be restored until it is purged
  * @route   DELETE /api/students/:id
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.deleteStudent = async (req, res) => {
   try {
@@ -472,38 +313,50 @@ exports.deleteStudent = async (req, res) => {
       });
     }
 
-    // Update class current strength
-    const classData = await Class.findById(student.class);
-    if (classData) {
-      classData.currentStrength -= 1;
-      await classData.save();
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
     }
 
-    // Update department student count
-    const departmentData = await Department.findById(student.department);
-    if (departmentData) {
-      departmentData.totalStudents -= 1;
-      await departmentData.save();
-    }
+    // Counters, enrollment history and the student are removed together
+    await withTransaction(async (session) => {
+      await releaseClassSeat(student.class, session);
 
-    // Update course enrolled students count
-    if (student.courses && student.courses.length > 0) {
-      await Course.updateMany(
-        { _id: { $in: student.courses } },
-        { $inc: { enrolledStudents: -1 } }
+      await Department.updateOne(
+        { _id: student.department, totalStudents: { $gt: 0 } },
+        { $inc: { totalStudents: -1 } },
+        { session }
+      );
+
+      if (student.courses && student.courses.length > 0) {
+        await releaseCourseSeats(student.courses, session);
+        await recordWithdrawals(student._id, student.courses, {
+          reason: 'Student record deleted',
+          session
+        });
+      }
+
+      await Waitlist.updateMany(
+        { student: student._id, status: { $in: ['Waiting', 'Offered'] } },
+        { $set: { status: 'Removed', respondedAt: new Date() } },
+        { session }
       );
-    }
 
-    // Delete student
-    await Student.findByIdAndDelete(req.params.id);
+      await moveToTrash(req, student, 'Student', session);
+    });
+
+    // Pass the freed seats on to the course waitlists
+    for (const courseId of student.courses) {
+      await promoteFromWaitlist(courseId);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Student deleted successfully',
+      message: 'Student moved to the trash',
       data: {
         id: req.params.id,
         name: student.name,
-        rollNumber: student.rollNumber
+        rollNumber: student.rollNumber,
+        purgeAfter: purgeDate(student)
       }
     });
   } catch (error) {
@@ -519,88 +372,23 @@ exports.deleteStudent = async (req, res) => {
 /**
  * @desc    Search students with advanced filtering
  * @route   GET /api/students/search
- * @access  Public
+ * @access  Private (admin, registrar, hod, teacher)
  */
 exports.searchStudents = async (req, res) => {
   try {
     const {
-      q, // General search query
-      name,
-      rollNumber,
-      email,
-      phone,
-      class: classId,
-      department,
-      status,
-      gender,
-      academicYear,
-      city,
-      state,
-      minAge,
-      maxAge,
-      enrollmentDateFrom,
-      enrollmentDateTo,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       page = 1,
       limit = 10
     } = req.query;
 
-    const filter = {};
+    const filter = buildStudentFilter(req.query);
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
-    // General search across multiple fields
-    if (q) {
-      filter.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { rollNumber: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { phone: { $regex: q, $options: 'i' } },
-        { 'guardianInfo.name': { $regex: q, $options: 'i' } },
-        { 'address.city': { $regex: q, $options: 'i' } }
-      ];
-    }
-
-    // Specific field filters
-    if (name) filter.name = { $regex: name, $options: 'i' };
-    if (rollNumber) filter.rollNumber = { $regex: rollNumber, $options: 'i' };
-    if (email) filter.email = { $regex: email, $options: 'i' };
-    if (phone) filter.phone = { $regex: phone, $options: 'i' };
-    if (classId) filter.class = classId;
-    if (department) filter.department = department;
-    if (status) filter.status = status;
-    if (gender) filter.gender = gender;
-    if (academicYear) filter.academicYear = academicYear;
-    if (city) filter['address.city'] = { $regex: city, $options: 'i' };
-    if (state) filter['address.state'] = { $regex: state, $options: 'i' };
-
-    // Date range filters
-    if (enrollmentDateFrom || enrollmentDateTo) {
-      filter.enrollmentDate = {};
-      if (enrollmentDateFrom) {
-        filter.enrollmentDate.$gte = new Date(enrollmentDateFrom);
-      }
-      if (enrollmentDateTo) {
-        filter.enrollmentDate.$lte = new Date(enrollmentDateTo);
-      }
-    }
-
-    // Age range filter (calculated from date of birth)
-    if (minAge || maxAge) {
-      const today = new Date();
-      const maxDate = minAge ? 
-        new Date(today.getFullYear() - minAge, today.getMonth(), today.getDate()) : 
-        new Date('1900-01-01');
-      
-      const minDate = maxAge ? 
-        new Date(today.getFullYear() - maxAge - 1, today.getMonth(), today.getDate()) : 
-        new Date();
-      
-      filter.dateOfBirth = {};
-      if (minAge) filter.dateOfBirth.$lte = maxDate;
-      if (maxAge) filter.dateOfBirth.$gte = minDate;
-    }
+    // Department-bound users only see their own department
+    applyDepartmentScope(req, filter);
 
     // Get total count
     const totalStudents = await Student.countDocuments(filter);
@@ -676,11 +464,14 @@ exports.searchStudents = async (req, res) => {
 /**
  * @desc    Get student statistics
  * @route   GET /api/students/stats
- * @access  Public
+ * @access  Private (admin, registrar, hod)
  */
 exports.getStudentStats = async (req, res) => {
   try {
+    const scopeStage = departmentScopeStage(req);
+
     const stats = await Student.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: null,
@@ -736,6 +527,7 @@ exports.getStudentStats = async (req, res) => {
 
     // Department-wise statistics
     const departmentStats = await Student.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: '$department',
@@ -765,6 +557,7 @@ exports.getStudentStats = async (req, res) => {
 
     // Class-wise statistics
     const classStats = await Student.aggregate([
+      ...scopeStage,
       {
         $group: {
           _id: '$class',
@@ -831,13 +624,14 @@ exports.getStudentStats = async (req, res) => {
 };
 
 /**
- * @desc    Bulk create students
+ * @desc    Bulk create students, with the same checks, seats and counters as a single create.
+ *          With allOrNothing, no student is created unless all of them can be
  * @route   POST /api/students/bulk
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.bulkCreateStudents = async (req, res) => {
   try {
-    const { students } = req.body;
+    const { students, allOrNothing = false } = req.body;
     
     if (!Array.isArray(students) || students.length === 0) {
       return res.status(400).json({
@@ -854,75 +648,81 @@ exports.bulkCreateStudents = async (req, res) => {
       });
     }
 
-    const results = {
-      success: [],
-      errors: []
-    };
-
-    // Process each student
-    for (const studentData of students) {
-      try {
-        // Validate required fields
-        if (!studentData.name || !studentData.rollNumber || !studentData.email) {
-          results.errors.push({
-            student: studentData,
-            error: 'Missing required fields'
-          });
-          continue;
-        }
-
-        // Check duplicates
-        const existingStudent = await Student.findOne({
-          $or: [
-            { rollNumber: studentData.rollNumber },
-            { email: studentData.email }
-          ]
-        });
-
-        if (existingStudent) {
-          results.errors.push({
-            student: studentData,
-            error: 'Duplicate roll number or email'
-          });
-          continue;
-        }
+    // Check every student first; earlier ones hold their roll number, email and seats
+    const batch = { rollNumbers: new Map(), emails: new Map(), seats: new Map() };
+    const rows = [];
+    for (const [index, studentData] of students.entries()) {
+      rows.push(await checkBulkRow(studentData, index, batch));
+    }
 
-        // Create student
-        const student = new Student({
-          ...studentData,
-          email: studentData.email.toLowerCase(),
-          rollNumber: studentData.rollNumber.toUpperCase()
-        });
+    const accepted = rows.filter(row => row.errors.length === 0);
 
-        await student.save();
-        results.success.push({
-          id: student._id,
-          name: student.name,
-          rollNumber: student.rollNumber
+    if (allOrNothing) {
+      if (accepted.length < rows.length) {
+        return res.status(400).json({
+          success: false,
+          error: `${rows.length - accepted.length} of ${rows.length} students were rejected. No students were created`,
+          results: {
+            successful: 0,
+            failed: rows.length - accepted.length,
+            rows: rows.map(bulkRowResult)
+          }
         });
+      }
 
-      } catch (error) {
-        results.errors.push({
-          student: studentData,
-          error: error.message
-        });
+      await withTransaction(async (session) => {
+        for (const row of rows) {
+          row.student = await saveNewStudent(req, row.data, row.plan, session, 'bulk create');
+        }
+      });
+    } else {
+      // Each student is written on its own; one that fails leaves the others in place
+      for (const row of accepted) {
+        try {
+          row.student = await withTransaction(session =>
+            saveNewStudent(req, row.data, row.plan, session, 'bulk create')
+          );
+        } catch (error) {
+          if (error instanceof SeatUnavailableError) {
+            row.errors.push({ field: null, message: error.message });
+          } else if (error.code === 11000) {
+            row.errors.push({ field: null, message: 'Duplicate roll number or email' });
+          } else {
+            throw error;
+          }
+        }
       }
     }
 
+    const successful = rows.filter(row => row.student).length;
+
     res.status(201).json({
       success: true,
       message: `Processed ${students.length} students`,
       results: {
-        successful: results.success.length,
-        failed: results.errors.length,
-        details: {
-          success: results.success,
-          errors: results.errors
-        }
+        successful,
+        failed: rows.length - successful,
+        rows: rows.map(bulkRowResult)
       }
     });
   } catch (error) {
     console.error('Error in bulkCreateStudents:', error);
+
+    // Seats taken by someone else between the checks and the write
+    if (error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: `${error.message}. No students were created`
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate roll number or email. No students were created'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -932,37 +732,237 @@ exports.bulkCreateStudents = async (req, res) => {
 };
 
 /**
- * @desc    Export students data
+ * @desc    Bulk update students picked by ID or by the search filters, with the
+ *          same checks, seats and counters as a single update. Without apply, a
+ *          dry run that reports what each student would go through
+ * @route   PATCH /api/students/bulk
+ * @access  Private (admin, registrar)
+ */
+exports.bulkUpdateStudents = async (req, res) => {
+  try {
+    const { ids, filter: criteria, changes } = req.body;
+    // Dry run unless explicitly asked to apply
+    const apply = req.body.apply === true || req.body.apply === 'true' || req.query.apply === 'true';
+
+    if (isOutsideDepartmentScope(req, changes.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const selection = ids ? { _id: { $in: ids } } : buildStudentFilter(criteria);
+
+    // An empty filter would select every student
+    if (Object.keys(selection).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The filter has no criteria and would select every student'
+      });
+    }
+
+    const filter = applyDepartmentScope(req, selection);
+
+    const matched = await Student.countDocuments(filter);
+    if (matched > MAX_BULK_UPDATE) {
+      return res.status(400).json({
+        success: false,
+        error: `${matched} students match. Narrow the selection to ${MAX_BULK_UPDATE} or fewer`
+      });
+    }
+
+    const students = await Student.find(filter).sort({ rollNumber: 1 });
+
+    // Check every student first; earlier ones hold their seats in the new class
+    const seats = new Map();
+    const rows = [];
+    for (const student of students) {
+      rows.push(await checkBulkUpdateRow(student, changes, seats));
+    }
+
+    if (ids) {
+      const found = new Set(students.map(student => student._id.toString()));
+      [...new Set(ids)].filter(id => !found.has(id)).forEach(id => {
+        rows.push({ id, errors: [{ field: 'ids', message: 'Student not found' }] });
+      });
+    }
+
+    if (apply) {
+      // Each student is written on its own; one that fails leaves the others in place
+      for (const row of rows.filter(row => row.plan)) {
+        try {
+          await saveStudentChanges(req, row.student, row.changes, row.plan, 'bulk update');
+          row.updated = true;
+        } catch (error) {
+          if (error instanceof SeatUnavailableError) {
+            row.errors.push({ field: 'class', message: error.message });
+          } else if (error.name === 'ValidationError') {
+            Object.values(error.errors).forEach(err => row.errors.push({ field: err.path, message: err.message }));
+          } else {
+            throw error;
+          }
+        }
+      }
+    }
+
+    const results = rows.map(bulkUpdateRowResult);
+    const count = (status) => results.filter(row => row.status === status).length;
+
+    res.status(200).json({
+      success: true,
+      message: apply ?
+        `Updated ${count('updated')} of ${students.length} matching students` :
+        `${count('valid')} of ${students.length} matching students can be updated (dry run, nothing changed)`,
+      results: {
+        matched: students.length,
+        [apply ? 'updated' : 'valid']: count(apply ? 'updated' : 'valid'),
+        unchanged: count('unchanged'),
+        failed: count('rejected'),
+        rows: results
+      }
+    });
+  } catch (error) {
+    console.error('Error in bulkUpdateStudents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Export students matching the list and search filters, streamed as
+ *          JSON, CSV, XLSX, NDJSON or PDF, with the columns chosen in ?fields=
  * @route   GET /api/students/export
- * @access  Public
+ * @access  Private (admin, registrar)
  */
 exports.exportStudents = async (req, res) => {
   try {
-    const { format = 'json' } = req.query;
-    
-    const students = await Student.find()
-      .populate('class', 'className section')
-      .populate('department', 'departmentName departmentCode')
-      .populate('courses', 'courseName courseCode')
+    const filter = applyDepartmentScope(req, buildStudentFilter(req.query));
+
+    await streamExport(res, {
+      entityType: 'Student',
+      filter,
+      format: req.query.format,
+      fields: req.query.fields
+    });
+  } catch (error) {
+    console.error('Error in exportStudents:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the full enrollment history of a student
+ * @route   GET /api/students/:id/enrollments
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getStudentEnrollments = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id)
+      .select('name rollNumber department')
       .lean();
 
-    if (format === 'csv') {
-      // Convert to CSV
-      const csvData = convertToCSV(students);
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=students.csv');
-      return res.send(csvData);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
     }
 
-    // Default JSON format
+    const filter = { student: student._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.academicYear) filter.academicYear = req.query.academicYear;
+    if (req.query.semester) filter.semester = req.query.semester;
+
+    const enrollments = await Enrollment.find(filter)
+      .populate('course', 'courseName courseCode creditHours courseType')
+      .sort({ enrolledAt: -1 })
+      .lean();
+
+    // Status summary
+    const summary = enrollments.reduce((counts, enrollment) => {
+      counts[enrollment.status.toLowerCase()] += 1;
+      return counts;
+    }, { enrolled: 0, withdrawn: 0, completed: 0, failed: 0 });
+
     res.status(200).json({
       success: true,
-      count: students.length,
-      data: students
+      count: enrollments.length,
+      data: {
+        student: {
+          id: student._id,
+          name: student.name,
+          rollNumber: student.rollNumber
+        },
+        summary,
+        enrollments
+      }
     });
   } catch (error) {
-    console.error('Error in exportStudents:', error);
+    console.error('Error in getStudentEnrollments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the version history of a student, oldest first, with the fields each version changed
+ * @route   GET /api/students/:id/history
+ * @access  Private (admin, registrar, hod)
+ */
+exports.getStudentHistory = async (req, res) => {
+  try {
+    const [student, versions] = await Promise.all([
+      Student.findById(req.params.id).select('department').lean(),
+      getVersionHistory('Student', req.params.id)
+    ]);
+
+    if (!student && versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    // A deleted student is scoped by the department it was last in
+    const lastKnown = student || [...versions].reverse().find(version => version.data).data;
+    if (isOutsideDepartmentScope(req, lastKnown.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions.map((version, index) => ({
+        version: version.version,
+        action: version.action,
+        timestamp: version.timestamp,
+        actor: version.actor,
+        context: version.context,
+        requestId: version.requestId,
+        changes: version.action === 'baseline' ?
+          [] :
+          diffSnapshots(index > 0 ? versions[index - 1].data : null, version.data)
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getStudentHistory:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -971,6 +971,283 @@ exports.exportStudents = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Restore a student to an earlier version. Class, department and course
+ *          counters and the enrollment history are updated as for any other edit.
+ * @route   POST /api/students/:id/revert/:version
+ * @access  Private (admin, registrar)
+ */
+exports.revertStudent = async (req, res) => {
+  try {
+    const versionNumber = parseInt(req.params.version);
+    const [student, version] = await Promise.all([
+      Student.findById(req.params.id),
+      getVersion('Student', req.params.id, versionNumber)
+    ]);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${versionNumber} not found`
+      });
+    }
+
+    if (!version.data) {
+      return res.status(400).json({
+        success: false,
+        error: `Version ${versionNumber} is the deletion of the student and cannot be restored`
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department) ||
+        isOutsideDepartmentScope(req, version.data.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const changes = versionChanges(student, version.data);
+    const { problem, plan } = await planStudentChanges(student, changes);
+    if (problem) {
+      const { status, ...details } = problem;
+      return res.status(status).json({ success: false, ...details });
+    }
+
+    await saveStudentChanges(req, student, changes, plan, `revert to version ${versionNumber}`);
+
+    const populatedStudent = await Student.findById(student._id)
+      .populate('class', 'className section classCode')
+      .populate('department', 'departmentName departmentCode')
+      .populate('courses', 'courseName courseCode creditHours');
+
+    res.status(200).json({
+      success: true,
+      message: `Student reverted to version ${versionNumber}`,
+      data: populatedStudent
+    });
+  } catch (error) {
+    console.error('Error in revertStudent:', error);
+
+    if (error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to check one row of a bulk create with the same rules as a
+// single create, taking the roll numbers, emails and seats of earlier rows into account
+async function checkBulkRow(studentData, index, batch) {
+  const row = { index, rollNumber: studentData ? studentData.rollNumber : undefined, errors: [] };
+
+  if (!studentData || typeof studentData !== 'object' || Array.isArray(studentData)) {
+    row.errors.push({ field: null, message: 'Each student must be an object' });
+    return row;
+  }
+
+  const { data, errors } = await validateStudentData({ ...studentData }, []);
+  if (errors.length > 0) {
+    row.errors = errors;
+    return row;
+  }
+
+  const rollNumber = data.rollNumber.toUpperCase();
+  const email = data.email.toLowerCase();
+  if (batch.rollNumbers.has(rollNumber)) {
+    row.errors.push({ field: 'rollNumber', message: `Roll number also used by the student at index ${batch.rollNumbers.get(rollNumber)}` });
+  }
+  if (batch.emails.has(email)) {
+    row.errors.push({ field: 'email', message: `Email also used by the student at index ${batch.emails.get(email)}` });
+  }
+  if (row.errors.length > 0) {
+    return row;
+  }
+  batch.rollNumbers.set(rollNumber, index);
+  batch.emails.set(email, index);
+
+  const { problem, plan } = await planNewStudent(data);
+  if (problem) {
+    row.errors.push({ field: problem.field, message: problem.error });
+    return row;
+  }
+
+  // Seats taken by the earlier rows
+  const classKey = plan.classData._id.toString();
+  const classTaken = batch.seats.get(classKey) || 0;
+  if (plan.classData.currentStrength + classTaken >= plan.classData.capacity) {
+    row.errors.push({ field: 'class', message: 'Class is full. No more seats available' });
+  }
+
+  const fullCourses = plan.courses.filter(course =>
+    course.enrolledStudents + (batch.seats.get(course._id.toString()) || 0) >= course.maxStudents
+  );
+  if (fullCourses.length > 0) {
+    row.errors.push({ field: 'courses', message: `Course(s) ${fullCourses.map(c => c.courseCode).join(', ')} are full` });
+  }
+
+  if (row.errors.length > 0) {
+    return row;
+  }
+
+  batch.seats.set(classKey, classTaken + 1);
+  plan.courses.forEach(course => {
+    const key = course._id.toString();
+    batch.seats.set(key, (batch.seats.get(key) || 0) + 1);
+  });
+
+  row.data = data;
+  row.plan = plan;
+  return row;
+}
+
+// Helper function to describe a row of a bulk create in the response
+function bulkRowResult(row) {
+  const result = { index: row.index, rollNumber: row.rollNumber };
+
+  if (row.student) {
+    return { ...result, status: 'created', id: row.student._id, name: row.student.name };
+  }
+  if (row.errors.length > 0) {
+    return { ...result, status: 'rejected', errors: row.errors };
+  }
+  return { ...result, status: 'valid' };
+}
+
+// Helper function to check one student of a bulk update with the same rules as
+// a single update, taking the seats of earlier students in the new class into account
+async function checkBulkUpdateRow(student, changes, seats) {
+  const row = { id: student._id, rollNumber: student.rollNumber, name: student.name, student, errors: [] };
+
+  // Only what differs is changed
+  const studentChanges = {};
+  Object.keys(changes).forEach(field => {
+    if (String(student[field]) !== String(changes[field])) {
+      studentChanges[field] = changes[field];
+    }
+  });
+
+  if (Object.keys(studentChanges).length === 0) {
+    row.unchanged = true;
+    return row;
+  }
+
+  const { problem, plan } = await planStudentChanges(student, studentChanges);
+  if (problem) {
+    row.errors.push({ field: problem.field || null, message: problem.error });
+    return row;
+  }
+
+  if (plan.classChanged) {
+    const key = plan.newClass._id.toString();
+    const taken = seats.get(key) || 0;
+    if (plan.newClass.currentStrength + taken >= plan.newClass.capacity) {
+      row.errors.push({ field: 'class', message: 'New class is full' });
+      return row;
+    }
+    seats.set(key, taken + 1);
+  }
+
+  row.changes = studentChanges;
+  row.plan = plan;
+  return row;
+}
+
+// Helper function to describe a student of a bulk update in the response
+function bulkUpdateRowResult(row) {
+  const result = { id: row.id, rollNumber: row.rollNumber, name: row.name };
+
+  if (row.errors.length > 0) {
+    return { ...result, status: 'rejected', errors: row.errors };
+  }
+  if (row.unchanged) {
+    return { ...result, status: 'unchanged' };
+  }
+  return { ...result, status: row.updated ? 'updated' : 'valid', changes: Object.keys(row.changes) };
+}
+
+// Helper function to send a student as it was at a point in time
+async function sendStudentAsOf(req, res, asOf) {
+  const [version, current] = await Promise.all([
+    getVersionAsOf('Student', req.params.id, asOf),
+    Student.findById(req.params.id).lean()
+  ]);
+
+  // A student without versions has not been changed since it was created
+  let data = version ? version.data : null;
+  if (!version && current && new Date(current.createdAt) <= asOf) {
+    data = current;
+  }
+
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      error: 'Student not found',
+      message: `No record of the student on ${asOf.toISOString()}`
+    });
+  }
+
+  if (isOutsideDepartmentScope(req, (current || data).department)) {
+    return departmentScopeForbidden(res);
+  }
+
+  // Related documents are shown as they are now
+  const document = Student.hydrate(data);
+  await document.populate(STUDENT_DETAIL_POPULATE);
+  const student = document.toObject({ virtuals: false });
+  addComputedFields(student);
+
+  return res.status(200).json({
+    success: true,
+    asOf,
+    version: version ? {
+      version: version.version,
+      action: version.action,
+      timestamp: version.timestamp
+    } : null,
+    data: student
+  });
+}
+
+// Helper function to turn a stored version into changes to the current student;
+// fields the version does not have are cleared
+function versionChanges(student, data) {
+  const changes = {};
+  [...Object.keys(snapshot(student)), ...Object.keys(data)].forEach(field => {
+    if (!REVERT_IGNORED_FIELDS.includes(field)) {
+      changes[field] = data[field];
+    }
+  });
+  return changes;
+}
+
+// Helper function to add the computed fields shown with a single student
+function addComputedFields(student) {
+  student.fullAddress = `${student.address.street}, ${student.address.city}, ${student.address.state} ${student.address.zipCode}`;
+  student.age = calculateAge(student.dateOfBirth);
+}
+
 // Helper function to calculate age
 function calculateAge(dateOfBirth) {
   if (!dateOfBirth) return null;
@@ -986,30 +1263,3 @@ function calculateAge(dateOfBirth) {
   
   return age;
 }
-
-// Helper function to convert to CSV
-function convertToCSV(data) {
-  if (data.length === 0) return '';
-  
-  const headers = Object.keys(data[0]);
-  const csvRows = [];
-  
-  // Add headers
-  csvRows.push(headers.join(','));
-  
-  // Add rows
-  for (const row of data) {
-    const values = headers.map(header => {
-      const value = row[header];
-      if (value === null || value === undefined) {
-        return '';
-      }
-      // Escape quotes and wrap in quotes if contains comma
-      const escaped = String(value).replace(/"/g, '""');
-      return escaped.includes(',') ? `"${escaped}"` : escaped;
-    });
-    csvRows.push(values.join(','));
-  }
-  
-  return csvRows.join('\n');
-}
\ No newline at end of file
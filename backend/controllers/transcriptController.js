@@ -0,0 +1,201 @@
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Assessment = require('../models/Assessment');
+const Score = require('../models/Score');
+const { computeCourseGrade, gradePoints, letterGrade } = require('../utils/grading');
+const { buildTranscript } = require('../utils/transcript');
+const { renderTranscriptPdf } = require('../utils/transcriptPdf');
+const { getCourseAttendancePercentages } = require('../utils/attendance');
+const { withTransaction } = require('../utils/transaction');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { releaseCourseSeats } = require('../utils/seats');
+const {
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Record the final grade of a student's course enrollment
+ * @route   POST /api/students/:id/results
+ * @access  Private (admin, registrar, hod)
+ */
+exports.recordFinalGrade = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const course = await Course.findById(req.body.course);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    // The active enrollment, or an already graded one of the given term for corrections
+    const enrollmentFilter = {
+      student: student._id,
+      course: course._id,
+      status: { $in: ['Enrolled', 'Completed', 'Failed'] }
+    };
+    if (req.body.academicYear) enrollmentFilter.academicYear = req.body.academicYear;
+    if (req.body.semester) enrollmentFilter.semester = req.body.semester;
+
+    const enrollment = await Enrollment.findOne(enrollmentFilter).sort({ enrolledAt: -1 });
+    if (!enrollment) {
+      return res.status(400).json({
+        success: false,
+        error: `Student is not enrolled in ${course.courseCode}`
+      });
+    }
+
+    let { grade } = req.body;
+    let percentage;
+
+    // Without an explicit grade, take the weighted total from the gradebook
+    if (!grade) {
+      const [assessments, scores, attendance] = await Promise.all([
+        Assessment.find({ course: course._id }).lean(),
+        Score.find({ course: course._id, student: student._id }).lean(),
+        getCourseAttendancePercentages(course._id, [student._id])
+      ]);
+      const scoreMap = new Map(scores.map(score => [score.assessment.toString(), score.score]));
+      const result = computeCourseGrade(course.gradingPolicy, assessments, scoreMap, {
+        attendance: attendance.get(student._id.toString())
+      });
+
+      if (result.weightedTotal === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'No graded assessments found. Provide a grade explicitly.'
+        });
+      }
+
+      percentage = result.weightedTotal;
+      grade = letterGrade(percentage);
+    }
+
+    const wasActive = enrollment.status === 'Enrolled';
+    const points = gradePoints(grade);
+
+    enrollment.grade = grade;
+    enrollment.gradePoints = points;
+    enrollment.percentage = percentage;
+    enrollment.status = points > 0 ? 'Completed' : 'Failed';
+    enrollment.completedAt = enrollment.completedAt || new Date();
+    enrollment.gradedBy = req.user._id;
+
+    const before = snapshot(student);
+
+    await withTransaction(async (session) => {
+      await enrollment.save({ session });
+
+      // A graded course is no longer a current enrollment and frees its seat
+      if (wasActive) {
+        student.courses = student.courses.filter(courseId =>
+          courseId.toString() !== course._id.toString()
+        );
+        await student.save({ session });
+        await recordAudit(req, {
+          action: 'update',
+          entityType: 'Student',
+          before,
+          after: student,
+          context: `final grade in ${course.courseCode}`
+        }, session);
+        await releaseCourseSeats([course._id], session);
+      }
+    });
+
+    await enrollment.populate('course', 'courseName courseCode creditHours');
+
+    res.status(200).json({
+      success: true,
+      message: 'Final grade recorded successfully',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Error in recordFinalGrade:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a student's transcript with term GPA and cumulative CGPA
+ * @route   GET /api/students/:id/transcript?format=json|pdf
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getTranscript = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id)
+      .select('name rollNumber email status academicYear enrollmentDate department class')
+      .populate('department', 'departmentName departmentCode')
+      .populate('class', 'className section')
+      .lean();
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const enrollments = await Enrollment.find({
+      student: student._id,
+      status: { $in: ['Completed', 'Failed', 'Withdrawn'] }
+    })
+      .populate('course', 'courseName courseCode courseType')
+      .lean();
+
+    const transcript = buildTranscript(enrollments);
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=transcript-${student.rollNumber}.pdf`);
+      return renderTranscriptPdf(student, transcript, res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student,
+        ...transcript
+      }
+    });
+  } catch (error) {
+    console.error('Error in getTranscript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,135 @@
+const {
+  TRASH_RETENTION_DAYS,
+  TRASH_MODELS,
+  TRASH_LABELS,
+  TrashError,
+  purgeDate,
+  restoreFromTrash
+} = require('../utils/trash');
+const { SeatUnavailableError } = require('../utils/seats');
+
+// Trash listings by URL segment
+const TRASH_COLLECTIONS = {
+  students: 'Student',
+  classes: 'Class',
+  departments: 'Department',
+  courses: 'Course'
+};
+
+/**
+ * @desc    Number of students, classes, departments and courses in the trash
+ * @route   GET /api/trash
+ * @access  Private (admin, registrar)
+ */
+exports.getTrashSummary = async (req, res) => {
+  try {
+    const collections = Object.keys(TRASH_COLLECTIONS);
+    const counts = await Promise.all(collections.map(collection =>
+      TRASH_MODELS[TRASH_COLLECTIONS[collection]].countDocuments({ deletedAt: { $ne: null } })
+    ));
+
+    res.status(200).json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: collections.reduce((summary, collection, index) => {
+        summary[collection] = counts[index];
+        return summary;
+      }, {})
+    });
+  } catch (error) {
+    console.error('Error in getTrashSummary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List deleted students, classes, departments or courses, most recently deleted first
+ * @route   GET /api/trash/:collection
+ * @access  Private (admin, registrar)
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const entityType = TRASH_COLLECTIONS[req.params.collection];
+    const Model = TRASH_MODELS[entityType];
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { deletedAt: { $ne: null } };
+
+    const total = await Model.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    const docs = await Model.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: docs.length,
+      total,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      data: docs.map(doc => ({
+        id: doc._id,
+        label: TRASH_LABELS[entityType](doc),
+        deletedAt: doc.deletedAt,
+        deletedBy: doc.deletedBy,
+        purgeAfter: purgeDate(doc),
+        record: doc
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getTrash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Restore a deleted student, class, department or course
+ * @route   POST /api/trash/:collection/:id/restore
+ * @access  Private (admin, registrar)
+ */
+exports.restoreItem = async (req, res) => {
+  try {
+    const entityType = TRASH_COLLECTIONS[req.params.collection];
+    const doc = await restoreFromTrash(req, entityType, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${entityType} restored`,
+      data: doc
+    });
+  } catch (error) {
+    console.error('Error in restoreItem:', error);
+
+    if (error instanceof TrashError || error instanceof SeatUnavailableError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
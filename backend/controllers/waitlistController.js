@@ -0,0 +1,345 @@
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Waitlist = require('../models/Waitlist');
+const {
+  QUEUE_ORDER,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+  releaseOffer,
+  expireOffer
+} = require('../utils/waitlist');
+const { getUnmetRequirements } = require('../utils/prerequisites');
+const {
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Get the waitlist of a course in queue order
+ * @route   GET /api/courses/:id/waitlist
+ * @access  Private (admin, registrar, hod)
+ */
+exports.getCourseWaitlist = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('courseName courseCode maxStudents enrolledStudents department');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const [waiting, offered] = await Promise.all([
+      Waitlist.find({ course: course._id, status: 'Waiting' })
+        .populate('student', 'name rollNumber email')
+        .sort(QUEUE_ORDER)
+        .lean(),
+      Waitlist.find({ course: course._id, status: 'Offered' })
+        .populate('student', 'name rollNumber email')
+        .sort({ offeredAt: 1 })
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        course: {
+          id: course._id,
+          courseName: course.courseName,
+          courseCode: course.courseCode,
+          maxStudents: course.maxStudents,
+          enrolledStudents: course.enrolledStudents
+        },
+        waiting: waiting.map((entry, index) => ({ ...entry, position: index + 1 })),
+        offered
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCourseWaitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Join the waitlist of a full course
+ * @route   POST /api/students/:id/waitlists
+ * @access  Private (admin, registrar, hod, or the student/guardian)
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (student.status !== 'Active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only active students can join a waitlist'
+      });
+    }
+
+    const course = await Course.findById(req.body.course);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, course.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    if (student.courses.some(courseId => courseId.toString() === course._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Student is already enrolled in this course'
+      });
+    }
+
+    const existing = await Waitlist.findOne({
+      course: course._id,
+      student: student._id,
+      status: { $in: ['Waiting', 'Offered'] }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: existing.status === 'Waiting' ?
+          'Student is already on the waitlist for this course' :
+          'Student already has a pending offer for this course'
+      });
+    }
+
+    // Only students who could take the seat may queue for it
+    const unmetRequirements = await getUnmetRequirements(student._id, course);
+    if (unmetRequirements.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Student does not meet course prerequisites',
+        unmetRequirements
+      });
+    }
+
+    if (course.enrolledStudents < course.maxStudents) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course has available seats. Enroll the student directly.'
+      });
+    }
+
+    const entry = await Waitlist.create({
+      course: course._id,
+      student: student._id,
+      addedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Added to the waitlist for ${course.courseCode}`,
+      data: {
+        id: entry._id,
+        course: {
+          id: course._id,
+          courseName: course.courseName,
+          courseCode: course.courseCode
+        },
+        status: entry.status,
+        requestedAt: entry.requestedAt,
+        position: await getWaitlistPosition(entry)
+      }
+    });
+  } catch (error) {
+    console.error('Error in joinWaitlist:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Student is already on the waitlist for this course'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a student's waitlist entries and queue positions
+ * @route   GET /api/students/:id/waitlists
+ * @access  Private (staff, or the student/guardian)
+ */
+exports.getStudentWaitlists = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('name rollNumber department');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, student.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const filter = { student: student._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const entries = await Waitlist.find(filter)
+      .populate('course', 'courseName courseCode semester')
+      .sort({ requestedAt: -1 })
+      .lean();
+
+    const data = await Promise.all(entries.map(async entry => ({
+      ...entry,
+      position: entry.status === 'Waiting' ? await getWaitlistPosition(entry) : null
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error in getStudentWaitlists:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept a seat offered from the waitlist
+ * @route   POST /api/students/:id/waitlists/:entryId/accept
+ * @access  Private (admin, registrar, hod, or the student/guardian)
+ */
+exports.acceptWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await findStudentEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'Offered') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot accept a waitlist entry that is ${entry.status.toLowerCase()}`
+      });
+    }
+
+    // Expired but not yet swept: release it now and pass the seat on
+    if (entry.offerExpiresAt <= new Date()) {
+      await expireOffer(entry);
+      await promoteFromWaitlist(entry.course._id);
+      return res.status(400).json({
+        success: false,
+        error: 'This offer has expired'
+      });
+    }
+
+    entry.status = 'Accepted';
+    entry.respondedAt = new Date();
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Seat in ${entry.course.courseCode} accepted`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error in acceptWaitlistOffer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Decline an offered seat, or leave the waitlist
+ * @route   POST /api/students/:id/waitlists/:entryId/decline
+ * @access  Private (admin, registrar, hod, or the student/guardian)
+ */
+exports.declineWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await findStudentEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status === 'Waiting') {
+      entry.status = 'Removed';
+      entry.respondedAt = new Date();
+      await entry.save();
+
+      return res.status(200).json({
+        success: true,
+        message: `Left the waitlist for ${entry.course.courseCode}`,
+        data: entry
+      });
+    }
+
+    if (entry.status !== 'Offered') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot decline a waitlist entry that is ${entry.status.toLowerCase()}`
+      });
+    }
+
+    await releaseOffer(entry, 'Declined', 'Waitlist offer declined', req);
+    const promoted = await promoteFromWaitlist(entry.course._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Seat in ${entry.course.courseCode} declined`,
+      data: entry,
+      promotedFromWaitlist: promoted.map(promotedEntry => promotedEntry.student)
+    });
+  } catch (error) {
+    console.error('Error in declineWaitlistOffer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Helper function to load a waitlist entry belonging to the student in the URL
+async function findStudentEntry(req, res) {
+  const entry = await Waitlist.findOne({ _id: req.params.entryId, student: req.params.id })
+    .populate('course', 'courseName courseCode department');
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      error: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  if (isOutsideDepartmentScope(req, entry.course.department)) {
+    departmentScopeForbidden(res);
+    return null;
+  }
+
+  return entry;
+}
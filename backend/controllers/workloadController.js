@@ -0,0 +1,187 @@
+const Faculty = require('../models/Faculty');
+const LoadRule = require('../models/LoadRule');
+const { DEFAULT_LOAD_RULES, getLoadRules, buildWorkloadReport } = require('../utils/workload');
+const { round } = require('../utils/grading');
+const {
+  getDepartmentScope,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+} = require('../utils/departmentScope');
+
+/**
+ * @desc    Teaching load of every faculty member per term, against their rank's limits
+ * @route   GET /api/faculty/workload?semester=&department=&overloaded=true
+ * @access  Private (admin, registrar, hod)
+ */
+exports.getWorkload = async (req, res) => {
+  try {
+    const { semester, overloaded } = req.query;
+    const department = getDepartmentScope(req) || req.query.department;
+
+    let rows = await buildWorkloadReport({ semester, department });
+    if (overloaded === 'true') {
+      rows = rows.filter(row => row.overloaded);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      summary: {
+        faculty: new Set(rows.map(row => row.faculty.id.toString())).size,
+        overloaded: rows.filter(row => row.overloaded).length,
+        creditHours: round(rows.reduce((total, row) => total + row.totals.creditHours, 0)),
+        contactHours: round(rows.reduce((total, row) => total + row.totals.contactHours, 0))
+      },
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error in getWorkload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Teaching load of one faculty member per term
+ * @route   GET /api/faculty/:id/workload?semester=
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getFacultyWorkload = async (req, res) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id).select('name email rank department');
+    if (!faculty) {
+      return res.status(404).json({
+        success: false,
+        error: 'Faculty member not found'
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, faculty.department)) {
+      return departmentScopeForbidden(res);
+    }
+
+    const rows = await buildWorkloadReport({ facultyId: faculty._id, semester: req.query.semester });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        faculty: {
+          id: faculty._id,
+          name: faculty.name,
+          email: faculty.email,
+          rank: faculty.rank
+        },
+        terms: rows.map(({ faculty: member, ...term }) => term)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getFacultyWorkload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Teaching load limits of every faculty rank
+ * @route   GET /api/faculty/load-rules
+ * @access  Private (admin, registrar, hod, teacher)
+ */
+exports.getLoadRules = async (req, res) => {
+  try {
+    const rules = await getLoadRules();
+
+    res.status(200).json({
+      success: true,
+      data: Object.values(rules)
+    });
+  } catch (error) {
+    console.error('Error in getLoadRules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set the teaching load limits of a faculty rank
+ * @route   PUT /api/faculty/load-rules/:rank
+ * @access  Private (admin, registrar)
+ */
+exports.updateLoadRule = async (req, res) => {
+  try {
+    const { maxCreditHours, maxContactHours, maxCourses } = req.body;
+
+    // Limits left out of the body are no longer enforced
+    const $set = { maxCreditHours, updatedBy: req.user._id };
+    const $unset = {};
+    [['maxContactHours', maxContactHours], ['maxCourses', maxCourses]].forEach(([field, value]) => {
+      if (value === undefined || value === null) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    });
+    const update = Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+
+    const rule = await LoadRule.findOneAndUpdate(
+      { rank: req.params.rank },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Load limits for ${rule.rank} updated successfully`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error in updateLoadRule:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Go back to the default teaching load limits of a faculty rank
+ * @route   DELETE /api/faculty/load-rules/:rank
+ * @access  Private (admin, registrar)
+ */
+exports.resetLoadRule = async (req, res) => {
+  try {
+    await LoadRule.deleteOne({ rank: req.params.rank });
+
+    res.status(200).json({
+      success: true,
+      message: `Load limits for ${req.params.rank} reset to the defaults`,
+      data: { rank: req.params.rank, ...DEFAULT_LOAD_RULES[req.params.rank], source: 'default' }
+    });
+  } catch (error) {
+    console.error('Error in resetLoadRule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,98 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Verify the Bearer access token and attach the user to the request
+ */
+const protect = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+
+    if (!header.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized',
+        message: 'Authentication token is missing'
+      });
+    }
+
+    const token = header.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid Token',
+        message: 'Invalid authentication token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.status !== 'Active') {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized',
+        message: 'User no longer exists or is inactive'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    // JsonWebTokenError and TokenExpiredError are mapped by the error handler
+    next(error);
+  }
+};
+
+/**
+ * Restrict a route to the given roles
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Role '${req.user ? req.user.role : 'anonymous'}' is not allowed to access this resource`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Allow staff roles through, and students/guardians only for their own records.
+ * Expects the student id in req.params.id.
+ */
+const authorizeStudentAccess = (...staffRoles) => {
+  return (req, res, next) => {
+    const { role } = req.user;
+
+    if (staffRoles.includes(role)) {
+      return next();
+    }
+
+    const studentId = req.params.id;
+    const ownRecord = role === 'student' &&
+      req.user.student && req.user.student.toString() === studentId;
+    const wardRecord = role === 'guardian' &&
+      req.user.wards.some(ward => ward.toString() === studentId);
+
+    if (ownRecord || wardRecord) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only access your own student records'
+    });
+  };
+};
+
+module.exports = {
+  protect,
+  authorize,
+  authorizeStudentAccess
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Incoming ids longer than this, or with other characters, are replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Give every request an id, reusing a well-formed X-Request-Id from a proxy,
+ * and echo it back so clients and audit entries can be matched to logs
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,61 @@
+const path = require('path');
+const multer = require('multer');
+
+// Spreadsheets accepted for imports, by file extension
+const SPREADSHEET_FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+// OneRoster bundles
+const ZIP_FORMATS = { '.zip': 'zip' };
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_ZIP_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Accept one file with one of the given extensions in the multipart field
+ * "file" and keep it in memory as req.file, with req.file.format set to the
+ * format of its extension
+ */
+const singleFileUpload = (formats, maxBytes) => {
+  const extensions = Object.keys(formats);
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const format = formats[path.extname(file.originalname).toLowerCase()];
+      if (!format) {
+        return cb(new Error(`Only ${extensions.join(' and ')} files can be imported`));
+      }
+      file.format = format;
+      cb(null, true);
+    }
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload Error',
+          message: error.code === 'LIMIT_FILE_SIZE' ?
+            `The file is larger than ${maxBytes / (1024 * 1024)} MB` :
+            error.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload Error',
+          message: `Send a ${extensions.join(' or ')} file in the "file" field`
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+const uploadSpreadsheet = singleFileUpload(SPREADSHEET_FORMATS, MAX_UPLOAD_BYTES);
+const uploadZip = singleFileUpload(ZIP_FORMATS, MAX_ZIP_BYTES);
+
+module.exports = { uploadSpreadsheet, uploadZip };
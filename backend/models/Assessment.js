@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const assessmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Must match one of the Course.gradingPolicy weights
+  category: {
+    type: String,
+    enum: ['assignments', 'midterm', 'final', 'projects', 'attendance'],
+    required: [true, 'Category is required']
+  },
+  maxScore: {
+    type: Number,
+    required: [true, 'Maximum score is required'],
+    min: [1, 'Maximum score must be at least 1']
+  },
+  dueDate: Date,
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+assessmentSchema.index({ course: 1, category: 1 });
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const attendanceSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Day of the session, stored at midnight UTC
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // A record belongs either to a daily class session or to a course session
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  status: {
+    type: String,
+    enum: ['Present', 'Absent', 'Late', 'Excused'],
+    required: [true, 'Status is required']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Exactly one of class or course must be set
+attendanceSchema.pre('validate', function(next) {
+  if (!this.class === !this.course) {
+    this.invalidate('class', 'Attendance must belong to either a class or a course');
+  }
+  next();
+});
+
+// Indexes
+attendanceSchema.index({ student: 1, date: 1, class: 1, course: 1 }, { unique: true });
+attendanceSchema.index({ class: 1, date: 1 });
+attendanceSchema.index({ course: 1, date: 1 });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
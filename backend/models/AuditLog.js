@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const AUDITED_ENTITIES = ['Student', 'Class', 'Department', 'Course'];
+
+// One change to a student, class, department or course; entries are never edited
+const auditLogSchema = new mongoose.Schema({
+  // Who made the change; no user for system jobs
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  entityType: {
+    type: String,
+    enum: AUDITED_ENTITIES,
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  // Roll number, class code, department code or course code at the time
+  entityLabel: String,
+  // Fields that changed, as dot paths; every field on create, delete and restore, none on purge
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // What the change was part of when it was not a direct edit, e.g. 'rollover'
+  context: String,
+  requestId: String,
+  method: String,
+  path: String,
+  ip: String
+}, {
+  timestamps: { createdAt: 'timestamp', updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.user': 1, timestamp: -1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ timestamp: -1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+auditLogSchema.statics.ENTITIES = AUDITED_ENTITIES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,11 +1,12 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const sourcedId = require('./plugins/sourcedId');
 
 const classSchema = new mongoose.Schema({
   className: {
     type: String,
     required: [true, 'Class name is required'],
     trim: true,
-    unique: true,
     uppercase: true
   },
   section: {
@@ -20,6 +21,12 @@ const classSchema = new mongoose.Schema({
     trim: true,
     match: [/^\d{4}-\d{4}$/, 'Please enter academic year in format YYYY-YYYY']
   },
+  // Year of study within the department's programme (1 = first year)
+  level: {
+    type: Number,
+    min: [1, 'Level must be at least 1'],
+    max: [8, 'Level cannot exceed 8']
+  },
   capacity: {
     type: Number,
     required: [true, 'Capacity is required'],
@@ -37,19 +44,8 @@ const classSchema = new mongoose.Schema({
     required: [true, 'Department is required']
   },
   classTeacher: {
-    name: {
-      type: String,
-      trim: true
-    },
-    email: {
-      type: String,
-      trim: true,
-      lowercase: true
-    },
-    phone: {
-      type: String,
-      trim: true
-    }
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
   },
   schedule: {
     days: [{
@@ -100,9 +96,14 @@ classSchema.pre('save', function(next) {
 });
 
 // Indexes
-classSchema.index({ className: 1, section: 1 }, { unique: true });
+// The same class and section run again every academic year
+classSchema.index({ className: 1, section: 1, academicYear: 1 }, { unique: true });
 classSchema.index({ department: 1 });
+classSchema.index({ classTeacher: 1 });
 classSchema.index({ status: 1 });
 classSchema.index({ academicYear: 1 });
 
+classSchema.plugin(softDelete);
+classSchema.plugin(sourcedId);
+
 module.exports = mongoose.model('Class', classSchema);
\ No newline at end of file
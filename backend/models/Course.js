@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const sourcedId = require('./plugins/sourcedId');
+const { PASSING_GRADES, isValidGradingPolicy, sumPolicyWeights } = require('../utils/grading');
+
+const COURSE_TYPES = ['Core', 'Elective', 'Lab', 'Project', 'Thesis'];
 
 const courseSchema = new mongoose.Schema({
   courseName: {
@@ -31,24 +36,50 @@ const courseSchema = new mongoose.Schema({
     required: [true, 'Department is required']
   },
   instructor: {
-    name: {
-      type: String,
-      trim: true
-    },
-    email: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
+  },
+  // Why the instructor was assigned beyond their teaching load, if they were
+  loadOverride: {
+    reason: {
       type: String,
       trim: true,
-      lowercase: true
+      maxlength: [500, 'Override reason cannot exceed 500 characters']
     },
-    phone: {
-      type: String,
-      trim: true
-    }
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date
   },
+  // Every listed course must be completed with at least prerequisiteMinGrade
   prerequisites: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course'
   }],
+  prerequisiteMinGrade: {
+    type: String,
+    enum: PASSING_GRADES,
+    default: 'D'
+  },
+  // "One of" alternatives: one course of each group must be completed with at least minGrade
+  prerequisiteGroups: [{
+    _id: false,
+    courses: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+      validate: [courses => courses.length > 0, 'A prerequisite group needs at least one course']
+    },
+    minGrade: {
+      type: String,
+      enum: PASSING_GRADES,
+      default: 'D'
+    }
+  }],
+  // Must be completed already or taken in the same term
+  corequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
   semester: {
     type: String,
     enum: ['Fall', 'Spring', 'Summer', 'Winter'],
@@ -83,15 +114,15 @@ const courseSchema = new mongoose.Schema({
   },
   courseType: {
     type: String,
-    enum: ['Core', 'Elective', 'Lab', 'Project', 'Thesis'],
+    enum: COURSE_TYPES,
     default: 'Core'
   },
   gradingPolicy: {
-    assignments: Number,
-    midterm: Number,
-    final: Number,
-    projects: Number,
-    attendance: Number
+    assignments: { type: Number, min: [0, 'Weight cannot be negative'], max: [100, 'Weight cannot exceed 100'] },
+    midterm: { type: Number, min: [0, 'Weight cannot be negative'], max: [100, 'Weight cannot exceed 100'] },
+    final: { type: Number, min: [0, 'Weight cannot be negative'], max: [100, 'Weight cannot exceed 100'] },
+    projects: { type: Number, min: [0, 'Weight cannot be negative'], max: [100, 'Weight cannot exceed 100'] },
+    attendance: { type: Number, min: [0, 'Weight cannot be negative'], max: [100, 'Weight cannot exceed 100'] }
   },
   status: {
     type: String,
@@ -126,6 +157,20 @@ courseSchema.virtual('isFull').get(function() {
   return this.enrolledStudents >= this.maxStudents;
 });
 
+// Grading policy weights must add up to 100
+courseSchema.pre('validate', function(next) {
+  const policy = this.gradingPolicy && this.gradingPolicy.toObject ?
+    this.gradingPolicy.toObject() : this.gradingPolicy;
+
+  if (!isValidGradingPolicy(policy)) {
+    this.invalidate(
+      'gradingPolicy',
+      `Grading policy weights must sum to 100 (currently ${sumPolicyWeights(policy)})`
+    );
+  }
+  next();
+});
+
 // Indexes
 courseSchema.index({ courseCode: 1 }, { unique: true });
 courseSchema.index({ department: 1 });
@@ -133,6 +178,11 @@ courseSchema.index({ semester: 1 });
 courseSchema.index({ year: 1 });
 courseSchema.index({ courseType: 1 });
 courseSchema.index({ status: 1 });
-courseSchema.index({ 'instructor.name': 1 });
+courseSchema.index({ instructor: 1 });
+
+courseSchema.statics.COURSE_TYPES = COURSE_TYPES;
+
+courseSchema.plugin(softDelete);
+courseSchema.plugin(sourcedId);
 
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
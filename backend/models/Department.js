@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const sourcedId = require('./plugins/sourcedId');
 
 const departmentSchema = new mongoose.Schema({
   departmentName: {
@@ -16,26 +18,8 @@ const departmentSchema = new mongoose.Schema({
     match: [/^[A-Z]{2,6}$/, 'Department code must be 2-6 uppercase letters']
   },
   headOfDepartment: {
-    name: {
-      type: String,
-      required: [true, 'Head of department name is required'],
-      trim: true
-    },
-    email: {
-      type: String,
-      required: [true, 'Head of department email is required'],
-      lowercase: true,
-      trim: true
-    },
-    phone: {
-      type: String,
-      required: [true, 'Head of department phone is required'],
-      trim: true
-    },
-    qualification: {
-      type: String,
-      trim: true
-    }
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
   },
   contactEmail: {
     type: String,
@@ -59,6 +43,14 @@ const departmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Years of study; students in a class at this level graduate at rollover
+  programDuration: {
+    type: Number,
+    default: 4,
+    min: [1, 'Program duration must be at least 1 year'],
+    max: [8, 'Program duration cannot exceed 8 years']
+  },
+  // Maintained from the Faculty collection, not set directly
   totalFaculty: {
     type: Number,
     default: 0,
@@ -101,4 +93,7 @@ departmentSchema.index({ departmentName: 1 }, { unique: true });
 departmentSchema.index({ status: 1 });
 departmentSchema.index({ establishmentYear: 1 });
 
+departmentSchema.plugin(softDelete);
+departmentSchema.plugin(sourcedId);
+
 module.exports = mongoose.model('Department', departmentSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { GRADE_SCALE } = require('../utils/grading');
+
+const enrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Term the course was taken in
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    trim: true,
+    match: [/^\d{4}-\d{4}$/, 'Please enter academic year in format YYYY-YYYY']
+  },
+  semester: {
+    type: String,
+    enum: ['Fall', 'Spring', 'Summer', 'Winter'],
+    required: [true, 'Semester is required']
+  },
+  status: {
+    type: String,
+    enum: ['Enrolled', 'Withdrawn', 'Completed', 'Failed'],
+    default: 'Enrolled'
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  withdrawnAt: Date,
+  completedAt: Date,
+  withdrawalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Withdrawal reason cannot exceed 500 characters']
+  },
+  // Final outcome, set when the course is completed or failed
+  grade: {
+    type: String,
+    enum: GRADE_SCALE.map(grade => grade.letter)
+  },
+  gradePoints: {
+    type: Number,
+    min: 0,
+    max: 4
+  },
+  // Snapshot of Course.creditHours at enrollment
+  creditHours: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+enrollmentSchema.index(
+  { student: 1, course: 1 },
+  { unique: true, partialFilterExpression: { status: 'Enrolled' } }
+);
+enrollmentSchema.index({ student: 1, academicYear: 1, semester: 1 });
+enrollmentSchema.index({ course: 1, status: 1 });
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
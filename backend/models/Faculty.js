@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const FACULTY_RANKS = [
+  'Professor',
+  'Associate Professor',
+  'Assistant Professor',
+  'Lecturer',
+  'Teaching Assistant'
+];
+
+const facultySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [3, 'Name must be at least 3 characters'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10,11}$/, 'Please enter a valid phone number']
+  },
+  qualification: {
+    type: String,
+    trim: true
+  },
+  rank: {
+    type: String,
+    enum: FACULTY_RANKS,
+    default: 'Lecturer'
+  },
+  // Department the member belongs to; Active and On Leave members count
+  // towards its totalFaculty
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [true, 'Department is required']
+  },
+  // Login account of the faculty member, if they have one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joiningDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'On Leave', 'Inactive'],
+    default: 'Active'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+facultySchema.index({ department: 1, status: 1 });
+facultySchema.index({ name: 1 });
+
+facultySchema.statics.RANKS = FACULTY_RANKS;
+facultySchema.statics.COUNTED_STATUSES = ['Active', 'On Leave'];
+
+module.exports = mongoose.model('Faculty', facultySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Faculty = require('./Faculty');
+
+// Maximum teaching load per term for one faculty rank
+const loadRuleSchema = new mongoose.Schema({
+  rank: {
+    type: String,
+    enum: Faculty.RANKS,
+    required: [true, 'Rank is required'],
+    unique: true
+  },
+  maxCreditHours: {
+    type: Number,
+    required: [true, 'Maximum credit hours are required'],
+    min: [0, 'Maximum credit hours cannot be negative']
+  },
+  // Weekly hours in class from Course.schedule; no limit when unset
+  maxContactHours: {
+    type: Number,
+    min: [0, 'Maximum contact hours cannot be negative']
+  },
+  maxCourses: {
+    type: Number,
+    min: [0, 'Maximum courses cannot be negative']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LoadRule', loadRuleSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  type: {
+    type: String,
+    enum: ['WaitlistOffer', 'WaitlistOfferExpired'],
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  waitlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Waitlist'
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ student: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
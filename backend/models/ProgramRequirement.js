@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Course = require('./Course');
+
+// What a student of a department must complete to graduate
+const programRequirementSchema = new mongoose.Schema({
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [true, 'Department is required'],
+    unique: true
+  },
+  // Credits earned with a passing grade, counting the latest attempt of each course
+  totalCredits: {
+    type: Number,
+    required: [true, 'Total credits are required'],
+    min: [1, 'Total credits must be at least 1']
+  },
+  minimumCgpa: {
+    type: Number,
+    default: 2.0,
+    min: [0, 'Minimum CGPA cannot be negative'],
+    max: [4, 'Minimum CGPA cannot exceed 4']
+  },
+  // Every active course of the department with one of these types must be passed
+  requiredCourseTypes: {
+    type: [{
+      type: String,
+      enum: Course.COURSE_TYPES
+    }],
+    default: ['Core']
+  },
+  // Number of passed courses needed of each other type, from any department
+  electiveRequirements: [{
+    _id: false,
+    courseType: {
+      type: String,
+      enum: Course.COURSE_TYPES,
+      required: [true, 'Course type is required']
+    },
+    minCourses: {
+      type: Number,
+      required: [true, 'Minimum number of courses is required'],
+      min: [1, 'Minimum number of courses must be at least 1']
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ProgramRequirement', programRequirementSchema);
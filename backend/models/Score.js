@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const scoreSchema = new mongoose.Schema({
+  assessment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment',
+    required: [true, 'Assessment is required']
+  },
+  // Copied from the assessment so a course gradebook is a single query
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  score: {
+    type: Number,
+    required: [true, 'Score is required'],
+    min: [0, 'Score cannot be negative']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scoreSchema.index({ assessment: 1, student: 1 }, { unique: true });
+scoreSchema.index({ course: 1, student: 1 });
+scoreSchema.index({ student: 1 });
+
+module.exports = mongoose.model('Score', scoreSchema);
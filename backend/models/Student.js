@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const sourcedId = require('./plugins/sourcedId');
 
 const studentSchema = new mongoose.Schema({
   name: {
@@ -182,4 +184,7 @@ studentSchema.index({ department: 1 });
 studentSchema.index({ status: 1 });
 studentSchema.index({ 'address.city': 1 });
 
+studentSchema.plugin(softDelete);
+studentSchema.plugin(sourcedId);
+
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
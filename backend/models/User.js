@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'registrar', 'hod', 'teacher', 'student', 'guardian'];
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [3, 'Name must be at least 3 characters'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required']
+  },
+  // Department the account is restricted to (required for role: hod)
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [
+      function() { return this.role === 'hod'; },
+      'Department is required for heads of department'
+    ]
+  },
+  // Student record the account belongs to (role: student)
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  // Students a guardian account may view (role: guardian)
+  wards: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Hashes of the refresh tokens currently issued to this user
+  refreshTokens: {
+    type: [{
+      tokenHash: String,
+      expiresAt: Date
+    }],
+    select: false
+  },
+  lastLogin: Date,
+  status: {
+    type: String,
+    enum: ['Active', 'Inactive'],
+    default: 'Active'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.refreshTokens;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Compare a plain text password with the stored hash
+userSchema.methods.matchPassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Refresh tokens are stored hashed so a database leak does not expose live tokens
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+userSchema.statics.ROLES = ROLES;
+
+// Indexes
+userSchema.index({ email: 1 }, { unique: true });
+userSchema.index({ role: 1 });
+
+module.exports = mongoose.model('User', userSchema);
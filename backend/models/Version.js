@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const VERSION_ACTIONS = ['baseline', 'create', 'update', 'delete', 'restore'];
+const VERSIONED_ENTITIES = ['Student', 'Class', 'Department', 'Course'];
+
+// Full copy of a student, class, department or course after one change.
+// A 'baseline' version holds the state from before versioning started.
+const versionSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: VERSIONED_ENTITIES,
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  // 1, 2, 3, ... per document
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  action: {
+    type: String,
+    enum: VERSION_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  // The document after the change; null once it was deleted (moved to the trash)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Who made the change; no user for system jobs
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  context: String,
+  requestId: String,
+  // When the document took this state
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false
+});
+
+// Indexes
+versionSchema.index({ entityType: 1, entityId: 1, version: 1 }, { unique: true });
+versionSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+
+versionSchema.statics.ACTIONS = VERSION_ACTIONS;
+versionSchema.statics.ENTITIES = VERSIONED_ENTITIES;
+
+module.exports = mongoose.model('Version', versionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Waiting -> Offered (seat taken on the student's behalf) -> Accepted / Declined / Expired
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Accepted', 'Declined', 'Expired', 'Removed'],
+    default: 'Waiting'
+  },
+  // Queue order is first come, first served
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  respondedAt: Date,
+  // Why the queue dropped a waiting entry
+  removalReason: String,
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+waitlistSchema.index(
+  { course: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'Waiting' } }
+);
+waitlistSchema.index({ course: 1, status: 1, requestedAt: 1 });
+waitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistSchema.index({ student: 1, status: 1 });
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Queries that leave deleted documents out unless asked for them
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Soft delete: a deleted document keeps its data and is only marked with
+ * deletedAt and deletedBy, so it can be restored from the trash until it is
+ * purged. Queries and aggregations skip deleted documents, unless they filter
+ * on deletedAt themselves (an aggregation in its first $match) or queries are
+ * run with the withDeleted option:
+ *
+ *   Student.find({ deletedAt: { $ne: null } })                  // only deleted
+ *   Student.findOne({ email }).setOptions({ withDeleted: true }) // both
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    // Who moved the document to the trash
+    deletedBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String,
+      email: String
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (first && first.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,21 @@
+/**
+ * OneRoster sourcedId: the identifier a record is known by in OneRoster
+ * exchanges with other systems (see utils/oneroster). Records that never came
+ * from another system have none and are exported under their _id.
+ */
+const sourcedId = (schema) => {
+  schema.add({
+    sourcedId: {
+      type: String,
+      trim: true
+    }
+  });
+
+  // Unique where set, trashed records included
+  schema.index(
+    { sourcedId: 1 },
+    { unique: true, partialFilterExpression: { sourcedId: { $type: 'string' } } }
+  );
+};
+
+module.exports = sourcedId;
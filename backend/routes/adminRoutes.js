@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authorize } = require('../middlewares/auth');
+const { trashValidators, validate } = require('../utils/validators');
+
+// Maintenance routes
+router.route('/reconcile')
+  .post(
+    authorize('admin'),
+    adminController.reconcile
+  );
+
+router.route('/purge-trash')
+  .post(
+    authorize('admin'),
+    validate(trashValidators.purgeTrash),
+    adminController.purgeTrash
+  );
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const assessmentController = require('../controllers/assessmentController');
+const { authorize } = require('../middlewares/auth');
+const { assessmentValidators, validate } = require('../utils/validators');
+
+// Assessment routes (creation and listing live under /api/courses/:id/assessments)
+router.use(authorize('admin', 'registrar', 'hod', 'teacher'));
+
+router.route('/:id')
+  .put(
+    validate(assessmentValidators.updateAssessment),
+    assessmentController.updateAssessment
+  )
+  .delete(assessmentController.deleteAssessment);
+
+router.route('/:id/scores')
+  .post(
+    validate(assessmentValidators.recordScores),
+    assessmentController.recordScores
+  );
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const attendanceController = require('../controllers/attendanceController');
+const { authorize } = require('../middlewares/auth');
+const { attendanceValidators, validate } = require('../utils/validators');
+
+// Attendance routes
+router.use(authorize('admin', 'registrar', 'hod', 'teacher'));
+
+router.route('/')
+  .get(
+    validate(attendanceValidators.getAttendance),
+    attendanceController.getAttendance
+  );
+
+router.route('/report')
+  .get(
+    validate(attendanceValidators.report),
+    attendanceController.getLowAttendanceReport
+  );
+
+router.route('/classes/:id')
+  .post(
+    validate(attendanceValidators.markSession),
+    attendanceController.markClassAttendance
+  );
+
+router.route('/courses/:id')
+  .post(
+    validate(attendanceValidators.markSession),
+    attendanceController.markCourseAttendance
+  );
+
+module.exports = router;
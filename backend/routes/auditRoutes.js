@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authorize } = require('../middlewares/auth');
+const { auditValidators, validate } = require('../utils/validators');
+
+// Audit trail routes
+router.route('/')
+  .get(
+    authorize('admin', 'registrar'),
+    validate(auditValidators.getAuditLogs),
+    auditController.getAuditLogs
+  );
+
+router.route('/export')
+  .get(
+    authorize('admin', 'registrar'),
+    validate(auditValidators.exportAuditLogs),
+    auditController.exportAuditLogs
+  );
+
+router.route('/:id')
+  .get(
+    authorize('admin', 'registrar'),
+    validate(auditValidators.getAuditLogById),
+    auditController.getAuditLogById
+  );
+
+module.exports = router;
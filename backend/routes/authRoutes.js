@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { protect, authorize } = require('../middlewares/auth');
+const { authValidators, validate } = require('../utils/validators');
+
+// Auth routes
+router.route('/register')
+  .post(
+    protect,
+    authorize('admin'),
+    validate(authValidators.register),
+    authController.register
+  );
+
+router.route('/login')
+  .post(
+    validate(authValidators.login),
+    authController.login
+  );
+
+router.route('/refresh')
+  .post(
+    validate(authValidators.refresh),
+    authController.refresh
+  );
+
+router.route('/logout')
+  .post(protect, authController.logout);
+
+router.route('/me')
+  .get(protect, authController.getMe);
+
+module.exports = router;
@@ -1,22 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const classController = require('../controllers/classController');
+const rolloverController = require('../controllers/rolloverController');
+const { authorize } = require('../middlewares/auth');
 const { classValidators, validate } = require('../utils/validators');
 
 // Class routes
 router.route('/')
-  .get(classController.getAllClasses)
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    classController.getAllClasses
+  )
   .post(
+    authorize('admin', 'registrar', 'hod'),
     validate(classValidators.createClass),
     classController.createClass
   );
 
 router.route('/stats')
-  .get(classController.getClassStats);
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    classController.getClassStats
+  );
+
+router.route('/export')
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    validate(classValidators.exportClasses),
+    classController.exportClasses
+  );
+
+router.route('/rollover')
+  .post(
+    authorize('admin', 'registrar'),
+    validate(classValidators.rollover),
+    rolloverController.rolloverAcademicYear
+  );
 
 router.route('/:id')
-  .get(classController.getClassById)
-  .put(classController.updateClass)
-  .delete(classController.deleteClass);
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    classController.getClassById
+  )
+  .put(
+    authorize('admin', 'registrar', 'hod'),
+    classController.updateClass
+  )
+  .delete(
+    authorize('admin', 'registrar'),
+    classController.deleteClass
+  );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,28 +1,97 @@
 const express = require('express');
 const router = express.Router();
 const courseController = require('../controllers/courseController');
-const { courseValidators, validate } = require('../utils/validators');
+const assessmentController = require('../controllers/assessmentController');
+const waitlistController = require('../controllers/waitlistController');
+const { authorize } = require('../middlewares/auth');
+const {
+  courseValidators,
+  assessmentValidators,
+  waitlistValidators,
+  validate
+} = require('../utils/validators');
 
-// Course routes
+// Course routes (the catalogue listing and prerequisite views are open to every
+// authenticated user; a single course is staff only)
 router.route('/')
   .get(courseController.getAllCourses)
   .post(
+    authorize('admin', 'registrar', 'hod'),
     validate(courseValidators.createCourse),
     courseController.createCourse
   );
 
 router.route('/stats')
-  .get(courseController.getCourseStats);
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    courseController.getCourseStats
+  );
+
+router.route('/export')
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    validate(courseValidators.exportCourses),
+    courseController.exportCourses
+  );
+
+router.route('/prerequisite-graph')
+  .get(courseController.getPrerequisiteGraph);
+
+router.route('/:id/prerequisite-tree')
+  .get(
+    validate(courseValidators.getCourseById),
+    courseController.getPrerequisiteTree
+  );
 
 router.route('/:id/enroll')
-  .post(courseController.enrollStudent);
+  .post(
+    authorize('admin', 'registrar', 'hod'),
+    courseController.enrollStudent
+  );
 
 router.route('/:id/withdraw')
-  .post(courseController.withdrawStudent);
+  .post(
+    authorize('admin', 'registrar', 'hod'),
+    courseController.withdrawStudent
+  );
+
+router.route('/:id/waitlist')
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    validate(waitlistValidators.getCourseWaitlist),
+    waitlistController.getCourseWaitlist
+  );
+
+router.route('/:id/assessments')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    assessmentController.getCourseAssessments
+  )
+  .post(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    validate(assessmentValidators.createAssessment),
+    assessmentController.createAssessment
+  );
+
+router.route('/:id/gradebook')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    assessmentController.getCourseGradebook
+  );
 
 router.route('/:id')
-  .get(courseController.getCourseById)
-  .put(courseController.updateCourse)
-  .delete(courseController.deleteCourse);
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    courseController.getCourseById
+  )
+  .put(
+    authorize('admin', 'registrar', 'hod'),
+    validate(courseValidators.updateCourse),
+    courseController.updateCourse
+  )
+  .delete(
+    authorize('admin', 'registrar'),
+    courseController.deleteCourse
+  );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
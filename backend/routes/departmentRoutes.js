@@ -1,22 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const departmentController = require('../controllers/departmentController');
+const degreeAuditController = require('../controllers/degreeAuditController');
+const { authorize } = require('../middlewares/auth');
 const { departmentValidators, validate } = require('../utils/validators');
 
 // Department routes
 router.route('/')
-  .get(departmentController.getAllDepartments)
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    departmentController.getAllDepartments
+  )
   .post(
+    authorize('admin', 'registrar'),
     validate(departmentValidators.createDepartment),
     departmentController.createDepartment
   );
 
 router.route('/stats')
-  .get(departmentController.getDepartmentStats);
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    departmentController.getDepartmentStats
+  );
+
+router.route('/export')
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    validate(departmentValidators.exportDepartments),
+    departmentController.exportDepartments
+  );
+
+router.route('/:id/program-requirements')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    validate(departmentValidators.getDepartmentById),
+    degreeAuditController.getProgramRequirements
+  )
+  .put(
+    authorize('admin', 'registrar', 'hod'),
+    validate(departmentValidators.updateProgramRequirements),
+    degreeAuditController.updateProgramRequirements
+  )
+  .delete(
+    authorize('admin', 'registrar'),
+    validate(departmentValidators.getDepartmentById),
+    degreeAuditController.deleteProgramRequirements
+  );
 
 router.route('/:id')
-  .get(departmentController.getDepartmentById)
-  .put(departmentController.updateDepartment)
-  .delete(departmentController.deleteDepartment);
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    departmentController.getDepartmentById
+  )
+  .put(
+    authorize('admin', 'registrar'),
+    departmentController.updateDepartment
+  )
+  .delete(
+    authorize('admin', 'registrar'),
+    departmentController.deleteDepartment
+  );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
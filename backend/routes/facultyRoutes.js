@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const facultyController = require('../controllers/facultyController');
+const workloadController = require('../controllers/workloadController');
+const { authorize } = require('../middlewares/auth');
+const { facultyValidators, validate } = require('../utils/validators');
+
+// Faculty routes
+router.route('/')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    facultyController.getAllFaculty
+  )
+  .post(
+    authorize('admin', 'registrar', 'hod'),
+    validate(facultyValidators.createFaculty),
+    facultyController.createFaculty
+  );
+
+// Teaching load routes
+router.route('/workload')
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    validate(facultyValidators.getWorkload),
+    workloadController.getWorkload
+  );
+
+router.route('/load-rules')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    workloadController.getLoadRules
+  );
+
+router.route('/load-rules/:rank')
+  .put(
+    authorize('admin', 'registrar'),
+    validate(facultyValidators.updateLoadRule),
+    workloadController.updateLoadRule
+  )
+  .delete(
+    authorize('admin', 'registrar'),
+    validate(facultyValidators.resetLoadRule),
+    workloadController.resetLoadRule
+  );
+
+router.route('/:id')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    validate(facultyValidators.getFacultyById),
+    facultyController.getFacultyById
+  )
+  .put(
+    authorize('admin', 'registrar', 'hod'),
+    validate(facultyValidators.updateFaculty),
+    facultyController.updateFaculty
+  )
+  .delete(
+    authorize('admin', 'registrar'),
+    validate(facultyValidators.getFacultyById),
+    facultyController.deleteFaculty
+  );
+
+router.route('/:id/workload')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    validate(facultyValidators.getFacultyWorkload),
+    workloadController.getFacultyWorkload
+  );
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const onerosterController = require('../controllers/onerosterController');
+const { authorize } = require('../middlewares/auth');
+const { uploadZip } = require('../middlewares/upload');
+const { onerosterValidators, validate } = require('../utils/validators');
+
+// OneRoster routes
+router.route('/export')
+  .get(
+    authorize('admin', 'registrar'),
+    onerosterController.exportOneRoster
+  );
+
+router.route('/import')
+  .post(
+    authorize('admin', 'registrar'),
+    uploadZip,
+    validate(onerosterValidators.importOneRoster),
+    onerosterController.importOneRoster
+  );
+
+module.exports = router;
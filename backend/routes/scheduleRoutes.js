@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const { authorize } = require('../middlewares/auth');
+const { scheduleValidators, validate } = require('../utils/validators');
+
+// Timetable routes
+router.route('/conflicts')
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    validate(scheduleValidators.getConflicts),
+    scheduleController.getScheduleConflicts
+  );
+
+router.route('/generate')
+  .post(
+    authorize('admin', 'registrar', 'hod'),
+    validate(scheduleValidators.generate),
+    scheduleController.generateTimetable
+  );
+
+module.exports = router;
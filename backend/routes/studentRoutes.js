@@ -1,43 +1,186 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
-const { studentValidators, validate } = require('../utils/validators');
+const assessmentController = require('../controllers/assessmentController');
+const transcriptController = require('../controllers/transcriptController');
+const attendanceController = require('../controllers/attendanceController');
+const waitlistController = require('../controllers/waitlistController');
+const notificationController = require('../controllers/notificationController');
+const degreeAuditController = require('../controllers/degreeAuditController');
+const importController = require('../controllers/importController');
+const { authorize, authorizeStudentAccess } = require('../middlewares/auth');
+const { uploadSpreadsheet } = require('../middlewares/upload');
+const {
+  studentValidators,
+  attendanceValidators,
+  waitlistValidators,
+  notificationValidators,
+  validate
+} = require('../utils/validators');
 
 // Student routes
 router.route('/')
-  .get(studentController.getAllStudents)
+  .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
+    studentController.getAllStudents
+  )
   .post(
+    authorize('admin', 'registrar'),
     validate(studentValidators.createStudent),
     studentController.createStudent
   );
 
 router.route('/search')
   .get(
+    authorize('admin', 'registrar', 'hod', 'teacher'),
     validate(studentValidators.searchStudents),
     studentController.searchStudents
   );
 
 router.route('/stats')
-  .get(studentController.getStudentStats);
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    studentController.getStudentStats
+  );
 
 router.route('/bulk')
-  .post(studentController.bulkCreateStudents);
+  .post(
+    authorize('admin', 'registrar'),
+    validate(studentValidators.bulkCreateStudents),
+    studentController.bulkCreateStudents
+  )
+  .patch(
+    authorize('admin', 'registrar'),
+    validate(studentValidators.bulkUpdateStudents),
+    studentController.bulkUpdateStudents
+  );
+
+router.route('/import')
+  .post(
+    authorize('admin', 'registrar'),
+    uploadSpreadsheet,
+    validate(studentValidators.importStudents),
+    importController.importStudents
+  );
 
 router.route('/export')
-  .get(studentController.exportStudents);
+  .get(
+    authorize('admin', 'registrar'),
+    validate(studentValidators.exportStudents),
+    studentController.exportStudents
+  );
+
+router.route('/:id/grades')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod', 'teacher'),
+    validate(studentValidators.getStudentById),
+    assessmentController.getStudentGrades
+  );
+
+router.route('/:id/enrollments')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod', 'teacher'),
+    validate(studentValidators.getStudentEnrollments),
+    studentController.getStudentEnrollments
+  );
+
+router.route('/:id/results')
+  .post(
+    authorize('admin', 'registrar', 'hod'),
+    validate(studentValidators.recordFinalGrade),
+    transcriptController.recordFinalGrade
+  );
+
+router.route('/:id/transcript')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(studentValidators.getStudentById),
+    transcriptController.getTranscript
+  );
+
+router.route('/:id/degree-audit')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(studentValidators.getStudentById),
+    degreeAuditController.getDegreeAudit
+  );
+
+router.route('/:id/history')
+  .get(
+    authorize('admin', 'registrar', 'hod'),
+    validate(studentValidators.getStudentById),
+    studentController.getStudentHistory
+  );
+
+router.route('/:id/revert/:version')
+  .post(
+    authorize('admin', 'registrar'),
+    validate(studentValidators.revertStudent),
+    studentController.revertStudent
+  );
+
+router.route('/:id/attendance')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod', 'teacher'),
+    validate(attendanceValidators.studentAttendance),
+    attendanceController.getStudentAttendance
+  );
+
+router.route('/:id/waitlists')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(studentValidators.getStudentById),
+    waitlistController.getStudentWaitlists
+  )
+  .post(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(waitlistValidators.joinWaitlist),
+    waitlistController.joinWaitlist
+  );
+
+router.route('/:id/waitlists/:entryId/accept')
+  .post(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(waitlistValidators.respondToEntry),
+    waitlistController.acceptWaitlistOffer
+  );
+
+router.route('/:id/waitlists/:entryId/decline')
+  .post(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(waitlistValidators.respondToEntry),
+    waitlistController.declineWaitlistOffer
+  );
+
+router.route('/:id/notifications')
+  .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod'),
+    validate(notificationValidators.getNotifications),
+    notificationController.getStudentNotifications
+  );
+
+router.route('/:id/notifications/:notificationId/read')
+  .put(
+    authorizeStudentAccess('admin', 'registrar'),
+    validate(notificationValidators.markRead),
+    notificationController.markNotificationRead
+  );
 
 router.route('/:id')
   .get(
+    authorizeStudentAccess('admin', 'registrar', 'hod', 'teacher'),
     validate(studentValidators.getStudentById),
     studentController.getStudentById
   )
   .put(
+    authorize('admin', 'registrar'),
     validate(studentValidators.updateStudent),
     studentController.updateStudent
   )
   .delete(
+    authorize('admin', 'registrar'),
     validate(studentValidators.deleteStudent),
     studentController.deleteStudent
   );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const { authorize } = require('../middlewares/auth');
+const { trashValidators, validate } = require('../utils/validators');
+
+// Trash routes
+router.route('/')
+  .get(
+    authorize('admin', 'registrar'),
+    trashController.getTrashSummary
+  );
+
+router.route('/:collection')
+  .get(
+    authorize('admin', 'registrar'),
+    validate(trashValidators.getTrash),
+    trashController.getTrash
+  );
+
+router.route('/:collection/:id/restore')
+  .post(
+    authorize('admin', 'registrar'),
+    validate(trashValidators.restoreItem),
+    trashController.restoreItem
+  );
+
+module.exports = router;
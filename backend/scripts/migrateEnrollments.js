@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { recordEnrollments } = require('../utils/enrollment');
+
+dotenv.config();
+
+/**
+ * Open an Enrollment record for every course in Student.courses that has
+ * none, for databases created before the enrollment history existed.
+ * Without one, a student cannot be graded or withdrawn in that course, and
+ * the course is missing from their prerequisite history and the OneRoster
+ * export.
+ *
+ * The record takes the student's academic year and enrollment date and the
+ * course's semester and credit hours. Students that already have an
+ * Enrolled record for a course are left alone, so the script can be run
+ * again safely. References to courses that no longer exist are listed so
+ * they can be removed by hand.
+ *
+ * Usage: npm run migrate:enrollments [-- --apply]
+ */
+
+const apply = process.argv.includes('--apply');
+
+const migrate = async () => {
+  const students = await Student.find({ 'courses.0': { $exists: true } })
+    .select('rollNumber academicYear enrollmentDate courses')
+    .lean();
+
+  const courseIds = [...new Set(students.flatMap(student => student.courses.map(String)))];
+  const courses = new Map(
+    (await Course.find({ _id: { $in: courseIds } }).select('courseCode semester creditHours').lean())
+      .map(course => [course._id.toString(), course])
+  );
+
+  const enrolled = new Set(
+    (await Enrollment.find({ student: { $in: students.map(student => student._id) }, status: 'Enrolled' })
+      .select('student course')
+      .lean())
+      .map(enrollment => `${enrollment.student}:${enrollment.course}`)
+  );
+
+  const report = { students: students.length, opened: [], missingCourses: [] };
+
+  for (const student of students) {
+    const missing = [];
+
+    student.courses.forEach(courseId => {
+      if (enrolled.has(`${student._id}:${courseId}`)) return;
+
+      const course = courses.get(courseId.toString());
+      if (!course) {
+        report.missingCourses.push({ rollNumber: student.rollNumber, course: courseId.toString() });
+        return;
+      }
+      missing.push(course);
+    });
+
+    if (missing.length === 0) continue;
+
+    if (apply) {
+      await recordEnrollments(student, missing, { enrolledAt: student.enrollmentDate });
+    }
+    report.opened.push({ rollNumber: student.rollNumber, courses: missing.map(course => course.courseCode) });
+  }
+
+  return report;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_management');
+    console.log(apply ? '🔧 Opening enrollment records...' : '🔍 Checking enrollment records (dry run)...');
+
+    const report = await migrate();
+    const opened = report.opened.reduce((total, row) => total + row.courses.length, 0);
+
+    console.log(`\n📋 ${report.students} student(s) with courses checked`);
+    console.log(`\n${apply ? 'Enrollments opened' : 'Enrollments to open'}: ${opened}`);
+    report.opened.forEach(row => console.log(`   ${row.rollNumber}: ${row.courses.join(', ')}`));
+
+    if (report.missingCourses.length > 0) {
+      console.log(`\n⚠️  References to missing courses: ${report.missingCourses.length}`);
+      report.missingCourses.forEach(row => console.log(`   ${row.rollNumber}: ${row.course}`));
+    }
+
+    if (!apply && opened > 0) {
+      console.log('\n   Run with --apply to open them');
+    }
+  } catch (error) {
+    console.error('❌ Error migrating enrollments:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Faculty = require('../models/Faculty');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const Class = require('../models/Class');
+
+dotenv.config();
+
+/**
+ * Convert the embedded { name, email, phone } records of
+ * Department.headOfDepartment, Course.instructor and Class.classTeacher into
+ * Faculty documents and point the fields at them.
+ *
+ * People are deduplicated by email (case-insensitive), and an existing Faculty
+ * with the same email is reused, so the script can be run again safely. A new
+ * member joins the department they head, or else the department of the first
+ * course or class they teach. Records without a usable email cannot become
+ * Faculty: they are listed, and --apply writes nothing until they have been
+ * fixed in the database, so no one's details are lost. Only empty records are
+ * cleared. Department.totalFaculty is recounted at the end.
+ *
+ * Usage: npm run migrate:faculty [-- --apply]
+ */
+
+const apply = process.argv.includes('--apply');
+
+// Raw collections are read, as the embedded records no longer fit the schemas
+const SOURCES = [
+  { model: Department, field: 'headOfDepartment', label: doc => doc.departmentCode, department: doc => doc._id },
+  { model: Course, field: 'instructor', label: doc => doc.courseCode, department: doc => doc.department },
+  { model: Class, field: 'classTeacher', label: doc => `${doc.className}-${doc.section}`, department: doc => doc.department }
+];
+
+const collectEmbedded = async () => {
+  const records = [];
+
+  for (const source of SOURCES) {
+    const documents = await source.model.collection
+      .find({ [source.field]: { $type: 'object' } })
+      .toArray();
+
+    documents.forEach(doc => {
+      const person = doc[source.field] || {};
+      records.push({
+        source,
+        id: doc._id,
+        label: source.label(doc),
+        department: source.department(doc),
+        name: (person.name || '').trim(),
+        email: (person.email || '').trim().toLowerCase(),
+        phone: (person.phone || '').trim(),
+        qualification: (person.qualification || '').trim()
+      });
+    });
+  }
+
+  return records;
+};
+
+// One Faculty candidate per email, merging the details of every record
+const groupByEmail = (records) => {
+  const people = new Map();
+
+  records.filter(record => record.email).forEach(record => {
+    const person = people.get(record.email) || {
+      email: record.email,
+      name: record.name,
+      phone: '',
+      qualification: '',
+      department: record.department,
+      records: []
+    };
+    if (!person.name) person.name = record.name;
+    if (!person.phone) person.phone = record.phone;
+    if (!person.qualification) person.qualification = record.qualification;
+    person.records.push(record);
+    people.set(record.email, person);
+  });
+
+  return [...people.values()];
+};
+
+const toFacultyData = (person) => {
+  const data = {
+    name: person.name || person.email,
+    email: person.email,
+    department: person.department
+  };
+  if (/^[0-9]{10,11}$/.test(person.phone)) data.phone = person.phone;
+  if (person.qualification) data.qualification = person.qualification;
+  return data;
+};
+
+const migrate = async () => {
+  const records = await collectEmbedded();
+  const people = groupByEmail(records);
+  const existing = new Map(
+    (await Faculty.find({ email: { $in: people.map(person => person.email) } }).lean())
+      .map(faculty => [faculty.email, faculty])
+  );
+
+  const report = {
+    records: records.length,
+    created: [],
+    reused: [],
+    invalid: [],
+    withoutEmail: [],
+    blocked: false
+  };
+  const toCreate = [];
+  const assignments = [];
+
+  for (const person of people) {
+    const faculty = existing.get(person.email);
+
+    if (faculty) {
+      report.reused.push({ email: person.email, usedBy: person.records.map(record => record.label) });
+      person.records.forEach(record => assignments.push({ record, facultyId: faculty._id }));
+      continue;
+    }
+
+    const data = toFacultyData(person);
+    const validationError = new Faculty(data).validateSync();
+    if (validationError) {
+      report.invalid.push({
+        email: person.email,
+        usedBy: person.records.map(record => record.label),
+        reason: Object.values(validationError.errors).map(err => err.message).join('; ')
+      });
+      continue;
+    }
+
+    toCreate.push({ person, data });
+    report.created.push({ email: person.email, name: data.name, usedBy: person.records.map(record => record.label) });
+  }
+
+  // Empty subdocuments are cleared without being reported
+  records.filter(record => !record.email).forEach(record => {
+    if (record.name || record.phone || record.qualification) {
+      report.withoutEmail.push({ name: record.name || '(no name)', usedBy: record.label });
+    } else {
+      assignments.push({ record, facultyId: null });
+    }
+  });
+
+  // Nothing is written while a record would lose its details
+  report.blocked = report.invalid.length > 0 || report.withoutEmail.length > 0;
+
+  if (apply && !report.blocked) {
+    for (const { person, data } of toCreate) {
+      const faculty = await Faculty.create(data);
+      person.records.forEach(record => assignments.push({ record, facultyId: faculty._id }));
+    }
+
+    for (const source of SOURCES) {
+      const operations = assignments
+        .filter(({ record }) => record.source === source)
+        .map(({ record, facultyId }) => ({
+          updateOne: {
+            filter: { _id: record.id },
+            update: facultyId ?
+              { $set: { [source.field]: facultyId } } :
+              { $unset: { [source.field]: '' } }
+          }
+        }));
+      if (operations.length > 0) {
+        await source.model.collection.bulkWrite(operations);
+      }
+    }
+
+    // Faculty counts now come from the Faculty collection
+    const counts = await Faculty.aggregate([
+      { $match: { status: { $in: Faculty.COUNTED_STATUSES } } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]);
+    const countByDepartment = new Map(counts.map(row => [String(row._id), row.count]));
+    const departments = await Department.find().select('_id').lean();
+    if (departments.length > 0) {
+      await Department.bulkWrite(departments.map(doc => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { totalFaculty: countByDepartment.get(doc._id.toString()) || 0 } }
+        }
+      })));
+    }
+  }
+
+  return report;
+};
+
+const printPeople = (title, list) => {
+  if (list.length === 0) return;
+  console.log(`\n${title}: ${list.length}`);
+  list.forEach(person => {
+    const usedBy = Array.isArray(person.usedBy) ? person.usedBy.join(', ') : person.usedBy;
+    const reason = person.reason ? ` - ${person.reason}` : '';
+    console.log(`   ${person.email || person.name} (${usedBy})${reason}`);
+  });
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_management');
+    console.log(apply ? '🔧 Migrating faculty records...' : '🔍 Checking faculty records (dry run)...');
+
+    const report = await migrate();
+
+    console.log(`\n📋 ${report.records} embedded record(s) found`);
+    printPeople(apply && !report.blocked ? 'Faculty created' : 'Faculty to create', report.created);
+    printPeople('Existing faculty reused', report.reused);
+    printPeople('Invalid, must be fixed first', report.invalid);
+    printPeople('No email, must be fixed first', report.withoutEmail);
+
+    if (report.blocked) {
+      console.log('\n⚠️  Give these records a valid email (or remove them by hand) and run again');
+      if (apply) {
+        console.log('   Nothing was migrated');
+        process.exitCode = 1;
+      }
+    } else if (!apply && report.records > 0) {
+      console.log('\n   Run with --apply to migrate them');
+    }
+  } catch (error) {
+    console.error('❌ Error migrating faculty:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { TRASH_RETENTION_DAYS, purgeTrash } = require('../utils/trash');
+
+// Usage: npm run purge-trash [-- --apply] [--days=30]
+// Meant to run daily from cron or a scheduler with --apply
+const apply = process.argv.includes('--apply');
+const daysArgument = process.argv.find(arg => arg.startsWith('--days='));
+const olderThanDays = daysArgument ? parseInt(daysArgument.split('=')[1]) : TRASH_RETENTION_DAYS;
+
+const run = async () => {
+  try {
+    if (Number.isNaN(olderThanDays) || olderThanDays < 0) {
+      throw new Error('--days must be a whole number of days');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_management');
+    console.log(apply ?
+      `🗑️  Purging records deleted more than ${olderThanDays} days ago...` :
+      `🔍 Checking records deleted more than ${olderThanDays} days ago (dry run)...`);
+
+    const report = await purgeTrash({ olderThanDays, apply });
+
+    report.purged.forEach(item => {
+      console.log(`   ${apply ? 'Purged' : 'Would purge'} ${item.entityType} ${item.label}`);
+    });
+    report.kept.forEach(item => {
+      console.log(`   Kept ${item.entityType} ${item.label}: ${item.reason}`);
+    });
+
+    console.log(`\n📊 ${report.purged.length} ${apply ? 'purged' : 'to purge'}, ${report.kept.length} kept`);
+    if (!apply && report.purged.length > 0) {
+      console.log('   Run with --apply to purge them');
+    }
+  } catch (error) {
+    console.error('❌ Error purging the trash:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { reconcileCounters } = require('../utils/reconcile');
+
+dotenv.config();
+
+// Usage: npm run reconcile [-- --apply]
+const apply = process.argv.includes('--apply');
+
+const printDrift = (title, result) => {
+  console.log(`\n${title}: ${result.checked} checked, ${result.drift.length} wrong`);
+  result.drift.forEach(row => {
+    const sign = row.difference > 0 ? '+' : '';
+    const flag = row.overCapacity ? ' (over capacity)' : '';
+    console.log(`   ${row.name}: ${row.field} ${row.recorded} -> ${row.actual} (${sign}${row.difference})${flag}`);
+  });
+  if (result.orphanedStudents > 0) {
+    console.log(`   ⚠️  ${result.orphanedStudents} student reference(s) to missing records`);
+  }
+  if (result.orphanedFaculty > 0) {
+    console.log(`   ⚠️  ${result.orphanedFaculty} faculty reference(s) to missing departments`);
+  }
+  if (apply) {
+    console.log(`   Fixed: ${result.fixed}, skipped (changed meanwhile): ${result.skipped}`);
+  }
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_management');
+    console.log(apply ? '🔧 Reconciling counters...' : '🔍 Checking counters (dry run)...');
+
+    const report = await reconcileCounters({ apply });
+
+    printDrift('Classes', report.classes);
+    printDrift('Departments', report.departments);
+    printDrift('Courses', report.courses);
+    printDrift('Department faculty', report.departmentFaculty);
+
+    console.log(`\n📊 ${report.totalDrift} counter(s) out of step`);
+    if (!apply && report.totalDrift > 0) {
+      console.log('   Run with --apply to fix them');
+    }
+  } catch (error) {
+    console.error('❌ Error reconciling counters:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
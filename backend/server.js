@@ -6,13 +6,31 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
 const studentRoutes = require('./routes/studentRoutes');
 const classRoutes = require('./routes/classRoutes');
 const departmentRoutes = require('./routes/departmentRoutes');
+const facultyRoutes = require('./routes/facultyRoutes');
 const courseRoutes = require('./routes/courseRoutes');
+const assessmentRoutes = require('./routes/assessmentRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const onerosterRoutes = require('./routes/onerosterRoutes');
 
-// Import error handler
+// Import middlewares
 const errorHandler = require('./middlewares/errorHandler');
+const requestId = require('./middlewares/requestId');
+const { protect } = require('./middlewares/auth');
+const { startWaitlistSweep } = require('./utils/waitlist');
+
+// Tokens cannot be signed or verified without secrets
+if (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET) {
+  console.error('❌ JWT_SECRET and JWT_REFRESH_SECRET must be set');
+  process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -25,12 +43,16 @@ app.use(helmet());
 const corsOptions = {
   origin: ['http://localhost:4200', 'http://localhost:3000'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   credentials: true,
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
+// Request ids, for matching audit entries and logs to requests
+app.use(requestId);
+
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -56,18 +78,44 @@ app.get('/health', (req, res) => {
 app.get('/api-docs', (req, res) => {
   res.json({
     message: 'Student Management System API Documentation',
+    authentication: 'Send "Authorization: Bearer <accessToken>" on every /api route except login and refresh',
     endpoints: {
+      auth: {
+        register: 'POST /api/auth/register (admin)',
+        login: 'POST /api/auth/login',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        me: 'GET /api/auth/me'
+      },
       students: {
         getAll: 'GET /api/students',
-        getOne: 'GET /api/students/:id',
+        getOne: 'GET /api/students/:id?asOf=<date>',
         create: 'POST /api/students',
         update: 'PUT /api/students/:id',
         delete: 'DELETE /api/students/:id',
-        search: 'GET /api/students/search'
+        search: 'GET /api/students/search',
+        bulkCreate: 'POST /api/students/bulk (students, allOrNothing)',
+        bulkUpdate: 'PATCH /api/students/bulk (ids or filter, changes: class|department|academicYear|status, apply)',
+        import: 'POST /api/students/import (multipart: file=.csv|.xlsx, apply=true|false)',
+        export: 'GET /api/students/export?format=json|csv|xlsx|ndjson|pdf&fields=',
+        grades: 'GET /api/students/:id/grades',
+        enrollments: 'GET /api/students/:id/enrollments',
+        recordFinalGrade: 'POST /api/students/:id/results',
+        transcript: 'GET /api/students/:id/transcript?format=json|pdf',
+        degreeAudit: 'GET /api/students/:id/degree-audit',
+        history: 'GET /api/students/:id/history',
+        revert: 'POST /api/students/:id/revert/:version',
+        attendance: 'GET /api/students/:id/attendance?from=&to=',
+        waitlists: 'GET|POST /api/students/:id/waitlists',
+        acceptOffer: 'POST /api/students/:id/waitlists/:entryId/accept',
+        declineOffer: 'POST /api/students/:id/waitlists/:entryId/decline',
+        notifications: 'GET /api/students/:id/notifications'
       },
       classes: {
         getAll: 'GET /api/classes',
         getOne: 'GET /api/classes/:id',
+        rollover: 'POST /api/classes/rollover',
+        export: 'GET /api/classes/export?format=json|csv|xlsx|ndjson|pdf&fields=',
         create: 'POST /api/classes',
         update: 'PUT /api/classes/:id',
         delete: 'DELETE /api/classes/:id'
@@ -77,24 +125,87 @@ app.get('/api-docs', (req, res) => {
         getOne: 'GET /api/departments/:id',
         create: 'POST /api/departments',
         update: 'PUT /api/departments/:id',
-        delete: 'DELETE /api/departments/:id'
+        delete: 'DELETE /api/departments/:id',
+        programRequirements: 'GET|PUT|DELETE /api/departments/:id/program-requirements',
+        export: 'GET /api/departments/export?format=json|csv|xlsx|ndjson|pdf&fields='
+      },
+      faculty: {
+        getAll: 'GET /api/faculty',
+        getOne: 'GET /api/faculty/:id',
+        create: 'POST /api/faculty',
+        update: 'PUT /api/faculty/:id',
+        delete: 'DELETE /api/faculty/:id',
+        workload: 'GET /api/faculty/workload?semester=&overloaded=true',
+        facultyWorkload: 'GET /api/faculty/:id/workload',
+        loadRules: 'GET /api/faculty/load-rules',
+        updateLoadRule: 'PUT|DELETE /api/faculty/load-rules/:rank'
       },
       courses: {
         getAll: 'GET /api/courses',
         getOne: 'GET /api/courses/:id',
+        export: 'GET /api/courses/export?format=json|csv|xlsx|ndjson|pdf&fields=',
         create: 'POST /api/courses',
         update: 'PUT /api/courses/:id',
-        delete: 'DELETE /api/courses/:id'
+        delete: 'DELETE /api/courses/:id',
+        assessments: 'GET|POST /api/courses/:id/assessments',
+        gradebook: 'GET /api/courses/:id/gradebook',
+        enroll: 'POST /api/courses/:id/enroll',
+        withdraw: 'POST /api/courses/:id/withdraw',
+        waitlist: 'GET /api/courses/:id/waitlist',
+        prerequisiteTree: 'GET /api/courses/:id/prerequisite-tree',
+        prerequisiteGraph: 'GET /api/courses/prerequisite-graph?format=json|dot'
+      },
+      assessments: {
+        update: 'PUT /api/assessments/:id',
+        delete: 'DELETE /api/assessments/:id',
+        recordScores: 'POST /api/assessments/:id/scores'
+      },
+      attendance: {
+        getSession: 'GET /api/attendance?class=|course=&date=',
+        markClass: 'POST /api/attendance/classes/:id',
+        markCourse: 'POST /api/attendance/courses/:id',
+        report: 'GET /api/attendance/report?threshold=75'
+      },
+      schedule: {
+        conflicts: 'GET /api/schedule/conflicts?type=room|instructor|student',
+        generate: 'POST /api/schedule/generate'
+      },
+      admin: {
+        reconcile: 'POST /api/admin/reconcile?apply=true|false',
+        purgeTrash: 'POST /api/admin/purge-trash?apply=true|false'
+      },
+      audit: {
+        getAll: 'GET /api/audit?entityType=&entityId=&action=&actor=&actorEmail=&requestId=&field=&from=&to=',
+        getOne: 'GET /api/audit/:id',
+        export: 'GET /api/audit/export?format=csv|ndjson'
+      },
+      trash: {
+        summary: 'GET /api/trash',
+        list: 'GET /api/trash/:collection (students, classes, departments, courses)',
+        restore: 'POST /api/trash/:collection/:id/restore'
+      },
+      oneroster: {
+        export: 'GET /api/oneroster/export',
+        import: 'POST /api/oneroster/import (multipart: file=.zip, apply=true|false)'
       }
     }
   });
 });
 
 // API Routes
-app.use('/api/students', studentRoutes);
-app.use('/api/classes', classRoutes);
-app.use('/api/departments', departmentRoutes);
-app.use('/api/courses', courseRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/students', protect, studentRoutes);
+app.use('/api/classes', protect, classRoutes);
+app.use('/api/departments', protect, departmentRoutes);
+app.use('/api/faculty', protect, facultyRoutes);
+app.use('/api/courses', protect, courseRoutes);
+app.use('/api/assessments', protect, assessmentRoutes);
+app.use('/api/attendance', protect, attendanceRoutes);
+app.use('/api/schedule', protect, scheduleRoutes);
+app.use('/api/admin', protect, adminRoutes);
+app.use('/api/audit', protect, auditRoutes);
+app.use('/api/trash', protect, trashRoutes);
+app.use('/api/oneroster', protect, onerosterRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -133,6 +244,9 @@ const connectWithRetry = () => {
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
     });
+
+    // Release waitlist offers that were not accepted in time
+    startWaitlistSweep();
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const Class = require('../models/Class');
 const Course = require('../models/Course');
 const Student = require('../models/Student');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const ProgramRequirement = require('../models/ProgramRequirement');
 
 dotenv.config();
 
@@ -17,17 +21,12 @@ const departments = [
   {
     departmentName: 'Computer Science',
     departmentCode: 'CS',
-    headOfDepartment: {
-      name: 'Dr. John Smith',
-      email: 'john.smith@university.edu',
-      phone: '1234567890',
-      qualification: 'PhD in Computer Science'
-    },
+    headOfDepartment: null, // Will be populated
     contactEmail: 'cs@university.edu',
     contactPhone: '1234567891',
     establishmentYear: 2000,
+    programDuration: 4,
     description: 'Department of Computer Science offering cutting-edge programs',
-    totalFaculty: 25,
     totalStudents: 500,
     location: {
       building: 'Science Block',
@@ -40,17 +39,12 @@ const departments = [
   {
     departmentName: 'Electrical Engineering',
     departmentCode: 'EE',
-    headOfDepartment: {
-      name: 'Dr. Sarah Johnson',
-      email: 'sarah.johnson@university.edu',
-      phone: '1234567892',
-      qualification: 'PhD in Electrical Engineering'
-    },
+    headOfDepartment: null, // Will be populated
     contactEmail: 'ee@university.edu',
     contactPhone: '1234567893',
     establishmentYear: 1995,
+    programDuration: 4,
     description: 'Department of Electrical Engineering with modern labs',
-    totalFaculty: 20,
     totalStudents: 400,
     location: {
       building: 'Engineering Block',
@@ -63,17 +57,12 @@ const departments = [
   {
     departmentName: 'Business Administration',
     departmentCode: 'BA',
-    headOfDepartment: {
-      name: 'Dr. Michael Brown',
-      email: 'michael.brown@university.edu',
-      phone: '1234567894',
-      qualification: 'PhD in Business Administration'
-    },
+    headOfDepartment: null, // Will be populated
     contactEmail: 'ba@university.edu',
     contactPhone: '1234567895',
     establishmentYear: 1990,
+    programDuration: 4,
     description: 'Department of Business Administration focusing on modern business practices',
-    totalFaculty: 30,
     totalStudents: 600,
     location: {
       building: 'Commerce Block',
@@ -85,19 +74,86 @@ const departments = [
   }
 ];
 
+// Department codes are swapped for department IDs when seeding
+const faculty = [
+  {
+    name: 'Dr. John Smith',
+    email: 'john.smith@university.edu',
+    phone: '1234567890',
+    qualification: 'PhD in Computer Science',
+    rank: 'Professor',
+    department: 'CS'
+  },
+  {
+    name: 'Dr. Sarah Johnson',
+    email: 'sarah.johnson@university.edu',
+    phone: '1234567892',
+    qualification: 'PhD in Electrical Engineering',
+    rank: 'Professor',
+    department: 'EE'
+  },
+  {
+    name: 'Dr. Michael Brown',
+    email: 'michael.brown@university.edu',
+    phone: '1234567894',
+    qualification: 'PhD in Business Administration',
+    rank: 'Professor',
+    department: 'BA'
+  },
+  {
+    name: 'Prof. Alice Johnson',
+    email: 'alice.johnson@university.edu',
+    phone: '1234567801',
+    rank: 'Associate Professor',
+    department: 'CS'
+  },
+  {
+    name: 'Prof. Bob Williams',
+    email: 'bob.williams@university.edu',
+    phone: '1234567802',
+    rank: 'Associate Professor',
+    department: 'EE'
+  },
+  {
+    name: 'Prof. Carol Davis',
+    email: 'carol.davis@university.edu',
+    phone: '1234567803',
+    rank: 'Associate Professor',
+    department: 'BA'
+  },
+  {
+    name: 'Dr. David Wilson',
+    email: 'david.wilson@university.edu',
+    phone: '1234567810',
+    rank: 'Assistant Professor',
+    department: 'CS'
+  },
+  {
+    name: 'Dr. Emily Taylor',
+    email: 'emily.taylor@university.edu',
+    phone: '1234567811',
+    rank: 'Assistant Professor',
+    department: 'CS'
+  },
+  {
+    name: 'Dr. Frank Miller',
+    email: 'frank.miller@university.edu',
+    phone: '1234567812',
+    rank: 'Lecturer',
+    department: 'EE'
+  }
+];
+
 const classes = [
   {
     className: 'CS101',
     section: 'A',
     academicYear: '2024-2025',
+    level: 1,
     capacity: 50,
     currentStrength: 45,
     department: null, // Will be populated
-    classTeacher: {
-      name: 'Prof. Alice Johnson',
-      email: 'alice.johnson@university.edu',
-      phone: '1234567801'
-    },
+    classTeacher: null, // Will be populated
     schedule: {
       days: ['Monday', 'Wednesday', 'Friday'],
       time: { start: '09:00', end: '10:00' },
@@ -110,14 +166,11 @@ const classes = [
     className: 'EE201',
     section: 'B',
     academicYear: '2024-2025',
+    level: 2,
     capacity: 40,
     currentStrength: 38,
     department: null, // Will be populated
-    classTeacher: {
-      name: 'Prof. Bob Williams',
-      email: 'bob.williams@university.edu',
-      phone: '1234567802'
-    },
+    classTeacher: null, // Will be populated
     schedule: {
       days: ['Tuesday', 'Thursday'],
       time: { start: '11:00', end: '12:30' },
@@ -130,14 +183,11 @@ const classes = [
     className: 'BA301',
     section: 'C',
     academicYear: '2024-2025',
+    level: 3,
     capacity: 60,
     currentStrength: 55,
     department: null, // Will be populated
-    classTeacher: {
-      name: 'Prof. Carol Davis',
-      email: 'carol.davis@university.edu',
-      phone: '1234567803'
-    },
+    classTeacher: null, // Will be populated
     schedule: {
       days: ['Monday', 'Wednesday'],
       time: { start: '14:00', end: '15:30' },
@@ -155,11 +205,7 @@ const courses = [
     creditHours: 3,
     description: 'Introduction to data structures and algorithms',
     department: null, // Will be populated
-    instructor: {
-      name: 'Dr. David Wilson',
-      email: 'david.wilson@university.edu',
-      phone: '1234567810'
-    },
+    instructor: null, // Will be populated
     prerequisites: [],
     semester: 'Fall',
     year: 2,
@@ -172,10 +218,10 @@ const courses = [
     enrolledStudents: 45,
     courseType: 'Core',
     gradingPolicy: {
-      assignments: 30,
-      midterm: 30,
-      final: 40,
-      projects: 20,
+      assignments: 20,
+      midterm: 25,
+      final: 35,
+      projects: 10,
       attendance: 10
     },
     status: 'Active'
@@ -186,11 +232,7 @@ const courses = [
     creditHours: 3,
     description: 'Fundamentals of database systems',
     department: null, // Will be populated
-    instructor: {
-      name: 'Dr. Emily Taylor',
-      email: 'emily.taylor@university.edu',
-      phone: '1234567811'
-    },
+    instructor: null, // Will be populated
     prerequisites: [], // Will be populated
     semester: 'Spring',
     year: 2,
@@ -203,10 +245,10 @@ const courses = [
     enrolledStudents: 35,
     courseType: 'Core',
     gradingPolicy: {
-      assignments: 25,
-      midterm: 35,
-      final: 40,
-      projects: 30,
+      assignments: 20,
+      midterm: 25,
+      final: 35,
+      projects: 10,
       attendance: 10
     },
     status: 'Active'
@@ -217,11 +259,7 @@ const courses = [
     creditHours: 4,
     description: 'Introduction to digital circuits and systems',
     department: null, // Will be populated
-    instructor: {
-      name: 'Dr. Frank Miller',
-      email: 'frank.miller@university.edu',
-      phone: '1234567812'
-    },
+    instructor: null, // Will be populated
     prerequisites: [],
     semester: 'Fall',
     year: 1,
@@ -234,10 +272,10 @@ const courses = [
     enrolledStudents: 55,
     courseType: 'Core',
     gradingPolicy: {
-      assignments: 20,
-      midterm: 30,
-      final: 50,
-      projects: 25,
+      assignments: 15,
+      midterm: 25,
+      final: 40,
+      projects: 10,
       attendance: 10
     },
     status: 'Active'
@@ -331,6 +369,21 @@ const students = [
   }
 ];
 
+const users = [
+  {
+    name: 'System Administrator',
+    email: 'admin@university.edu',
+    password: 'Admin@12345',
+    role: 'admin'
+  },
+  {
+    name: 'Office of the Registrar',
+    email: 'registrar@university.edu',
+    password: 'Registrar@12345',
+    role: 'registrar'
+  }
+];
+
 const seedDatabase = async () => {
   try {
     console.log('🌱 Seeding database...');
@@ -338,9 +391,13 @@ const seedDatabase = async () => {
     // Clear existing data
     await Promise.all([
       Department.deleteMany({}),
+      Faculty.deleteMany({}),
       Class.deleteMany({}),
       Course.deleteMany({}),
-      Student.deleteMany({})
+      Student.deleteMany({}),
+      User.deleteMany({}),
+      Enrollment.deleteMany({}),
+      ProgramRequirement.deleteMany({})
     ]);
 
     console.log('✅ Cleared existing data');
@@ -354,10 +411,35 @@ const seedDatabase = async () => {
     const eeDept = createdDepartments.find(d => d.departmentCode === 'EE');
     const baDept = createdDepartments.find(d => d.departmentCode === 'BA');
 
+    // Create faculty in their departments and appoint the heads
+    const departmentIds = { CS: csDept._id, EE: eeDept._id, BA: baDept._id };
+    const createdFaculty = await Faculty.insertMany(faculty.map(member => ({
+      ...member,
+      department: departmentIds[member.department]
+    })));
+    console.log(`✅ Created ${createdFaculty.length} faculty members`);
+
+    const facultyByEmail = email => createdFaculty.find(f => f.email === email)._id;
+
+    const heads = {
+      CS: 'john.smith@university.edu',
+      EE: 'sarah.johnson@university.edu',
+      BA: 'michael.brown@university.edu'
+    };
+    await Promise.all(createdDepartments.map(dept => {
+      dept.headOfDepartment = facultyByEmail(heads[dept.departmentCode]);
+      dept.totalFaculty = createdFaculty.filter(f => f.department.equals(dept._id)).length;
+      return dept.save();
+    }));
+
     classes[0].department = csDept._id;
     classes[1].department = eeDept._id;
     classes[2].department = baDept._id;
 
+    classes[0].classTeacher = facultyByEmail('alice.johnson@university.edu');
+    classes[1].classTeacher = facultyByEmail('bob.williams@university.edu');
+    classes[2].classTeacher = facultyByEmail('carol.davis@university.edu');
+
     // Create classes
     const createdClasses = await Class.insertMany(classes);
     console.log(`✅ Created ${createdClasses.length} classes`);
@@ -367,6 +449,10 @@ const seedDatabase = async () => {
     courses[1].department = csDept._id;
     courses[2].department = eeDept._id;
 
+    courses[0].instructor = facultyByEmail('david.wilson@university.edu');
+    courses[1].instructor = facultyByEmail('emily.taylor@university.edu');
+    courses[2].instructor = facultyByEmail('frank.miller@university.edu');
+
     // Create courses first to get their IDs
     const createdCourses = await Course.insertMany(courses);
     console.log(`✅ Created ${createdCourses.length} courses`);
@@ -397,12 +483,46 @@ const seedDatabase = async () => {
     const createdStudents = await Student.insertMany(students);
     console.log(`✅ Created ${createdStudents.length} students`);
 
+    // Record enrollment history for the seeded course registrations
+    const enrollments = createdStudents.flatMap(student =>
+      student.courses.map(courseId => {
+        const course = createdCourses.find(c => c._id.equals(courseId));
+        return {
+          student: student._id,
+          course: course._id,
+          academicYear: student.academicYear,
+          semester: course.semester,
+          creditHours: course.creditHours,
+          enrolledAt: student.enrollmentDate
+        };
+      })
+    );
+    const createdEnrollments = await Enrollment.insertMany(enrollments);
+    console.log(`✅ Created ${createdEnrollments.length} enrollments`);
+
+    // Graduation requirements of every department
+    const createdRequirements = await ProgramRequirement.insertMany(createdDepartments.map(dept => ({
+      department: dept._id,
+      totalCredits: 130,
+      minimumCgpa: 2.0,
+      requiredCourseTypes: ['Core'],
+      electiveRequirements: [{ courseType: 'Elective', minCourses: 4 }]
+    })));
+    console.log(`✅ Created ${createdRequirements.length} program requirements`);
+
+    // Create users one by one so the password hashing hook runs
+    const createdUsers = await User.create(users);
+    console.log(`✅ Created ${createdUsers.length} users`);
+
     console.log('🎉 Database seeding completed successfully!');
     console.log('\n📊 Summary:');
     console.log(`   Departments: ${createdDepartments.length}`);
+    console.log(`   Faculty: ${createdFaculty.length}`);
     console.log(`   Classes: ${createdClasses.length}`);
     console.log(`   Courses: ${createdCourses.length}`);
     console.log(`   Students: ${createdStudents.length}`);
+    console.log(`   Enrollments: ${createdEnrollments.length}`);
+    console.log(`   Users: ${createdUsers.length}`);
 
     // Display sample data
     console.log('\n🔗 Sample Data IDs:');
@@ -411,6 +531,11 @@ const seedDatabase = async () => {
     console.log(`   CS201 Course ID: ${createdCourses[0]._id}`);
     console.log(`   John Doe Student ID: ${createdStudents[0]._id}`);
 
+    console.log('\n🔑 Login Credentials:');
+    users.forEach(user => {
+      console.log(`   ${user.role}: ${user.email} / ${user.password}`);
+    });
+
   } catch (error) {
     console.error('❌ Error seeding database:', error);
   } finally {
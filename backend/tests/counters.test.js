@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+const Department = require('../models/Department');
+const Enrollment = require('../models/Enrollment');
+const AuditLog = require('../models/AuditLog');
+const studentController = require('../controllers/studentController');
+
+/**
+ * Class, course and department counters against a real replica set, so the
+ * transactions and conditional seat updates run as they do in production.
+ */
+
+let replSet;
+
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Collections and unique indexes must exist before the transactions write to them
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).deleteMany({}).setOptions({ withDeleted: true })));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+const createDepartment = () => Department.create({
+  departmentName: 'Computer Science',
+  departmentCode: 'CS',
+  contactEmail: 'cs@college.edu',
+  contactPhone: '5551234567',
+  establishmentYear: 1990
+});
+
+const createClass = (department, capacity, section = 'A') => Class.create({
+  className: 'CS1',
+  section,
+  academicYear: '2024-2025',
+  capacity,
+  department: department._id
+});
+
+const createCourse = (department, maxStudents, courseCode = 'CS101') => Course.create({
+  courseName: 'Programming',
+  courseCode,
+  creditHours: 3,
+  department: department._id,
+  semester: 'Fall',
+  year: 1,
+  maxStudents
+});
+
+const studentData = (n, cls, department, courses = []) => ({
+  name: `Student ${n}`,
+  rollNumber: `CS00${n}`,
+  email: `student${n}@college.edu`,
+  phone: '5550000000',
+  dateOfBirth: '2005-01-01',
+  gender: 'Other',
+  address: { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701' },
+  guardianInfo: { name: 'Guardian', relationship: 'Parent', phone: '5551111111' },
+  class: cls._id.toString(),
+  department: department._id.toString(),
+  courses: courses.map(course => course._id.toString()),
+  academicYear: '2024-2025'
+});
+
+// Call a controller and resolve with the status and body it sent
+const call = (handler, { body = {}, params = {} } = {}) => new Promise((resolve, reject) => {
+  const req = { body, params, query: {}, user: { _id: new mongoose.Types.ObjectId(), role: 'admin', name: 'Admin' } };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { resolve({ status: this.statusCode, body: payload }); return this; }
+  };
+  handler(req, res).catch(reject);
+});
+
+describe('concurrent enrollments', () => {
+  test('only one of two students racing for the last class seat is created', async () => {
+    const department = await createDepartment();
+    const cls = await createClass(department, 1);
+
+    const results = await Promise.all([
+      call(studentController.createStudent, { body: studentData(1, cls, department) }),
+      call(studentController.createStudent, { body: studentData(2, cls, department) })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual([201, 400]);
+    expect((await Class.findById(cls._id)).currentStrength).toBe(1);
+    expect((await Department.findById(department._id)).totalStudents).toBe(1);
+    expect(await Student.countDocuments()).toBe(1);
+  });
+
+  test('only one of two students racing for the last course seat is enrolled', async () => {
+    const department = await createDepartment();
+    const cls = await createClass(department, 10);
+    const course = await createCourse(department, 1);
+
+    const results = await Promise.all([
+      call(studentController.createStudent, { body: studentData(1, cls, department, [course]) }),
+      call(studentController.createStudent, { body: studentData(2, cls, department, [course]) })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual([201, 400]);
+    expect((await Course.findById(course._id)).enrolledStudents).toBe(1);
+    expect((await Class.findById(cls._id)).currentStrength).toBe(1);
+    expect(await Enrollment.countDocuments({ course: course._id })).toBe(1);
+  });
+});
+
+describe('rollback', () => {
+  test('a failure after the seats are taken leaves no student and no counter changes', async () => {
+    const department = await createDepartment();
+    const cls = await createClass(department, 10);
+    const course = await createCourse(department, 10);
+
+    // The department total is written after the class and course seats
+    jest.spyOn(Department, 'updateOne').mockRejectedValueOnce(new Error('Connection lost'));
+
+    const result = await call(studentController.createStudent, {
+      body: studentData(1, cls, department, [course])
+    });
+
+    expect(result.status).toBe(500);
+    expect((await Class.findById(cls._id)).currentStrength).toBe(0);
+    expect((await Course.findById(course._id)).enrolledStudents).toBe(0);
+    expect((await Department.findById(department._id)).totalStudents).toBe(0);
+    expect(await Student.countDocuments()).toBe(0);
+    expect(await Enrollment.countDocuments()).toBe(0);
+    expect(await AuditLog.countDocuments()).toBe(0);
+  });
+
+  test('a class move that fails on save keeps the student in the old class seat', async () => {
+    const department = await createDepartment();
+    const oldClass = await createClass(department, 10, 'A');
+    const newClass = await createClass(department, 10, 'B');
+
+    const created = await call(studentController.createStudent, { body: studentData(1, oldClass, department) });
+    expect(created.status).toBe(201);
+
+    jest.spyOn(Student.prototype, 'save').mockRejectedValueOnce(new Error('Connection lost'));
+
+    const result = await call(studentController.updateStudent, {
+      params: { id: created.body.data._id.toString() },
+      body: { class: newClass._id.toString() }
+    });
+
+    expect(result.status).toBe(500);
+    expect((await Class.findById(oldClass._id)).currentStrength).toBe(1);
+    expect((await Class.findById(newClass._id)).currentStrength).toBe(0);
+    expect((await Student.findById(created.body.data._id)).class.toString()).toBe(oldClass._id.toString());
+  });
+});
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const { round } = require('./grading');
+
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Excused'];
+
+// Default minimum attendance percentage before a student is flagged
+const DEFAULT_ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD) || 75;
+
+// Truncate a date to midnight UTC so one day maps to one session
+const normalizeDate = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Date range filter for the `date` field from optional from/to query values
+const dateRangeFilter = (from, to) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = normalizeDate(from);
+  if (to) range.$lte = normalizeDate(to);
+  return range;
+};
+
+/**
+ * Attendance percentage from status counts.
+ * Late counts as attended; excused sessions are left out entirely.
+ */
+const attendancePercentage = ({ Present = 0, Late = 0, Absent = 0 }) => {
+  const counted = Present + Late + Absent;
+  return counted > 0 ? round(((Present + Late) / counted) * 100) : null;
+};
+
+// Aggregation stages grouping records per student into status counts
+const groupByStudentStages = () => [
+  {
+    $group: {
+      _id: '$student',
+      total: { $sum: 1 },
+      Present: { $sum: { $cond: [{ $eq: ['$status', 'Present'] }, 1, 0] } },
+      Absent: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+      Late: { $sum: { $cond: [{ $eq: ['$status', 'Late'] }, 1, 0] } },
+      Excused: { $sum: { $cond: [{ $eq: ['$status', 'Excused'] }, 1, 0] } }
+    }
+  }
+];
+
+/**
+ * Attendance percentage per student for a course, used as the attendance
+ * component of the gradebook.
+ *
+ * @returns {Map} studentId -> percentage
+ */
+const getCourseAttendancePercentages = async (courseId, studentIds) => {
+  const match = { course: new mongoose.Types.ObjectId(courseId.toString()) };
+  if (studentIds) {
+    match.student = { $in: studentIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+
+  const counts = await Attendance.aggregate([
+    { $match: match },
+    ...groupByStudentStages()
+  ]);
+
+  return new Map(counts.map(row => [row._id.toString(), attendancePercentage(row)]));
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  DEFAULT_ATTENDANCE_THRESHOLD,
+  normalizeDate,
+  dateRangeFilter,
+  attendancePercentage,
+  groupByStudentStages,
+  getCourseAttendancePercentages
+};
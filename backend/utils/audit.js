@@ -0,0 +1,183 @@
+const AuditLog = require('../models/AuditLog');
+const { recordVersions } = require('./versions');
+
+/**
+ * Audit trail of student, class, department and course changes.
+ *
+ * Controllers take a snapshot of the document before changing it and record
+ * the entry in the same transaction as the change, so a change is never
+ * written without its entry. Entries hold the changed fields only, with
+ * their values before and after; nested objects are compared field by field
+ * and arrays as a whole. Each recorded change also stores a version of the
+ * whole document (see utils/versions).
+ */
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const ENTITY_LABELS = {
+  Student: doc => doc.rollNumber,
+  Class: doc => doc.className && `${doc.className}-${doc.section}`,
+  Department: doc => doc.departmentCode,
+  Course: doc => doc.courseCode
+};
+
+// Plain JSON copy of a document or object, with populated refs as ids
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ?
+    doc.toObject({ depopulate: true, virtuals: false }) :
+    doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { address: { city: 'X' } } -> { 'address.city': 'X' }
+const flatten = (value, prefix = '', result = {}) => {
+  Object.keys(value || {}).forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value[key]) && Object.keys(value[key]).length > 0) {
+      flatten(value[key], path, result);
+    } else {
+      result[path] = value[key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Fields that differ between two snapshots.
+ *
+ * @param {Object} before  Snapshot before the change, or null for a create
+ * @param {Object} after   Snapshot after the change, or null for a delete
+ * @returns {Array} [{ field, before, after }] sorted by field
+ */
+const diffSnapshots = (before, after) => {
+  const oldValues = flatten(before);
+  const newValues = flatten(after);
+
+  return [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])]
+    .filter(field => JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field]))
+    .sort()
+    .map(field => ({
+      field,
+      before: oldValues[field] === undefined ? null : oldValues[field],
+      after: newValues[field] === undefined ? null : newValues[field]
+    }));
+};
+
+// Who is making the change and the request it came with
+const requestContext = (req) => {
+  if (!req) return { actor: {} };
+
+  return {
+    actor: req.user ? {
+      user: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      role: req.user.role
+    } : {},
+    requestId: req.id,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip
+  };
+};
+
+const buildEntry = (req, { action, entityType, before, after, context }) => {
+  const oldSnapshot = snapshot(before);
+  const newSnapshot = snapshot(after);
+  const current = newSnapshot || oldSnapshot;
+
+  return {
+    ...requestContext(req),
+    action,
+    entityType,
+    entityId: current._id,
+    entityLabel: ENTITY_LABELS[entityType](current),
+    // A purge only notes that the document is gone; its fields are in the delete entry
+    changes: action === 'purge' ? [] : diffSnapshots(oldSnapshot, newSnapshot),
+    context,
+    before: oldSnapshot,
+    after: newSnapshot
+  };
+};
+
+// Write the entries with their versions; the snapshots only go into the versions.
+// Purged documents keep no versions.
+const writeEntries = async (req, entries, session) => {
+  if (entries.length === 0) return [];
+
+  const logs = await AuditLog.insertMany(
+    entries.map(({ before, after, ...entry }) => entry),
+    { session }
+  );
+  await recordVersions(
+    requestContext(req),
+    entries.filter(entry => entry.action !== 'purge'),
+    session
+  );
+  return logs;
+};
+
+/**
+ * Record one change. Updates that changed nothing are not recorded.
+ *
+ * @param {Object} req      The request making the change (null for system jobs)
+ * @param {Object} change   { action, entityType, before, after, context }
+ * @param {Object} session  Session of the transaction the change is written in
+ */
+const recordAudit = async (req, change, session) => {
+  const entry = buildEntry(req, change);
+  if (change.action === 'update' && entry.changes.length === 0) return null;
+
+  const [log] = await writeEntries(req, [entry], session);
+  return log;
+};
+
+// Record many changes at once, e.g. from a bulk operation
+const recordAudits = async (req, changes, session) => {
+  const entries = changes
+    .map(change => buildEntry(req, change))
+    .filter((entry, index) => changes[index].action !== 'update' || entry.changes.length > 0);
+
+  return writeEntries(req, entries, session);
+};
+
+/**
+ * Run a bulk write and record an update for every document it changed,
+ * comparing the documents read before and after it in the same session.
+ *
+ * @param {Object}   req      The request making the change (null for system jobs)
+ * @param {Object}   options  { model, entityType, ids, context }
+ * @param {Object}   session  Session of the transaction
+ * @param {Function} write    async () => result of the bulk write
+ */
+const withBulkAudit = async (req, { model, entityType, ids, context }, session, write) => {
+  const before = await model.find({ _id: { $in: ids } }).session(session).lean();
+  const result = await write();
+  const after = await model.find({ _id: { $in: ids } }).session(session).lean();
+  const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+  await recordAudits(req, before
+    .filter(doc => afterById.has(doc._id.toString()))
+    .map(doc => ({
+      action: 'update',
+      entityType,
+      before: doc,
+      after: afterById.get(doc._id.toString()),
+      context
+    })), session);
+
+  return result;
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  recordAudit,
+  recordAudits,
+  withBulkAudit
+};
@@ -0,0 +1,169 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const ProgramRequirement = require('../models/ProgramRequirement');
+const { buildTranscript } = require('./transcript');
+
+/**
+ * Degree audit: a student's record against the ProgramRequirement of their
+ * department. Credits and CGPA come from the transcript, so only the latest
+ * attempt of a repeated course counts. A student meets the requirements when
+ * every check is satisfied; without configured requirements nobody does.
+ */
+
+const AUDIT_COURSE_FIELDS = 'courseName courseCode courseType creditHours department';
+
+const describeCourse = (course) => ({
+  id: course._id,
+  courseCode: course.courseCode,
+  courseName: course.courseName,
+  courseType: course.courseType,
+  creditHours: course.creditHours
+});
+
+/**
+ * Evaluate the requirements against a student's record.
+ *
+ * @param {Object} options
+ * @param {Object} options.requirement      ProgramRequirement of the department, or null
+ * @param {Array}  options.enrollments      Completed, Failed and Withdrawn enrollments with course populated
+ * @param {Array}  options.requiredCourses  Department courses of the required types
+ * @param {Array}  options.inProgress       Courses the student is still enrolled in
+ * @returns {Object} { eligible, checks, record }
+ */
+const evaluateDegreeAudit = ({ requirement, enrollments, requiredCourses = [], inProgress = [] }) => {
+  const transcript = buildTranscript(enrollments);
+
+  // Latest attempt of each course, when passed
+  const passed = new Map();
+  transcript.terms.forEach(term => {
+    term.courses
+      .filter(entry => !entry.repeated && entry.gradePoints > 0)
+      .forEach(entry => passed.set(entry.course._id.toString(), entry.course));
+  });
+
+  const record = {
+    creditsEarned: transcript.summary.creditsEarned,
+    cgpa: transcript.summary.cgpa,
+    coursesPassed: passed.size,
+    coursesInProgress: inProgress.length
+  };
+
+  if (!requirement) {
+    return {
+      eligible: false,
+      checks: [{
+        requirement: 'programRequirements',
+        description: 'Program requirements configured for the department',
+        satisfied: false
+      }],
+      record
+    };
+  }
+
+  const checks = [
+    {
+      requirement: 'totalCredits',
+      description: `At least ${requirement.totalCredits} credits earned`,
+      satisfied: record.creditsEarned >= requirement.totalCredits,
+      required: requirement.totalCredits,
+      actual: record.creditsEarned
+    },
+    {
+      requirement: 'minimumCgpa',
+      description: `CGPA of at least ${requirement.minimumCgpa}`,
+      satisfied: record.cgpa >= requirement.minimumCgpa,
+      required: requirement.minimumCgpa,
+      actual: record.cgpa
+    }
+  ];
+
+  if (requirement.requiredCourseTypes.length > 0) {
+    const missing = requiredCourses.filter(course => !passed.has(course._id.toString()));
+    checks.push({
+      requirement: 'requiredCourses',
+      description: `Every ${requirement.requiredCourseTypes.join(', ')} course of the department passed`,
+      satisfied: missing.length === 0,
+      required: requiredCourses.length,
+      actual: requiredCourses.length - missing.length,
+      missing: missing.map(describeCourse)
+    });
+  }
+
+  requirement.electiveRequirements.forEach(({ courseType, minCourses }) => {
+    const courses = [...passed.values()].filter(course => course.courseType === courseType);
+    checks.push({
+      requirement: 'electives',
+      courseType,
+      description: `At least ${minCourses} ${courseType} course(s) passed`,
+      satisfied: courses.length >= minCourses,
+      required: minCourses,
+      actual: courses.length,
+      courses: courses.map(describeCourse)
+    });
+  });
+
+  checks.push({
+    requirement: 'noCoursesInProgress',
+    description: 'No courses still in progress',
+    satisfied: inProgress.length === 0,
+    required: 0,
+    actual: inProgress.length,
+    courses: inProgress.map(describeCourse)
+  });
+
+  return {
+    eligible: checks.every(check => check.satisfied),
+    checks,
+    record
+  };
+};
+
+/**
+ * Run the degree audit of a student.
+ *
+ * @param {Object} student  Student document (needs _id and department)
+ */
+const runDegreeAudit = async (student) => {
+  const departmentId = student.department._id || student.department;
+
+  const [requirement, enrollments, current] = await Promise.all([
+    ProgramRequirement.findOne({ department: departmentId }).lean(),
+    Enrollment.find({
+      student: student._id,
+      status: { $in: ['Completed', 'Failed', 'Withdrawn'] }
+    })
+      .populate('course', AUDIT_COURSE_FIELDS)
+      .lean(),
+    Enrollment.find({ student: student._id, status: 'Enrolled' })
+      .populate('course', AUDIT_COURSE_FIELDS)
+      .lean()
+  ]);
+
+  const requiredCourses = requirement && requirement.requiredCourseTypes.length > 0 ?
+    await Course.find({
+      department: departmentId,
+      courseType: { $in: requirement.requiredCourseTypes },
+      status: { $in: ['Active', 'Completed'] }
+    })
+      .select(AUDIT_COURSE_FIELDS)
+      .sort({ courseCode: 1 })
+      .lean() :
+    [];
+
+  const audit = evaluateDegreeAudit({
+    requirement,
+    enrollments: enrollments.filter(enrollment => enrollment.course),
+    requiredCourses,
+    inProgress: current.filter(enrollment => enrollment.course).map(enrollment => enrollment.course)
+  });
+
+  return {
+    requirements: requirement,
+    ...audit
+  };
+};
+
+module.exports = {
+  evaluateDegreeAudit,
+  runDegreeAudit
+};
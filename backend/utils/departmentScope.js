@@ -0,0 +1,56 @@
+/**
+ * Helpers for restricting department-bound users (HODs and teachers)
+ * to the records of their own department.
+ */
+
+const SCOPED_ROLES = ['hod', 'teacher'];
+
+// Department id the current user is restricted to, or null when unrestricted
+const getDepartmentScope = (req) => {
+  if (!req.user || !SCOPED_ROLES.includes(req.user.role) || !req.user.department) {
+    return null;
+  }
+  return req.user.department;
+};
+
+// Add the department restriction to a find() filter
+const applyDepartmentScope = (req, filter, field = 'department') => {
+  const scope = getDepartmentScope(req);
+  if (scope) {
+    filter[field] = scope;
+  }
+  return filter;
+};
+
+// Leading $match stage for aggregation pipelines
+const departmentScopeStage = (req, field = 'department') => {
+  const scope = getDepartmentScope(req);
+  return scope ? [{ $match: { [field]: scope } }] : [];
+};
+
+// Whether a record's department is outside the current user's scope
+const isOutsideDepartmentScope = (req, departmentId) => {
+  const scope = getDepartmentScope(req);
+  if (!scope || !departmentId) {
+    return false;
+  }
+  const id = departmentId._id || departmentId;
+  return id.toString() !== scope.toString();
+};
+
+// Standard 403 response for out-of-scope access
+const departmentScopeForbidden = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: 'You can only access records belonging to your own department'
+  });
+};
+
+module.exports = {
+  getDepartmentScope,
+  applyDepartmentScope,
+  departmentScopeStage,
+  isOutsideDepartmentScope,
+  departmentScopeForbidden
+};
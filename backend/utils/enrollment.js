@@ -0,0 +1,47 @@
+const Enrollment = require('../models/Enrollment');
+
+/**
+ * Helpers that keep the Enrollment history in step with Student.courses.
+ * Student.courses holds the courses a student is currently enrolled in;
+ * Enrollment keeps every enrollment, withdrawal and final outcome.
+ */
+
+// Open an enrollment record per course for the student's current academic year
+const recordEnrollments = (student, courses, options = {}) => {
+  if (!courses || courses.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return Enrollment.insertMany(courses.map(course => ({
+    student: student._id,
+    course: course._id,
+    academicYear: options.academicYear || student.academicYear,
+    semester: course.semester,
+    creditHours: course.creditHours,
+    enrolledAt: options.enrolledAt || new Date()
+  })), { session: options.session });
+};
+
+// Close the active enrollment records of the student in the given courses
+const recordWithdrawals = (studentId, courseIds, options = {}) => {
+  if (!courseIds || courseIds.length === 0) {
+    return Promise.resolve({ modifiedCount: 0 });
+  }
+
+  return Enrollment.updateMany(
+    { student: studentId, course: { $in: courseIds }, status: 'Enrolled' },
+    {
+      $set: {
+        status: 'Withdrawn',
+        withdrawnAt: new Date(),
+        withdrawalReason: options.reason
+      }
+    },
+    { session: options.session }
+  );
+};
+
+module.exports = {
+  recordEnrollments,
+  recordWithdrawals
+};
@@ -0,0 +1,357 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+const Department = require('../models/Department');
+
+/**
+ * Streaming exports of students, classes, courses and departments. Documents
+ * are read from a cursor and written out one at a time, so an export never
+ * holds the whole collection in memory. Nested and populated fields are
+ * flattened into one column each; a student export can be imported again
+ * through POST /api/students/import.
+ */
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx', 'ndjson', 'pdf'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ndjson: 'application/x-ndjson',
+  pdf: 'application/pdf'
+};
+
+const day = (value) => value ? new Date(value).toISOString().slice(0, 10) : null;
+const codes = (docs, field) => (docs || []).filter(Boolean).map(doc => doc[field]);
+
+// Columns of each export, in order. Without a value function, the field is a
+// path into the document
+const EXPORT_COLUMNS = {
+  Student: [
+    { field: 'id', value: doc => doc._id },
+    { field: 'name' },
+    { field: 'rollNumber' },
+    { field: 'email' },
+    { field: 'phone' },
+    { field: 'dateOfBirth', value: doc => day(doc.dateOfBirth) },
+    { field: 'gender' },
+    { field: 'status' },
+    { field: 'academicYear' },
+    { field: 'enrollmentDate', value: doc => day(doc.enrollmentDate) },
+    { field: 'class', value: doc => doc.class ? `${doc.class.className}-${doc.class.section}` : null },
+    { field: 'department', value: doc => doc.department ? doc.department.departmentCode : null },
+    { field: 'departmentName', value: doc => doc.department ? doc.department.departmentName : null },
+    { field: 'courses', value: doc => codes(doc.courses, 'courseCode') },
+    { field: 'address.street' },
+    { field: 'address.city' },
+    { field: 'address.state' },
+    { field: 'address.zipCode' },
+    { field: 'address.country' },
+    { field: 'guardianInfo.name' },
+    { field: 'guardianInfo.relationship' },
+    { field: 'guardianInfo.phone' },
+    { field: 'guardianInfo.email' },
+    { field: 'createdAt' },
+    { field: 'updatedAt' }
+  ],
+  Class: [
+    { field: 'id', value: doc => doc._id },
+    { field: 'classCode', value: doc => `${doc.className}-${doc.section}` },
+    { field: 'className' },
+    { field: 'section' },
+    { field: 'academicYear' },
+    { field: 'level' },
+    { field: 'department', value: doc => doc.department ? doc.department.departmentCode : null },
+    { field: 'departmentName', value: doc => doc.department ? doc.department.departmentName : null },
+    { field: 'capacity' },
+    { field: 'currentStrength' },
+    { field: 'availableSeats', value: doc => doc.capacity - doc.currentStrength },
+    { field: 'classTeacher', value: doc => doc.classTeacher ? doc.classTeacher.name : null },
+    { field: 'classTeacher.email' },
+    { field: 'schedule.days' },
+    { field: 'schedule.time.start' },
+    { field: 'schedule.time.end' },
+    { field: 'schedule.roomNumber' },
+    { field: 'status' },
+    { field: 'description' },
+    { field: 'createdAt' },
+    { field: 'updatedAt' }
+  ],
+  Course: [
+    { field: 'id', value: doc => doc._id },
+    { field: 'courseCode' },
+    { field: 'courseName' },
+    { field: 'creditHours' },
+    { field: 'department', value: doc => doc.department ? doc.department.departmentCode : null },
+    { field: 'departmentName', value: doc => doc.department ? doc.department.departmentName : null },
+    { field: 'instructor', value: doc => doc.instructor ? doc.instructor.name : null },
+    { field: 'instructor.email' },
+    { field: 'semester' },
+    { field: 'year' },
+    { field: 'courseType' },
+    { field: 'maxStudents' },
+    { field: 'enrolledStudents' },
+    { field: 'availableSeats', value: doc => doc.maxStudents - doc.enrolledStudents },
+    { field: 'prerequisites', value: doc => codes(doc.prerequisites, 'courseCode') },
+    { field: 'corequisites', value: doc => codes(doc.corequisites, 'courseCode') },
+    { field: 'schedule.days' },
+    { field: 'schedule.time.start' },
+    { field: 'schedule.time.end' },
+    { field: 'schedule.room' },
+    { field: 'status' },
+    { field: 'description' },
+    { field: 'createdAt' },
+    { field: 'updatedAt' }
+  ],
+  Department: [
+    { field: 'id', value: doc => doc._id },
+    { field: 'departmentCode' },
+    { field: 'departmentName' },
+    { field: 'headOfDepartment', value: doc => doc.headOfDepartment ? doc.headOfDepartment.name : null },
+    { field: 'headOfDepartment.email' },
+    { field: 'contactEmail' },
+    { field: 'contactPhone' },
+    { field: 'establishmentYear' },
+    { field: 'programDuration' },
+    { field: 'totalFaculty' },
+    { field: 'totalStudents' },
+    { field: 'location.building' },
+    { field: 'location.floor' },
+    { field: 'location.room' },
+    { field: 'facilities' },
+    { field: 'status' },
+    { field: 'description' },
+    { field: 'createdAt' },
+    { field: 'updatedAt' }
+  ]
+};
+
+// Where each export reads from
+const EXPORT_SOURCES = {
+  Student: {
+    model: Student,
+    title: 'Students',
+    populate: [
+      { path: 'class', select: 'className section' },
+      { path: 'department', select: 'departmentName departmentCode' },
+      { path: 'courses', select: 'courseCode' }
+    ],
+    sort: { rollNumber: 1 }
+  },
+  Class: {
+    model: Class,
+    title: 'Classes',
+    populate: [
+      { path: 'department', select: 'departmentName departmentCode' },
+      { path: 'classTeacher', select: 'name email' }
+    ],
+    sort: { academicYear: 1, className: 1, section: 1 }
+  },
+  Course: {
+    model: Course,
+    title: 'Courses',
+    populate: [
+      { path: 'department', select: 'departmentName departmentCode' },
+      { path: 'instructor', select: 'name email' },
+      { path: 'prerequisites', select: 'courseCode' },
+      { path: 'corequisites', select: 'courseCode' }
+    ],
+    sort: { courseCode: 1 }
+  },
+  Department: {
+    model: Department,
+    title: 'Departments',
+    populate: [
+      { path: 'headOfDepartment', select: 'name email' }
+    ],
+    sort: { departmentName: 1 }
+  }
+};
+
+// Field names from a comma-separated ?fields= list
+const parseExportFields = (fields) => {
+  if (!fields) return [];
+  const list = Array.isArray(fields) ? fields : String(fields).split(',');
+  return list.map(field => field.trim()).filter(Boolean);
+};
+
+// Flatten a value into one cell: dates as ISO strings, ids as strings and lists joined by "; "
+const exportValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) {
+    const items = value.map(exportValue).filter(item => item !== null && item !== '');
+    return items.length > 0 ? items.join('; ') : null;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value == null ? value : value[key], doc);
+
+const toRow = (doc, columns) => columns.map(column =>
+  exportValue(column.value ? column.value(doc) : valueAt(doc, column.field))
+);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(csvCell).join(',');
+
+const rowObject = (row, columns) => columns.reduce((object, column, index) => {
+  object[column.field] = row[index];
+  return object;
+}, {});
+
+// Wait until the client has taken what was written so far
+const drained = (output) => {
+  if (!output.writableNeedDrain || output.destroyed) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+};
+
+const write = (output, chunk) => {
+  output.write(chunk);
+  return drained(output);
+};
+
+// Writers per format; each takes the rows as they come off the cursor
+const WRITERS = {
+  json: async (output, columns, rows) => {
+    let count = 0;
+    await write(output, '{"success":true,"data":[');
+    for await (const row of rows) {
+      await write(output, `${count > 0 ? ',' : ''}${JSON.stringify(rowObject(row, columns))}`);
+      count++;
+    }
+    output.end(`],"count":${count}}`);
+  },
+
+  ndjson: async (output, columns, rows) => {
+    for await (const row of rows) {
+      await write(output, `${JSON.stringify(rowObject(row, columns))}\n`);
+    }
+    output.end();
+  },
+
+  csv: async (output, columns, rows) => {
+    await write(output, `${toCsvLine(columns.map(column => column.field))}\n`);
+    for await (const row of rows) {
+      await write(output, `${toCsvLine(row)}\n`);
+    }
+    output.end();
+  },
+
+  xlsx: async (output, columns, rows, title) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+    const sheet = workbook.addWorksheet(title);
+
+    sheet.addRow(columns.map(column => column.field)).commit();
+    for await (const row of rows) {
+      sheet.addRow(row).commit();
+      await drained(output);
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  },
+
+  pdf: async (output, columns, rows, title) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.pipe(output);
+
+    const left = doc.page.margins.left;
+    const width = (doc.page.width - left - doc.page.margins.right) / columns.length;
+    const fontSize = columns.length > 12 ? 6 : 8;
+
+    const drawRow = (values, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+      const cells = values.map(value => value === null ? '' : String(value));
+      const height = Math.max(...cells.map(text => doc.heightOfString(text, { width: width - 4 }))) + 4;
+
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (!bold) drawRow(columns.map(column => column.field), true);
+      }
+
+      const y = doc.y;
+      cells.forEach((text, index) => {
+        doc.text(text, left + index * width, y, { width: width - 4 });
+      });
+      doc.x = left;
+      doc.y = y + height;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    doc.font('Helvetica').fontSize(9).text(`Exported ${new Date().toISOString()}`);
+    doc.moveDown();
+
+    drawRow(columns.map(column => column.field), true);
+    for await (const row of rows) {
+      drawRow(row, false);
+      await drained(output);
+    }
+
+    doc.end();
+  }
+};
+
+/**
+ * Stream an export to the response.
+ *
+ * @param {Object} res      Express response
+ * @param {Object} options  { entityType, filter, format, fields } (fields as for parseExportFields;
+ *                          all columns when empty, unknown names are expected to be validated before)
+ */
+const streamExport = async (res, { entityType, filter, format = 'json', fields }) => {
+  const source = EXPORT_SOURCES[entityType];
+  const selected = parseExportFields(fields);
+  const columns = selected.length > 0
+    ? selected.map(field => EXPORT_COLUMNS[entityType].find(column => column.field === field)).filter(Boolean)
+    : EXPORT_COLUMNS[entityType];
+
+  const cursor = source.model.find(filter)
+    .populate(source.populate)
+    .sort(source.sort)
+    .lean()
+    .cursor();
+
+  async function* rows() {
+    for await (const doc of cursor) {
+      // Stop reading once the client has gone
+      if (res.destroyed) break;
+      yield toRow(doc, columns);
+    }
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  if (format !== 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename=${source.title.toLowerCase()}-${stamp}.${format}`);
+  }
+
+  await WRITERS[format](res, columns, rows(), source.title);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  parseExportFields,
+  toCsvLine,
+  streamExport
+};
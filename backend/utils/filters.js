@@ -0,0 +1,105 @@
+/**
+ * Query-string filters shared by the list, search and export endpoints, so
+ * an export covers exactly the records the matching listing shows. The
+ * department scope of the current user is applied by the caller.
+ */
+
+// Criteria buildStudentFilter understands
+const STUDENT_FILTER_FIELDS = [
+  'q', 'name', 'rollNumber', 'email', 'phone', 'class', 'department', 'status', 'gender', 'academicYear',
+  'city', 'state', 'enrollmentDateFrom', 'enrollmentDateTo', 'minAge', 'maxAge'
+];
+
+// Filter for GET /api/students, /api/students/search and /api/students/export
+const buildStudentFilter = (query) => {
+  const filter = {};
+
+  // General search across multiple fields
+  if (query.q) {
+    filter.$or = [
+      { name: { $regex: query.q, $options: 'i' } },
+      { rollNumber: { $regex: query.q, $options: 'i' } },
+      { email: { $regex: query.q, $options: 'i' } },
+      { phone: { $regex: query.q, $options: 'i' } },
+      { 'guardianInfo.name': { $regex: query.q, $options: 'i' } },
+      { 'address.city': { $regex: query.q, $options: 'i' } }
+    ];
+  }
+
+  // Specific field filters
+  if (query.name) filter.name = { $regex: query.name, $options: 'i' };
+  if (query.rollNumber) filter.rollNumber = { $regex: query.rollNumber, $options: 'i' };
+  if (query.email) filter.email = { $regex: query.email, $options: 'i' };
+  if (query.phone) filter.phone = { $regex: query.phone, $options: 'i' };
+  if (query.class) filter.class = query.class;
+  if (query.department) filter.department = query.department;
+  if (query.status) filter.status = query.status;
+  if (query.gender) filter.gender = query.gender;
+  if (query.academicYear) filter.academicYear = query.academicYear;
+  if (query.city) filter['address.city'] = { $regex: query.city, $options: 'i' };
+  if (query.state) filter['address.state'] = { $regex: query.state, $options: 'i' };
+
+  // Date range filters
+  if (query.enrollmentDateFrom || query.enrollmentDateTo) {
+    filter.enrollmentDate = {};
+    if (query.enrollmentDateFrom) {
+      filter.enrollmentDate.$gte = new Date(query.enrollmentDateFrom);
+    }
+    if (query.enrollmentDateTo) {
+      filter.enrollmentDate.$lte = new Date(query.enrollmentDateTo);
+    }
+  }
+
+  // Age range filter (calculated from date of birth)
+  if (query.minAge || query.maxAge) {
+    const today = new Date();
+    const maxDate = query.minAge ?
+      new Date(today.getFullYear() - query.minAge, today.getMonth(), today.getDate()) :
+      new Date('1900-01-01');
+
+    const minDate = query.maxAge ?
+      new Date(today.getFullYear() - query.maxAge - 1, today.getMonth(), today.getDate()) :
+      new Date();
+
+    filter.dateOfBirth = {};
+    if (query.minAge) filter.dateOfBirth.$lte = maxDate;
+    if (query.maxAge) filter.dateOfBirth.$gte = minDate;
+  }
+
+  return filter;
+};
+
+// Filter for GET /api/classes and /api/classes/export
+const buildClassFilter = (query) => {
+  const filter = {};
+  if (query.status) filter.status = query.status;
+  if (query.department) filter.department = query.department;
+  if (query.academicYear) filter.academicYear = query.academicYear;
+  return filter;
+};
+
+// Filter for GET /api/courses and /api/courses/export
+const buildCourseFilter = (query) => {
+  const filter = {};
+  if (query.department) filter.department = query.department;
+  if (query.semester) filter.semester = query.semester;
+  if (query.year) filter.year = parseInt(query.year);
+  if (query.courseType) filter.courseType = query.courseType;
+  if (query.status) filter.status = query.status;
+  return filter;
+};
+
+// Filter for GET /api/departments and /api/departments/export
+const buildDepartmentFilter = (query) => {
+  const filter = {};
+  if (query.status) filter.status = query.status;
+  return filter;
+};
+
+module.exports = {
+  STUDENT_FILTER_FIELDS,
+  buildStudentFilter,
+  buildClassFilter,
+  buildCourseFilter,
+  buildDepartmentFilter
+};
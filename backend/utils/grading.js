@@ -0,0 +1,123 @@
+/**
+ * Grade calculation helpers shared by the gradebook and transcripts
+ */
+
+const GRADING_CATEGORIES = ['assignments', 'midterm', 'final', 'projects', 'attendance'];
+
+// Letter grade boundaries (minimum percentage) and grade points on a 4.0 scale
+const GRADE_SCALE = [
+  { letter: 'A', min: 90, points: 4.0 },
+  { letter: 'A-', min: 85, points: 3.7 },
+  { letter: 'B+', min: 80, points: 3.3 },
+  { letter: 'B', min: 75, points: 3.0 },
+  { letter: 'B-', min: 70, points: 2.7 },
+  { letter: 'C+', min: 65, points: 2.3 },
+  { letter: 'C', min: 60, points: 2.0 },
+  { letter: 'C-', min: 55, points: 1.7 },
+  { letter: 'D', min: 50, points: 1.0 },
+  { letter: 'F', min: 0, points: 0.0 }
+];
+
+// Letters that earn credit, usable as a minimum grade requirement
+const PASSING_GRADES = GRADE_SCALE.filter(grade => grade.points > 0).map(grade => grade.letter);
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Sum of the weights configured in a course grading policy
+const sumPolicyWeights = (policy = {}) => {
+  return GRADING_CATEGORIES.reduce((total, category) => total + (Number(policy[category]) || 0), 0);
+};
+
+// A policy is valid when no weights are set, or when they add up to exactly 100
+const isValidGradingPolicy = (policy) => {
+  if (!policy) return true;
+  const hasWeights = GRADING_CATEGORIES.some(category => policy[category] !== undefined && policy[category] !== null);
+  return !hasWeights || sumPolicyWeights(policy) === 100;
+};
+
+const letterGrade = (percentage) => {
+  if (percentage === null || percentage === undefined) return null;
+  return GRADE_SCALE.find(grade => percentage >= grade.min).letter;
+};
+
+const gradePoints = (letter) => {
+  const grade = GRADE_SCALE.find(g => g.letter === letter);
+  return grade ? grade.points : null;
+};
+
+/**
+ * Compute a student's weighted course grade.
+ *
+ * Each category's percentage is the points earned over the points possible on
+ * its graded assessments. Categories without any graded assessment are left
+ * out and the remaining weights are scaled up, so the total reflects standing
+ * so far; gradedWeight tells how much of the policy has been assessed.
+ *
+ * @param {Object} policy       Course.gradingPolicy
+ * @param {Array}  assessments  Assessment documents of the course
+ * @param {Map}    scoreMap     assessmentId -> score for this student
+ * @param {Object} [overrides]  category -> percentage computed elsewhere (e.g. attendance)
+ */
+const computeCourseGrade = (policy = {}, assessments = [], scoreMap = new Map(), overrides = {}) => {
+  const categories = {};
+  let weightedSum = 0;
+  let gradedWeight = 0;
+
+  GRADING_CATEGORIES.forEach(category => {
+    const weight = Number(policy[category]) || 0;
+    let earned = 0;
+    let possible = 0;
+
+    assessments
+      .filter(assessment => assessment.category === category)
+      .forEach(assessment => {
+        const score = scoreMap.get(assessment._id.toString());
+        if (score !== undefined && score !== null) {
+          earned += score;
+          possible += assessment.maxScore;
+        }
+      });
+
+    let percentage = possible > 0 ? (earned / possible) * 100 : null;
+    if (percentage === null && overrides[category] !== undefined && overrides[category] !== null) {
+      percentage = overrides[category];
+    }
+
+    categories[category] = {
+      weight,
+      earned: possible > 0 ? earned : null,
+      possible: possible > 0 ? possible : null,
+      percentage: percentage === null ? null : round(percentage),
+      weightedScore: percentage === null ? null : round((percentage * weight) / 100)
+    };
+
+    if (percentage !== null && weight > 0) {
+      weightedSum += percentage * weight;
+      gradedWeight += weight;
+    }
+  });
+
+  const weightedTotal = gradedWeight > 0 ? round(weightedSum / gradedWeight) : null;
+
+  return {
+    categories,
+    gradedWeight,
+    weightedTotal,
+    letterGrade: letterGrade(weightedTotal)
+  };
+};
+
+module.exports = {
+  GRADING_CATEGORIES,
+  GRADE_SCALE,
+  PASSING_GRADES,
+  round,
+  sumPolicyWeights,
+  isValidGradingPolicy,
+  letterGrade,
+  gradePoints,
+  computeCourseGrade
+};
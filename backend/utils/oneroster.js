@@ -0,0 +1,872 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+const Department = require('../models/Department');
+const Enrollment = require('../models/Enrollment');
+const { toCsvLine } = require('./export');
+const { validateStudentData } = require('./studentImport');
+const {
+  planNewStudent,
+  saveNewStudent,
+  planStudentChanges,
+  saveStudentChanges
+} = require('./studentWrites');
+const { SeatUnavailableError } = require('./seats');
+const { withTransaction } = require('./transaction');
+const { snapshot, recordAudit } = require('./audit');
+const { zipLimitProblem } = require('./zip');
+
+/**
+ * OneRoster 1.1 CSV bundles: a zip with manifest.csv, orgs.csv,
+ * academicSessions.csv, courses.csv, classes.csv, users.csv and
+ * enrollments.csv, as exchanged with LMS platforms.
+ *
+ *   Department             org of type department, under one school org
+ *   Course                 course, and a scheduled class for every term it is taken in
+ *   Class                  homeroom class, on a homeroom course of its department
+ *   Student                user with role student
+ *   Class and courses      enrollments (current course enrollments only)
+ *   Academic year, term    academicSessions of type schoolYear and semester, with nominal dates
+ *
+ * Fields OneRoster has no column for are carried in metadata.* columns, so an
+ * exported bundle can be imported again. Records are matched on sourcedId
+ * (records that never had one are exported under their _id), then on their
+ * code or roll number; importing the same bundle twice changes nothing.
+ */
+
+// The org above the departments, which this system does not keep
+const ONEROSTER_SCHOOL = {
+  sourcedId: process.env.ONEROSTER_SCHOOL_ID || 'school',
+  name: process.env.ONEROSTER_SCHOOL_NAME || 'Student Management System'
+};
+
+const IMPORT_CONTEXT = 'OneRoster import';
+
+const REQUIRED_FILES = ['orgs', 'courses', 'classes', 'users', 'enrollments'];
+
+// Bounds on what a bundle may unpack to, checked before anything is inflated
+const BUNDLE_LIMITS = { maxEntries: 50, maxBytes: 100 * 1024 * 1024 };
+
+// Columns of each file in the order of the OneRoster 1.1 CSV specification,
+// followed by the metadata.* columns of this system
+const ONEROSTER_COLUMNS = {
+  orgs: [
+    'sourcedId', 'status', 'dateLastModified', 'name', 'type', 'identifier', 'parentSourcedId',
+    'metadata.contactEmail', 'metadata.contactPhone', 'metadata.establishmentYear', 'metadata.programDuration'
+  ],
+  academicSessions: [
+    'sourcedId', 'status', 'dateLastModified', 'title', 'type', 'startDate', 'endDate', 'parentSourcedId', 'schoolYear'
+  ],
+  courses: [
+    'sourcedId', 'status', 'dateLastModified', 'schoolYearSourcedId', 'title', 'courseCode', 'grades',
+    'orgSourcedId', 'subjects', 'subjectCodes',
+    'metadata.creditHours', 'metadata.semester', 'metadata.year', 'metadata.courseType', 'metadata.maxStudents',
+    'metadata.homeroom'
+  ],
+  classes: [
+    'sourcedId', 'status', 'dateLastModified', 'title', 'grades', 'courseSourcedId', 'classCode', 'classType',
+    'location', 'schoolSourcedId', 'termSourcedIds', 'subjects', 'subjectCodes', 'periods',
+    'metadata.capacity', 'metadata.level'
+  ],
+  users: [
+    'sourcedId', 'status', 'dateLastModified', 'enabledUser', 'orgSourcedIds', 'role', 'username', 'userIds',
+    'givenName', 'familyName', 'middleName', 'identifier', 'email', 'sms', 'phone', 'agentSourcedIds', 'grades',
+    'password',
+    'metadata.dateOfBirth', 'metadata.gender', 'metadata.academicYear',
+    'metadata.address.street', 'metadata.address.city', 'metadata.address.state', 'metadata.address.zipCode',
+    'metadata.address.country',
+    'metadata.guardianInfo.name', 'metadata.guardianInfo.relationship', 'metadata.guardianInfo.phone',
+    'metadata.guardianInfo.email'
+  ],
+  enrollments: [
+    'sourcedId', 'status', 'dateLastModified', 'classSourcedId', 'schoolSourcedId', 'userSourcedId', 'role',
+    'primary', 'beginDate', 'endDate'
+  ]
+};
+
+// Nominal term dates; offset is 0 for the first calendar year of the academic year, 1 for the second
+const SEMESTER_DATES = {
+  Fall: { offset: 0, start: '08-01', end: '12-31' },
+  Winter: { offset: 1, start: '01-01', end: '02-28' },
+  Spring: { offset: 1, start: '01-15', end: '05-31' },
+  Summer: { offset: 1, start: '06-01', end: '07-31' }
+};
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+const GUARDIAN_FIELDS = ['name', 'relationship', 'phone', 'email'];
+
+class OneRosterError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OneRosterError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (doc) => doc.sourcedId || doc._id.toString();
+const day = (value) => value ? new Date(value).toISOString().slice(0, 10) : null;
+const homeroomCourseId = (department) => `${idOf(department)}-homeroom`;
+const termId = (academicYear, semester) => `${academicYear}-${semester}`;
+const calendarYears = (academicYear) => academicYear.split('-').map(Number);
+
+const toCsv = (file, rows) => [
+  ONEROSTER_COLUMNS[file],
+  ...rows.map(row => ONEROSTER_COLUMNS[file].map(column => row[column]))
+].map(toCsvLine).join('\n') + '\n';
+
+const manifestCsv = (files) => [
+  ['propertyName', 'value'],
+  ['manifest.version', '1.0'],
+  ['oneroster.version', '1.1'],
+  ...['academicSessions', 'categories', 'classes', 'classResources', 'courses', 'courseResources',
+    'demographics', 'enrollments', 'lineItems', 'orgs', 'resources', 'results', 'users']
+    .map(file => [`file.${file}`, files[file] ? 'bulk' : 'absent']),
+  ['source.systemName', ONEROSTER_SCHOOL.name],
+  ['source.systemCode', ONEROSTER_SCHOOL.sourcedId]
+].map(toCsvLine).join('\n') + '\n';
+
+/**
+ * Build a OneRoster bundle of every department, course, class and student
+ * with their current enrollments.
+ *
+ * @returns {Buffer} The zip file
+ */
+const buildOneRosterExport = async () => {
+  const [departments, courses, classes, students] = await Promise.all([
+    Department.find().sort({ departmentCode: 1 }).lean(),
+    Course.find().sort({ courseCode: 1 }).lean(),
+    Class.find().sort({ academicYear: 1, className: 1, section: 1 }).lean(),
+    Student.find().sort({ rollNumber: 1 }).lean()
+  ]);
+  const enrollments = await Enrollment.find({
+    status: 'Enrolled',
+    student: { $in: students.map(student => student._id) }
+  }).sort({ academicYear: 1, semester: 1 }).lean();
+
+  const byId = (docs) => new Map(docs.map(doc => [doc._id.toString(), doc]));
+  const departmentsById = byId(departments);
+  const coursesById = byId(courses);
+  const classesById = byId(classes);
+  const studentsById = byId(students);
+  const departmentOf = (doc) => departmentsById.get(String(doc.department));
+
+  const files = { orgs: [], academicSessions: [], courses: [], classes: [], users: [], enrollments: [] };
+
+  files.orgs.push({ sourcedId: ONEROSTER_SCHOOL.sourcedId, name: ONEROSTER_SCHOOL.name, type: 'school' });
+  departments.forEach(department => {
+    files.orgs.push({
+      sourcedId: idOf(department),
+      name: department.departmentName,
+      type: 'department',
+      identifier: department.departmentCode,
+      parentSourcedId: ONEROSTER_SCHOOL.sourcedId,
+      'metadata.contactEmail': department.contactEmail,
+      'metadata.contactPhone': department.contactPhone,
+      'metadata.establishmentYear': department.establishmentYear,
+      'metadata.programDuration': department.programDuration
+    });
+  });
+
+  // Courses are taken in terms, as scheduled classes
+  const courseEnrollments = enrollments.filter(enrollment =>
+    coursesById.has(String(enrollment.course)) && departmentOf(coursesById.get(String(enrollment.course)))
+  );
+  const sections = new Map();
+  courseEnrollments.forEach(enrollment => {
+    const course = coursesById.get(String(enrollment.course));
+    const term = termId(enrollment.academicYear, enrollment.semester);
+    sections.set(`${idOf(course)}-${term}`, { course, term, enrollment });
+  });
+
+  // Academic years and the terms in them
+  const academicYears = new Set([
+    ...classes.map(cls => cls.academicYear),
+    ...students.map(student => student.academicYear),
+    ...courseEnrollments.map(enrollment => enrollment.academicYear)
+  ].filter(academicYear => /^\d{4}-\d{4}$/.test(academicYear)));
+
+  [...academicYears].sort().forEach(academicYear => {
+    const [first, second] = calendarYears(academicYear);
+    files.academicSessions.push({
+      sourcedId: academicYear,
+      title: academicYear,
+      type: 'schoolYear',
+      startDate: `${first}-08-01`,
+      endDate: `${second}-07-31`,
+      schoolYear: second
+    });
+  });
+
+  new Map([...sections.values()].map(({ term, enrollment }) => [term, enrollment])).forEach((enrollment, term) => {
+    const dates = SEMESTER_DATES[enrollment.semester];
+    const year = calendarYears(enrollment.academicYear)[0] + dates.offset;
+    files.academicSessions.push({
+      sourcedId: term,
+      title: `${enrollment.semester} ${enrollment.academicYear}`,
+      type: 'semester',
+      startDate: `${year}-${dates.start}`,
+      endDate: `${year}-${dates.end}`,
+      parentSourcedId: enrollment.academicYear,
+      schoolYear: calendarYears(enrollment.academicYear)[1]
+    });
+  });
+
+  courses.filter(departmentOf).forEach(course => {
+    files.courses.push({
+      sourcedId: idOf(course),
+      title: course.courseName,
+      courseCode: course.courseCode,
+      orgSourcedId: idOf(departmentOf(course)),
+      'metadata.creditHours': course.creditHours,
+      'metadata.semester': course.semester,
+      'metadata.year': course.year,
+      'metadata.courseType': course.courseType,
+      'metadata.maxStudents': course.maxStudents
+    });
+  });
+
+  // OneRoster classes always belong to a course; homeroom classes get one per department
+  new Set(classes.map(departmentOf).filter(Boolean)).forEach(department => {
+    files.courses.push({
+      sourcedId: homeroomCourseId(department),
+      title: `${department.departmentName} homeroom`,
+      courseCode: `${department.departmentCode}-HOMEROOM`,
+      orgSourcedId: idOf(department),
+      'metadata.homeroom': 'true'
+    });
+  });
+
+  classes.filter(departmentOf).forEach(cls => {
+    files.classes.push({
+      sourcedId: idOf(cls),
+      title: `${cls.className} - ${cls.section}`,
+      courseSourcedId: homeroomCourseId(departmentOf(cls)),
+      classCode: `${cls.className}-${cls.section}`,
+      classType: 'homeroom',
+      location: cls.schedule && cls.schedule.roomNumber,
+      schoolSourcedId: ONEROSTER_SCHOOL.sourcedId,
+      termSourcedIds: cls.academicYear,
+      'metadata.capacity': cls.capacity,
+      'metadata.level': cls.level
+    });
+  });
+
+  sections.forEach(({ course, term }, sourcedId) => {
+    files.classes.push({
+      sourcedId,
+      title: `${course.courseName} (${term})`,
+      courseSourcedId: idOf(course),
+      classCode: course.courseCode,
+      classType: 'scheduled',
+      location: course.schedule && course.schedule.room,
+      schoolSourcedId: ONEROSTER_SCHOOL.sourcedId,
+      termSourcedIds: term
+    });
+  });
+
+  students.filter(departmentOf).forEach(student => {
+    const [givenName, ...familyName] = student.name.split(/\s+/);
+    const address = student.address || {};
+    const guardianInfo = student.guardianInfo || {};
+
+    files.users.push({
+      sourcedId: idOf(student),
+      enabledUser: student.status === 'Active' ? 'true' : 'false',
+      orgSourcedIds: idOf(departmentOf(student)),
+      role: 'student',
+      username: student.email,
+      givenName,
+      familyName: familyName.join(' '),
+      identifier: student.rollNumber,
+      email: student.email,
+      phone: student.phone,
+      'metadata.dateOfBirth': day(student.dateOfBirth),
+      'metadata.gender': student.gender,
+      'metadata.academicYear': student.academicYear,
+      ...ADDRESS_FIELDS.reduce((columns, field) => ({ ...columns, [`metadata.address.${field}`]: address[field] }), {}),
+      ...GUARDIAN_FIELDS.reduce((columns, field) => ({ ...columns, [`metadata.guardianInfo.${field}`]: guardianInfo[field] }), {})
+    });
+
+    const cls = classesById.get(String(student.class));
+    if (cls && departmentOf(cls)) {
+      files.enrollments.push({
+        sourcedId: `${idOf(student)}-${idOf(cls)}`,
+        classSourcedId: idOf(cls),
+        schoolSourcedId: ONEROSTER_SCHOOL.sourcedId,
+        userSourcedId: idOf(student),
+        role: 'student',
+        primary: 'false',
+        beginDate: day(student.enrollmentDate)
+      });
+    }
+  });
+
+  courseEnrollments.forEach(enrollment => {
+    const student = studentsById.get(String(enrollment.student));
+    if (!departmentOf(student)) return;
+
+    const course = coursesById.get(String(enrollment.course));
+    files.enrollments.push({
+      sourcedId: enrollment._id.toString(),
+      classSourcedId: `${idOf(course)}-${termId(enrollment.academicYear, enrollment.semester)}`,
+      schoolSourcedId: ONEROSTER_SCHOOL.sourcedId,
+      userSourcedId: idOf(student),
+      role: 'student',
+      primary: 'false',
+      beginDate: day(enrollment.enrolledAt)
+    });
+  });
+
+  const zip = new AdmZip();
+  zip.addFile('manifest.csv', Buffer.from(manifestCsv(files)));
+  Object.keys(files).forEach(file => {
+    zip.addFile(`${file}.csv`, Buffer.from(toCsv(file, files[file])));
+  });
+  return zip.toBuffer();
+};
+
+/**
+ * Read the CSV files of a OneRoster bundle.
+ *
+ * @returns {Object} Rows of each file by file name, as { line, values }
+ * @throws {OneRosterError} When it is not a zip, unpacks to too much, or a required file is missing or malformed
+ */
+const readOneRosterBundle = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new OneRosterError('The file is not a valid zip archive');
+  }
+
+  const tooLarge = zipLimitProblem(entries, BUNDLE_LIMITS);
+  if (tooLarge) {
+    throw new OneRosterError(`The bundle ${tooLarge}`);
+  }
+
+  const files = {};
+  entries
+    .filter(entry => !entry.isDirectory && path.extname(entry.entryName).toLowerCase() === '.csv')
+    .forEach(entry => {
+      const file = path.basename(entry.entryName, path.extname(entry.entryName));
+      try {
+        files[file] = parse(entry.getData().toString('utf8'), {
+          columns: true,
+          bom: true,
+          trim: true,
+          skip_empty_lines: true,
+          info: true
+        }).map(({ record, info }) => ({ line: info.lines, values: record }));
+      } catch (error) {
+        throw new OneRosterError(`${file}.csv could not be read: ${error.message}`);
+      }
+    });
+
+  const missing = REQUIRED_FILES.filter(file => !files[file]);
+  if (missing.length > 0) {
+    throw new OneRosterError(`The bundle has no ${missing.map(file => `${file}.csv`).join(', ')}`);
+  }
+
+  return files;
+};
+
+// Value of an optional column; empty cells count as missing
+const cell = (row, column) => {
+  const value = row.values[column];
+  return value === undefined || value === '' ? undefined : value;
+};
+
+const number = (value) => value === undefined ? undefined : Number(value);
+
+// Leave out what the bundle does not say, so it is not overwritten
+const defined = (data) => Object.keys(data).reduce((result, key) => {
+  if (data[key] !== undefined) result[key] = data[key];
+  return result;
+}, {});
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return day(a) === day(b);
+  return String(a) === String(b);
+};
+
+/**
+ * Existing record for a sourcedId: by sourcedId, by _id for records exported
+ * without one, then by its natural key (code, roll number) when that record
+ * has no sourcedId of its own yet. Trashed records are found too.
+ */
+const findExisting = async (Model, sourcedId, naturalKey) => {
+  const ids = [{ sourcedId }];
+  if (/^[0-9a-fA-F]{24}$/.test(sourcedId)) ids.push({ _id: sourcedId });
+
+  const doc = await Model.findOne({ $or: ids }).setOptions({ withDeleted: true });
+  if (doc || !naturalKey) return { doc };
+
+  const byKey = await Model.findOne(naturalKey).setOptions({ withDeleted: true });
+  if (byKey && byKey.sourcedId && byKey.sourcedId !== sourcedId) {
+    return { conflict: byKey };
+  }
+  return { doc: byKey };
+};
+
+// Id of a department, course or class by sourcedId: from earlier in the
+// bundle, otherwise from the database
+const resolve = async (state, entityType, sourcedId) => {
+  if (!sourcedId) return undefined;
+  if (state.ids[entityType].has(sourcedId)) return state.ids[entityType].get(sourcedId);
+
+  const Model = { Department, Course, Class }[entityType];
+  const { doc } = await findExisting(Model, sourcedId);
+  const id = doc && !doc.deletedAt ? doc._id : undefined;
+  state.ids[entityType].set(sourcedId, id);
+  if (doc && entityType === 'Class') state.classYears.set(doc._id.toString(), doc.academicYear);
+  return id;
+};
+
+const isPending = (state, ids) => ids.some(id => id && state.pending.has(id.toString()));
+
+// Write a department, course or class with its audit entry
+const saveRecord = async (req, doc, entityType, before) => {
+  await withTransaction(async (session) => {
+    await doc.save({ session });
+    await recordAudit(req, {
+      action: before ? 'update' : 'create',
+      entityType,
+      before,
+      after: doc,
+      context: IMPORT_CONTEXT
+    }, session);
+  });
+};
+
+// Create or update a department, course or class from its row
+const upsertRecord = async (state, result, Model, entityType, found, data, check) => {
+  const { doc, conflict } = found;
+
+  if (conflict) {
+    result.errors.push({ field: 'sourcedId', message: `Matches a record imported under sourcedId ${conflict.sourcedId}` });
+    return 'error';
+  }
+  if (doc && doc.deletedAt) {
+    result.errors.push({ field: 'sourcedId', message: `The matching ${entityType.toLowerCase()} is in the trash. Restore it first.` });
+    return 'error';
+  }
+
+  if (!doc) {
+    const created = new Model(data);
+    const invalid = created.validateSync();
+    if (invalid) {
+      Object.values(invalid.errors).forEach(error => result.errors.push({ field: error.path, message: error.message }));
+      return 'error';
+    }
+
+    if (state.apply) {
+      await saveRecord(state.req, created, entityType, null);
+    } else {
+      state.pending.add(created._id.toString());
+    }
+    state.ids[entityType].set(data.sourcedId, created._id);
+    return 'create';
+  }
+
+  const problem = check ? check(doc, data) : null;
+  if (problem) {
+    result.errors.push(problem);
+    return 'error';
+  }
+
+  state.ids[entityType].set(data.sourcedId, doc._id);
+  // A record exported under its _id keeps going without a sourcedId
+  const fields = Object.keys(data)
+    .filter(field => !(field === 'sourcedId' && data.sourcedId === doc._id.toString()))
+    .filter(field => !sameValue(doc.get(field), data[field]));
+  if (fields.length === 0) return 'unchanged';
+
+  const before = snapshot(doc);
+  fields.forEach(field => doc.set(field, data[field]));
+  const invalid = doc.validateSync();
+  if (invalid) {
+    Object.values(invalid.errors).forEach(error => result.errors.push({ field: error.path, message: error.message }));
+    return 'error';
+  }
+
+  if (state.apply) {
+    await saveRecord(state.req, doc, entityType, before);
+  }
+  result.changes = fields;
+  return 'update';
+};
+
+const importDepartment = async (state, row, result) => {
+  if (cell(row, 'type') !== 'department') return 'skip';
+
+  const data = defined({
+    sourcedId: row.values.sourcedId,
+    departmentName: cell(row, 'name'),
+    departmentCode: cell(row, 'identifier') && cell(row, 'identifier').toUpperCase(),
+    contactEmail: cell(row, 'metadata.contactEmail'),
+    contactPhone: cell(row, 'metadata.contactPhone'),
+    establishmentYear: number(cell(row, 'metadata.establishmentYear')),
+    programDuration: number(cell(row, 'metadata.programDuration'))
+  });
+
+  if (!data.departmentCode) {
+    result.errors.push({ field: 'identifier', message: 'The department code is required in identifier' });
+    return 'error';
+  }
+
+  const found = await findExisting(Department, data.sourcedId, { departmentCode: data.departmentCode });
+  return upsertRecord(state, result, Department, 'Department', found, data);
+};
+
+const importCourse = async (state, row, result) => {
+  // Homeroom courses only hold homeroom classes together
+  if (cell(row, 'metadata.homeroom') === 'true') return 'skip';
+
+  const department = await resolve(state, 'Department', cell(row, 'orgSourcedId'));
+  if (!department) {
+    result.errors.push({ field: 'orgSourcedId', message: `Department org ${cell(row, 'orgSourcedId') || '(none)'} not found` });
+    return 'error';
+  }
+
+  const data = defined({
+    sourcedId: row.values.sourcedId,
+    courseName: cell(row, 'title'),
+    courseCode: cell(row, 'courseCode') && cell(row, 'courseCode').toUpperCase(),
+    department,
+    creditHours: number(cell(row, 'metadata.creditHours')),
+    semester: cell(row, 'metadata.semester'),
+    year: number(cell(row, 'metadata.year')),
+    courseType: cell(row, 'metadata.courseType'),
+    maxStudents: number(cell(row, 'metadata.maxStudents'))
+  });
+
+  const found = await findExisting(Course, data.sourcedId, data.courseCode && { courseCode: data.courseCode });
+  return upsertRecord(state, result, Course, 'Course', found, data, (doc) => {
+    if (data.maxStudents !== undefined && data.maxStudents < doc.enrolledStudents) {
+      return { field: 'metadata.maxStudents', message: `Maximum students cannot be less than the ${doc.enrolledStudents} enrolled` };
+    }
+    return null;
+  });
+};
+
+// Academic year of a class from its terms: a schoolYear session, the
+// schoolYear a term belongs to, or a sourcedId that is an academic year itself
+const academicYearOf = (sessions, termSourcedIds) => {
+  for (const sourcedId of (termSourcedIds || '').split(',').map(id => id.trim()).filter(Boolean)) {
+    let session = sessions.get(sourcedId);
+    if (!session) {
+      if (/^\d{4}-\d{4}$/.test(sourcedId)) return sourcedId;
+      continue;
+    }
+
+    if (session.values.type !== 'schoolYear' && sessions.get(session.values.parentSourcedId)) {
+      session = sessions.get(session.values.parentSourcedId);
+    }
+    if (/^\d{4}-\d{4}$/.test(session.values.title)) return session.values.title;
+
+    const schoolYear = parseInt(session.values.schoolYear, 10);
+    if (schoolYear) return `${schoolYear - 1}-${schoolYear}`;
+  }
+  return undefined;
+};
+
+const importClass = async (state, row, result, bundle) => {
+  // Scheduled classes are course sections; their enrollments become course enrollments
+  if (cell(row, 'classType') !== 'homeroom') return 'skip';
+
+  const classCode = (cell(row, 'classCode') || '').toUpperCase();
+  const separator = classCode.lastIndexOf('-');
+  if (separator < 1) {
+    result.errors.push({ field: 'classCode', message: 'The class code must be the class name and section, e.g. CS1-A' });
+    return 'error';
+  }
+
+  const course = bundle.courses.get(cell(row, 'courseSourcedId'));
+  const department = course ? await resolve(state, 'Department', cell(course, 'orgSourcedId')) : undefined;
+  if (!department) {
+    result.errors.push({ field: 'courseSourcedId', message: 'The department of the class could not be found from its course' });
+    return 'error';
+  }
+
+  const data = defined({
+    sourcedId: row.values.sourcedId,
+    className: classCode.slice(0, separator),
+    section: classCode.slice(separator + 1),
+    academicYear: academicYearOf(bundle.sessions, cell(row, 'termSourcedIds')),
+    department,
+    capacity: number(cell(row, 'metadata.capacity')),
+    level: number(cell(row, 'metadata.level'))
+  });
+
+  const found = await findExisting(Class, data.sourcedId, data.academicYear && {
+    className: data.className,
+    section: data.section,
+    academicYear: data.academicYear
+  });
+  const action = await upsertRecord(state, result, Class, 'Class', found, data, (doc) => {
+    if (data.capacity !== undefined && data.capacity < doc.currentStrength) {
+      return { field: 'metadata.capacity', message: `Capacity cannot be less than current strength (${doc.currentStrength})` };
+    }
+    if (doc.currentStrength > 0 && !sameValue(doc.department, department)) {
+      return { field: 'courseSourcedId', message: 'A class with students cannot move to another department' };
+    }
+    return null;
+  });
+
+  const id = state.ids.Class.get(data.sourcedId);
+  if (id) state.classYears.set(id.toString(), data.academicYear);
+  return action;
+};
+
+// Homeroom class and course sourcedIds a student is enrolled in
+const studentEnrollments = (bundle, sourcedId) => {
+  const homerooms = [];
+  const courses = [];
+  const unknown = [];
+
+  (bundle.enrollmentsByUser.get(sourcedId) || []).forEach(enrollment => {
+    const cls = bundle.classes.get(cell(enrollment, 'classSourcedId'));
+    if (!cls) {
+      unknown.push(cell(enrollment, 'classSourcedId'));
+    } else if (cell(cls, 'classType') === 'homeroom') {
+      homerooms.push(cell(enrollment, 'classSourcedId'));
+    } else {
+      courses.push(cell(cls, 'courseSourcedId'));
+    }
+  });
+
+  return { homerooms, courses: [...new Set(courses)], unknown };
+};
+
+const importStudent = async (state, row, result, bundle) => {
+  if (cell(row, 'role') !== 'student') return 'skip';
+
+  const sourcedId = row.values.sourcedId;
+  const enrolled = studentEnrollments(bundle, sourcedId);
+  if (enrolled.unknown.length > 0) {
+    result.errors.push({ field: 'enrollments', message: `Enrolled in unknown class(es) ${enrolled.unknown.join(', ')}` });
+  }
+  if (enrolled.homerooms.length > 1) {
+    result.errors.push({ field: 'enrollments', message: 'Enrolled in more than one homeroom class' });
+  }
+
+  const classId = await resolve(state, 'Class', enrolled.homerooms[0]);
+  if (enrolled.homerooms.length === 1 && !classId) {
+    result.errors.push({ field: 'enrollments', message: `Class ${enrolled.homerooms[0]} not found` });
+  }
+
+  const courseIds = [];
+  for (const courseSourcedId of enrolled.courses) {
+    const courseId = await resolve(state, 'Course', courseSourcedId);
+    if (courseId) {
+      courseIds.push(courseId);
+    } else {
+      result.errors.push({ field: 'enrollments', message: `Course ${courseSourcedId} not found` });
+    }
+  }
+
+  let departmentId;
+  for (const orgSourcedId of (cell(row, 'orgSourcedIds') || '').split(',').map(id => id.trim()).filter(Boolean)) {
+    departmentId = departmentId || await resolve(state, 'Department', orgSourcedId);
+  }
+  if (!departmentId) {
+    result.errors.push({ field: 'orgSourcedIds', message: 'None of the orgs is a known department' });
+  }
+
+  if (result.errors.length > 0) return 'error';
+
+  const enabled = cell(row, 'enabledUser');
+  const address = defined(ADDRESS_FIELDS.reduce((fields, field) => ({ ...fields, [field]: cell(row, `metadata.address.${field}`) }), {}));
+  const guardianInfo = defined(GUARDIAN_FIELDS.reduce((fields, field) => ({ ...fields, [field]: cell(row, `metadata.guardianInfo.${field}`) }), {}));
+  const data = defined({
+    name: [cell(row, 'givenName'), cell(row, 'middleName'), cell(row, 'familyName')].filter(Boolean).join(' ') || undefined,
+    rollNumber: cell(row, 'identifier') && cell(row, 'identifier').toUpperCase(),
+    email: cell(row, 'email') && cell(row, 'email').toLowerCase(),
+    phone: cell(row, 'phone') || cell(row, 'sms'),
+    dateOfBirth: cell(row, 'metadata.dateOfBirth'),
+    gender: cell(row, 'metadata.gender'),
+    academicYear: cell(row, 'metadata.academicYear') || (classId && state.classYears.get(classId.toString())),
+    class: classId,
+    department: departmentId
+  });
+
+  const { doc, conflict } = await findExisting(Student, sourcedId, data.rollNumber && { rollNumber: data.rollNumber });
+  if (conflict) {
+    result.errors.push({ field: 'sourcedId', message: `Matches a student imported under sourcedId ${conflict.sourcedId}` });
+    return 'error';
+  }
+  if (doc && doc.deletedAt) {
+    result.errors.push({ field: 'sourcedId', message: 'The matching student is in the trash. Restore it first.' });
+    return 'error';
+  }
+
+  const pending = isPending(state, [classId, departmentId, ...courseIds]);
+
+  if (!doc) {
+    const { data: checked, errors } = await validateStudentData({
+      ...data,
+      class: classId && classId.toString(),
+      department: departmentId.toString(),
+      courses: courseIds.map(id => id.toString()),
+      address,
+      guardianInfo,
+      status: enabled === 'false' ? 'Inactive' : 'Active'
+    }, []);
+    if (errors.length > 0) {
+      result.errors.push(...errors);
+      return 'error';
+    }
+
+    // In a dry run, students of classes and courses still to be created are only validated
+    if (pending) return 'create';
+
+    const { problem, plan } = await planNewStudent(checked);
+    if (problem) {
+      result.errors.push({ field: problem.field, message: problem.error });
+      return 'error';
+    }
+
+    if (state.apply) {
+      await withTransaction(session =>
+        saveNewStudent(state.req, { ...checked, sourcedId }, plan, session, IMPORT_CONTEXT)
+      );
+    }
+    return 'create';
+  }
+
+  // Only what differs is changed
+  const changes = {};
+  Object.keys(data).forEach(field => {
+    if (!sameValue(doc.get(field), data[field])) changes[field] = data[field];
+  });
+
+  const current = doc.courses.map(id => id.toString()).sort();
+  const wanted = courseIds.map(id => id.toString()).sort();
+  if (current.join() !== wanted.join()) changes.courses = courseIds;
+
+  if (Object.keys(address).some(field => !sameValue(doc.address[field], address[field]))) {
+    changes.address = { ...doc.address.toObject(), ...address };
+  }
+  if (Object.keys(guardianInfo).some(field => !sameValue(doc.guardianInfo[field], guardianInfo[field]))) {
+    changes.guardianInfo = { ...doc.guardianInfo.toObject(), ...guardianInfo };
+  }
+
+  // Enabling and disabling only moves between Active and Inactive
+  if (enabled === 'false' && doc.status === 'Active') changes.status = 'Inactive';
+  if (enabled === 'true' && doc.status === 'Inactive') changes.status = 'Active';
+
+  if (!doc.sourcedId && sourcedId !== doc._id.toString()) changes.sourcedId = sourcedId;
+
+  if (Object.keys(changes).length === 0) return 'unchanged';
+  result.changes = Object.keys(changes);
+
+  if (pending) return 'update';
+
+  const { problem, plan } = await planStudentChanges(doc, changes);
+  if (problem) {
+    result.errors.push({ field: null, message: problem.error });
+    return 'error';
+  }
+
+  if (state.apply) {
+    await saveStudentChanges(state.req, doc, changes, plan, IMPORT_CONTEXT);
+  }
+  return 'update';
+};
+
+// Files and what is imported from them, in order, so references resolve
+const IMPORT_STEPS = [
+  { file: 'orgs', entityType: 'Department', run: importDepartment },
+  { file: 'courses', entityType: 'Course', run: importCourse },
+  { file: 'classes', entityType: 'Class', run: importClass },
+  { file: 'users', entityType: 'Student', run: importStudent }
+];
+
+/**
+ * Create or update departments, courses, classes and students from a
+ * OneRoster bundle. Without apply, only reports what would change. Every
+ * record is written on its own; a record that fails is reported and the rest
+ * go ahead, so the bundle can be imported again once it is fixed.
+ *
+ * @param {Object} req      Request, for the audit trail
+ * @param {Object} files    Output of readOneRosterBundle()
+ * @param {Object} options  { apply }
+ * @returns {Object} { apply, summary, rows } with a row per record created, updated or rejected
+ */
+const importOneRoster = async (req, files, { apply = false } = {}) => {
+  const index = (rows) => new Map((rows || []).map(row => [row.values.sourcedId, row]));
+  const enrollmentsByUser = new Map();
+  files.enrollments
+    .filter(row => cell(row, 'role') === 'student' && cell(row, 'status') !== 'tobedeleted')
+    .forEach(row => {
+      const user = cell(row, 'userSourcedId');
+      enrollmentsByUser.set(user, [...(enrollmentsByUser.get(user) || []), row]);
+    });
+
+  const bundle = {
+    courses: index(files.courses),
+    classes: index(files.classes),
+    sessions: index(files.academicSessions),
+    enrollmentsByUser
+  };
+  const state = {
+    req,
+    apply,
+    ids: { Department: new Map(), Course: new Map(), Class: new Map() },
+    classYears: new Map(),
+    // Records a dry run would create
+    pending: new Set()
+  };
+  const report = { apply, summary: {}, rows: [] };
+
+  for (const { file, entityType, run } of IMPORT_STEPS) {
+    const counts = { create: 0, update: 0, unchanged: 0, skip: 0, error: 0 };
+    report.summary[entityType] = counts;
+
+    for (const row of files[file]) {
+      const result = { file: `${file}.csv`, line: row.line, sourcedId: row.values.sourcedId, entityType, errors: [] };
+
+      if (!row.values.sourcedId) {
+        result.errors.push({ field: 'sourcedId', message: 'sourcedId is required' });
+        result.action = 'error';
+      } else if (cell(row, 'status') === 'tobedeleted') {
+        // Deletions are left to the trash
+        result.action = 'skip';
+      } else {
+        try {
+          result.action = await run(state, row, result, bundle);
+        } catch (error) {
+          if (error.name === 'ValidationError') {
+            Object.values(error.errors).forEach(err => result.errors.push({ field: err.path, message: err.message }));
+          } else if (error.code === 11000) {
+            result.errors.push({ field: Object.keys(error.keyValue || {})[0] || null, message: 'Already taken by another record' });
+          } else if (error instanceof SeatUnavailableError) {
+            result.errors.push({ field: null, message: error.message });
+          } else {
+            throw error;
+          }
+          result.action = 'error';
+        }
+      }
+
+      counts[result.action]++;
+      if (['create', 'update', 'error'].includes(result.action)) {
+        report.rows.push(result);
+      }
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  ONEROSTER_SCHOOL,
+  ONEROSTER_COLUMNS,
+  OneRosterError,
+  buildOneRosterExport,
+  readOneRosterBundle,
+  importOneRoster
+};
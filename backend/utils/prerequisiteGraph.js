@@ -0,0 +1,245 @@
+const Course = require('../models/Course');
+
+/**
+ * Course prerequisite graph. Edges point from a course to the courses it
+ * requires, through plain prerequisites and "one of" groups. Corequisites are
+ * taken together, so they are listed but never make a cycle.
+ */
+
+const GRAPH_FIELDS = 'courseName courseCode department year semester creditHours ' +
+  'prerequisites prerequisiteMinGrade prerequisiteGroups corequisites';
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Course ids a course cannot be taken before
+const requiredIds = (course) => [
+  ...(course.prerequisites || []),
+  ...(course.prerequisiteGroups || []).flatMap(group => group.courses || [])
+].map(idOf);
+
+// Map of course id to course for a list of (lean) course documents
+const indexCourses = (courses) => new Map(courses.map(course => [idOf(course), course]));
+
+/**
+ * Find a prerequisite cycle that passes through startId.
+ *
+ * @param {Map} courses    Course id -> course
+ * @param {String} startId Course to start from
+ * @returns {Array|null}   Course ids along the cycle (first === last), or null
+ */
+const findCycleFrom = (courses, startId) => {
+  const visited = new Set();
+
+  const visit = (courseId, path) => {
+    const course = courses.get(courseId);
+    if (!course) return null;
+
+    for (const requiredId of requiredIds(course)) {
+      if (requiredId === startId) {
+        return [...path, requiredId];
+      }
+      if (!visited.has(requiredId)) {
+        visited.add(requiredId);
+        const cycle = visit(requiredId, [...path, requiredId]);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  };
+
+  return visit(startId, [startId]);
+};
+
+// Every distinct cycle in the graph, each reported once
+const findAllCycles = (courses) => {
+  const cycles = [];
+  const seen = new Set();
+
+  courses.forEach((course, courseId) => {
+    const cycle = findCycleFrom(courses, courseId);
+    if (!cycle) return;
+
+    const key = [...new Set(cycle)].sort().join(',');
+    if (!seen.has(key)) {
+      seen.add(key);
+      cycles.push(cycle);
+    }
+  });
+
+  return cycles;
+};
+
+const cycleCodes = (courses, cycle) =>
+  cycle.map(courseId => (courses.get(courseId) || {}).courseCode || courseId);
+
+/**
+ * Check a proposed set of requirements for a course against the whole graph.
+ *
+ * @param {String|null} courseId  Course being updated, or null for a new course
+ * @param {Object} requirements   { prerequisites, prerequisiteGroups } as submitted
+ * @returns {Array|null} Course codes along the cycle it would create, or null
+ */
+const detectPrerequisiteCycle = async (courseId, requirements) => {
+  if (!courseId) {
+    // Nothing can require a course that does not exist yet
+    return null;
+  }
+
+  const id = courseId.toString();
+  const courses = indexCourses(await Course.find().select(GRAPH_FIELDS).lean());
+  const current = courses.get(id) || { _id: id };
+
+  courses.set(id, {
+    ...current,
+    prerequisites: requirements.prerequisites !== undefined ?
+      requirements.prerequisites : current.prerequisites,
+    prerequisiteGroups: requirements.prerequisiteGroups !== undefined ?
+      requirements.prerequisiteGroups : current.prerequisiteGroups
+  });
+
+  const cycle = findCycleFrom(courses, id);
+  return cycle ? cycleCodes(courses, cycle) : null;
+};
+
+const summary = (course) => ({
+  id: course._id,
+  courseCode: course.courseCode,
+  courseName: course.courseName,
+  creditHours: course.creditHours
+});
+
+/**
+ * Full transitive prerequisite tree of a course. A course that appears on its
+ * own path is marked as a cycle instead of being expanded again.
+ */
+const buildPrerequisiteTree = (courses, courseId, path = []) => {
+  const course = courses.get(courseId);
+  if (!course) {
+    return { id: courseId, missing: true };
+  }
+
+  if (path.includes(courseId)) {
+    return { ...summary(course), cycle: true };
+  }
+
+  const nextPath = [...path, courseId];
+  const minGrade = course.prerequisiteMinGrade || 'D';
+
+  return {
+    ...summary(course),
+    prerequisites: (course.prerequisites || []).map(ref => ({
+      minGrade,
+      ...buildPrerequisiteTree(courses, idOf(ref), nextPath)
+    })),
+    oneOf: (course.prerequisiteGroups || []).map(group => ({
+      minGrade: group.minGrade || 'D',
+      options: (group.courses || []).map(ref => buildPrerequisiteTree(courses, idOf(ref), nextPath))
+    })),
+    corequisites: (course.corequisites || []).map(ref => {
+      const corequisite = courses.get(idOf(ref));
+      return corequisite ? summary(corequisite) : { id: idOf(ref), missing: true };
+    })
+  };
+};
+
+// Every course reachable through prerequisites and groups, nearest first
+const transitivePrerequisites = (courses, courseId) => {
+  const found = new Map();
+  let frontier = [courseId];
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    depth += 1;
+    const next = [];
+    frontier.forEach(id => {
+      const course = courses.get(id);
+      if (!course) return;
+      requiredIds(course).forEach(requiredId => {
+        if (requiredId !== courseId && !found.has(requiredId) && courses.has(requiredId)) {
+          found.set(requiredId, { ...summary(courses.get(requiredId)), depth });
+          next.push(requiredId);
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  return [...found.values()];
+};
+
+// Nodes and edges of the graph for export
+const buildGraphExport = (courses, includeIds) => {
+  const nodes = [];
+  const edges = [];
+
+  courses.forEach((course, courseId) => {
+    if (!includeIds.has(courseId)) return;
+
+    const minGrade = course.prerequisiteMinGrade || 'D';
+    (course.prerequisites || []).forEach(ref => {
+      edges.push({ from: idOf(ref), to: courseId, type: 'prerequisite', minGrade });
+    });
+    (course.prerequisiteGroups || []).forEach((group, index) => {
+      (group.courses || []).forEach(ref => {
+        edges.push({ from: idOf(ref), to: courseId, type: 'oneOf', group: index, minGrade: group.minGrade || 'D' });
+      });
+    });
+    (course.corequisites || []).forEach(ref => {
+      edges.push({ from: idOf(ref), to: courseId, type: 'corequisite' });
+    });
+  });
+
+  // Courses outside the selection that selected courses depend on
+  const nodeIds = new Set(includeIds);
+  edges.forEach(edge => nodeIds.add(edge.from));
+
+  nodeIds.forEach(courseId => {
+    const course = courses.get(courseId);
+    if (!course) return;
+    nodes.push({
+      ...summary(course),
+      department: course.department,
+      year: course.year,
+      semester: course.semester,
+      ...(!includeIds.has(courseId) && { external: true })
+    });
+  });
+
+  nodes.sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+  return { nodes, edges };
+};
+
+// Graphviz DOT rendering of an exported graph
+const toDot = ({ nodes, edges }) => {
+  const codes = new Map(nodes.map(node => [node.id.toString(), node.courseCode]));
+  const lines = ['digraph prerequisites {', '  rankdir=LR;'];
+
+  nodes.forEach(node => {
+    const style = node.external ? ', style=dashed' : '';
+    lines.push(`  "${node.courseCode}" [label="${node.courseCode}\\n${node.courseName.replace(/"/g, '\\"')}"${style}];`);
+  });
+  edges.forEach(edge => {
+    const from = codes.get(edge.from) || edge.from;
+    const to = codes.get(edge.to) || edge.to;
+    const label = edge.type === 'corequisite' ? 'coreq' :
+      edge.type === 'oneOf' ? `one of #${edge.group + 1} (${edge.minGrade})` : edge.minGrade;
+    const style = edge.type === 'prerequisite' ? '' : ', style=dashed';
+    lines.push(`  "${from}" -> "${to}" [label="${label}"${style}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  GRAPH_FIELDS,
+  indexCourses,
+  findCycleFrom,
+  findAllCycles,
+  cycleCodes,
+  detectPrerequisiteCycle,
+  buildPrerequisiteTree,
+  transitivePrerequisites,
+  buildGraphExport,
+  toDot
+};
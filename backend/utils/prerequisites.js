@@ -0,0 +1,170 @@
+const Enrollment = require('../models/Enrollment');
+const { gradePoints } = require('./grading');
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const describe = (ref) => (ref && ref.courseCode ?
+  { id: ref._id, courseCode: ref.courseCode, courseName: ref.courseName } :
+  { id: ref });
+
+// Every course a course's requirements refer to
+const requirementCourseIds = (course) => {
+  const ids = [
+    ...(course.prerequisites || []),
+    ...(course.corequisites || []),
+    ...(course.prerequisiteGroups || []).flatMap(group => group.courses || [])
+  ].map(idOf);
+  return [...new Set(ids)];
+};
+
+const meetsMinimumGrade = (grade, minGrade) => {
+  const points = gradePoints(grade);
+  return points !== null && points >= gradePoints(minGrade || 'D');
+};
+
+/**
+ * Summarise a student's record for requirement checks: the latest graded
+ * attempt per course (as on the transcript) and the courses currently taken.
+ */
+const getCourseHistory = async (studentId) => {
+  const enrollments = await Enrollment.find({
+    student: studentId,
+    status: { $in: ['Enrolled', 'Completed', 'Failed'] }
+  })
+    .select('course status grade completedAt')
+    .sort({ completedAt: 1 })
+    .lean();
+
+  const graded = new Map();
+  const enrolled = new Set();
+  enrollments.forEach(enrollment => {
+    const courseId = enrollment.course.toString();
+    if (enrollment.status === 'Enrolled') {
+      enrolled.add(courseId);
+    } else {
+      graded.set(courseId, enrollment.grade);
+    }
+  });
+
+  return { graded, enrolled };
+};
+
+// Why a single course does not satisfy a minimum grade, or null when it does
+const shortfall = (courseId, minGrade, history) => {
+  const grade = history.graded.get(courseId);
+  if (grade !== undefined) {
+    return meetsMinimumGrade(grade, minGrade) ? null :
+      `Completed with ${grade}, minimum grade is ${minGrade}`;
+  }
+  return history.enrolled.has(courseId) ?
+    'Currently enrolled, must be completed first' :
+    'Not completed';
+};
+
+/**
+ * Check a course's prerequisites, "one of" groups and corequisites against a
+ * student's history. The course's requirement references should be populated
+ * with courseCode/courseName so the result can name them.
+ *
+ * @param {Object} course   Course with prerequisites, prerequisiteGroups and corequisites
+ * @param {Object} history  Result of getCourseHistory()
+ * @returns {Array} Unmet requirements; empty when the student is eligible
+ */
+const checkRequirements = (course, history) => {
+  const unmet = [];
+  const minGrade = course.prerequisiteMinGrade || 'D';
+
+  (course.prerequisites || []).forEach(prerequisite => {
+    const reason = shortfall(idOf(prerequisite), minGrade, history);
+    if (reason) {
+      unmet.push({ type: 'prerequisite', course: describe(prerequisite), minGrade, reason });
+    }
+  });
+
+  (course.prerequisiteGroups || []).forEach(group => {
+    const groupMinGrade = group.minGrade || 'D';
+    const options = group.courses.map(option => ({
+      course: describe(option),
+      reason: shortfall(idOf(option), groupMinGrade, history)
+    }));
+    if (options.every(option => option.reason)) {
+      unmet.push({ type: 'oneOf', minGrade: groupMinGrade, options });
+    }
+  });
+
+  (course.corequisites || []).forEach(corequisite => {
+    const courseId = idOf(corequisite);
+    const completed = meetsMinimumGrade(history.graded.get(courseId), 'D');
+    if (!completed && !history.enrolled.has(courseId)) {
+      unmet.push({
+        type: 'corequisite',
+        course: describe(corequisite),
+        reason: 'Must be completed or taken in the same term'
+      });
+    }
+  });
+
+  return unmet;
+};
+
+const REQUIREMENT_POPULATE = [
+  { path: 'prerequisites', select: 'courseName courseCode' },
+  { path: 'prerequisiteGroups.courses', select: 'courseName courseCode' },
+  { path: 'corequisites', select: 'courseName courseCode' }
+];
+
+// Unmet requirements of a course for a student, loading what is needed
+const getUnmetRequirements = async (studentId, course) => {
+  if (requirementCourseIds(course).length === 0) {
+    return [];
+  }
+
+  await course.populate(REQUIREMENT_POPULATE);
+  const history = await getCourseHistory(studentId);
+  return checkRequirements(course, history);
+};
+
+/**
+ * Unmet requirements of courses a student takes up together, as when a
+ * student is created or updated with a list of courses. The courses count as
+ * taken in the same term for each other's corequisites; dropped courses no
+ * longer count.
+ *
+ * @param {ObjectId|null} studentId        null for a student not created yet
+ * @param {Array} courses                  Course documents being added
+ * @param {Array} droppedCourseIds         Courses the same change removes
+ * @returns {Array} Unmet requirements, each with `for`, the course it belongs to
+ */
+const getUnmetRequirementsForCourses = async (studentId, courses, droppedCourseIds = []) => {
+  const withRequirements = courses.filter(course => requirementCourseIds(course).length > 0);
+  if (withRequirements.length === 0) {
+    return [];
+  }
+
+  const history = studentId ?
+    await getCourseHistory(studentId) :
+    { graded: new Map(), enrolled: new Set() };
+  droppedCourseIds.forEach(courseId => history.enrolled.delete(courseId.toString()));
+  courses.forEach(course => history.enrolled.add(course._id.toString()));
+
+  const unmet = [];
+  for (const course of withRequirements) {
+    if (!course.populated('prerequisites')) {
+      await course.populate(REQUIREMENT_POPULATE);
+    }
+    checkRequirements(course, history).forEach(requirement => {
+      unmet.push({ for: describe(course), ...requirement });
+    });
+  }
+  return unmet;
+};
+
+module.exports = {
+  REQUIREMENT_POPULATE,
+  requirementCourseIds,
+  meetsMinimumGrade,
+  getCourseHistory,
+  checkRequirements,
+  getUnmetRequirements,
+  getUnmetRequirementsForCourses
+};
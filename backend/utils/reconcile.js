@@ -0,0 +1,126 @@
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+
+/**
+ * Recompute the denormalised counters from the documents they count:
+ *   Class.currentStrength    students whose class is the class
+ *   Department.totalStudents students whose department is the department
+ *   Course.enrolledStudents  students with the course in Student.courses
+ *   Department.totalFaculty  active and on-leave faculty of the department
+ *
+ * With apply, wrong counters are overwritten. Each fix only matches the value
+ * that was read, so a counter changed by a concurrent request is skipped and
+ * reported rather than clobbered.
+ */
+
+const TARGETS = [
+  {
+    key: 'classes',
+    model: Class,
+    field: 'currentStrength',
+    select: 'className section capacity currentStrength',
+    label: doc => `${doc.className} - ${doc.section}`,
+    capacity: doc => doc.capacity,
+    countStages: [{ $group: { _id: '$class', count: { $sum: 1 } } }]
+  },
+  {
+    key: 'departments',
+    model: Department,
+    field: 'totalStudents',
+    select: 'departmentName departmentCode totalStudents',
+    label: doc => `${doc.departmentName} (${doc.departmentCode})`,
+    capacity: () => undefined,
+    countStages: [{ $group: { _id: '$department', count: { $sum: 1 } } }]
+  },
+  {
+    key: 'courses',
+    model: Course,
+    field: 'enrolledStudents',
+    select: 'courseName courseCode maxStudents enrolledStudents',
+    label: doc => `${doc.courseName} (${doc.courseCode})`,
+    capacity: doc => doc.maxStudents,
+    countStages: [
+      { $unwind: '$courses' },
+      { $group: { _id: '$courses', count: { $sum: 1 } } }
+    ]
+  },
+  {
+    key: 'departmentFaculty',
+    model: Department,
+    source: Faculty,
+    orphanKey: 'orphanedFaculty',
+    field: 'totalFaculty',
+    select: 'departmentName departmentCode totalFaculty',
+    label: doc => `${doc.departmentName} (${doc.departmentCode})`,
+    capacity: () => undefined,
+    countStages: [
+      { $match: { status: { $in: Faculty.COUNTED_STATUSES } } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]
+  }
+];
+
+const reconcileTarget = async (target, apply) => {
+  const source = target.source || Student;
+  const orphanKey = target.orphanKey || 'orphanedStudents';
+  const [counts, documents] = await Promise.all([
+    source.aggregate(target.countStages),
+    target.model.find().select(target.select).lean()
+  ]);
+  const actualCounts = new Map(counts.map(row => [String(row._id), row.count]));
+
+  const drift = documents
+    .map(doc => {
+      const recorded = doc[target.field] || 0;
+      const actual = actualCounts.get(doc._id.toString()) || 0;
+      const capacity = target.capacity(doc);
+      return {
+        id: doc._id,
+        name: target.label(doc),
+        field: target.field,
+        recorded,
+        actual,
+        difference: recorded - actual,
+        ...(capacity !== undefined && actual > capacity && { overCapacity: true })
+      };
+    })
+    .filter(row => row.difference !== 0);
+
+  // Counted documents pointing at documents that no longer exist
+  const knownIds = new Set(documents.map(doc => doc._id.toString()));
+  const orphaned = counts
+    .filter(row => row._id && !knownIds.has(row._id.toString()))
+    .reduce((total, row) => total + row.count, 0);
+
+  if (apply && drift.length > 0) {
+    const result = await target.model.bulkWrite(drift.map(row => ({
+      updateOne: {
+        filter: { _id: row.id, [target.field]: row.recorded },
+        update: { $set: { [target.field]: row.actual } }
+      }
+    })));
+    const skipped = drift.length - result.modifiedCount;
+    return { checked: documents.length, drift, fixed: result.modifiedCount, skipped, [orphanKey]: orphaned };
+  }
+
+  return { checked: documents.length, drift, fixed: 0, skipped: 0, [orphanKey]: orphaned };
+};
+
+// Run the reconciliation over every counter; dry run unless apply is set
+const reconcileCounters = async ({ apply = false } = {}) => {
+  const report = { apply, ranAt: new Date() };
+  let totalDrift = 0;
+
+  for (const target of TARGETS) {
+    report[target.key] = await reconcileTarget(target, apply);
+    totalDrift += report[target.key].drift.length;
+  }
+
+  report.totalDrift = totalDrift;
+  return report;
+};
+
+module.exports = { reconcileCounters };
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Department = require('../models/Department');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const { buildTranscript } = require('./transcript');
+const { runDegreeAudit } = require('./degreeAudit');
+const { withTransaction } = require('./transaction');
+const { recordAudits, withBulkAudit } = require('./audit');
+
+/**
+ * Academic year rollover. Every active class of the year with a level is
+ * cloned into the next academic year (unless a class with the same name and
+ * section already exists there) and then marked Completed. Active students
+ * move on:
+ *   - promoted into the next year's class one level up (same section when
+ *     it has room, otherwise another section of that level)
+ *   - graduated when their class is at the department's programDuration and
+ *     they pass the degree audit
+ *   - kept at the same level, in next year's copy of their class, when they
+ *     are below minimumCgpa or fail the degree audit in their final year
+ *     (students without graded courses yet are not held back on CGPA)
+ * Students who are not active, and classes without a level, are left alone.
+ */
+
+const ACADEMIC_YEAR_PATTERN = /^(\d{4})-(\d{4})$/;
+
+// '2024-2025' -> '2025-2026', or null for a malformed year
+const nextAcademicYear = (academicYear) => {
+  const match = ACADEMIC_YEAR_PATTERN.exec(academicYear || '');
+  if (!match || parseInt(match[2], 10) !== parseInt(match[1], 10) + 1) return null;
+  return `${parseInt(match[1], 10) + 1}-${parseInt(match[2], 10) + 1}`;
+};
+
+const classLabel = (doc) => `${doc.className}-${doc.section}`;
+const levelKey = (departmentId, level) => `${departmentId}:${level}`;
+
+// Cumulative CGPA of each student with graded enrollments
+const getCgpas = async (studentIds) => {
+  const enrollments = await Enrollment.find({
+    student: { $in: studentIds },
+    status: { $in: ['Completed', 'Failed', 'Withdrawn'] }
+  }).lean();
+
+  const byStudent = new Map();
+  enrollments.forEach(enrollment => {
+    const key = enrollment.student.toString();
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(enrollment);
+  });
+
+  const cgpas = new Map();
+  byStudent.forEach((records, studentId) => {
+    cgpas.set(studentId, buildTranscript(records).summary.cgpa);
+  });
+  return cgpas;
+};
+
+/**
+ * Work out what a rollover would do, without changing anything.
+ *
+ * @param {Object} options
+ * @param {String} options.fromYear     Academic year being closed, e.g. '2024-2025'
+ * @param {String} options.department   Only this department
+ * @param {Number} options.minimumCgpa  CGPA needed to move up a level
+ */
+const planRollover = async ({ fromYear, department, minimumCgpa }) => {
+  const toYear = nextAcademicYear(fromYear);
+  const scope = department ? { department } : {};
+
+  const [departments, sourceClasses, targetClasses] = await Promise.all([
+    Department.find(department ? { _id: department } : {}).select('departmentName programDuration').lean(),
+    Class.find({ ...scope, academicYear: fromYear, status: 'Active' }).lean(),
+    Class.find({ ...scope, academicYear: toYear }).lean()
+  ]);
+  const durations = new Map(departments.map(doc => [doc._id.toString(), doc.programDuration || 4]));
+
+  const plan = {
+    fromYear,
+    toYear,
+    minimumCgpa: minimumCgpa === undefined ? null : minimumCgpa,
+    classes: { created: [], reused: [], completed: [], skipped: [] },
+    students: { promoted: [], graduated: [], repeating: [], unplaced: [] },
+    warnings: []
+  };
+
+  // Next year's classes, existing or to be created, by department and level
+  const existingByLabel = new Map(targetClasses.map(doc => [classLabel(doc), doc]));
+  const nextYearClasses = new Map();
+  const seatsLeft = new Map();
+  const addTarget = (doc) => {
+    if (!doc.level) return;
+    const key = levelKey(doc.department, doc.level);
+    if (!nextYearClasses.has(key)) nextYearClasses.set(key, []);
+    nextYearClasses.get(key).push(doc);
+    seatsLeft.set(doc._id.toString(), doc.capacity - (doc.currentStrength || 0));
+  };
+  targetClasses.forEach(addTarget);
+
+  const copyOf = new Map();
+  sourceClasses.forEach(doc => {
+    if (!doc.level) {
+      plan.classes.skipped.push({ id: doc._id, class: classLabel(doc), reason: 'Class has no level' });
+      return;
+    }
+
+    let target = existingByLabel.get(classLabel(doc));
+    if (target) {
+      plan.classes.reused.push({ id: target._id, class: classLabel(target), level: target.level });
+    } else {
+      target = {
+        _id: new mongoose.Types.ObjectId(),
+        className: doc.className,
+        section: doc.section,
+        academicYear: toYear,
+        level: doc.level,
+        capacity: doc.capacity,
+        currentStrength: 0,
+        department: doc.department,
+        classTeacher: doc.classTeacher,
+        schedule: doc.schedule,
+        description: doc.description,
+        status: 'Active'
+      };
+      plan.classes.created.push(target);
+      addTarget(target);
+    }
+    copyOf.set(doc._id.toString(), target);
+    plan.classes.completed.push({ id: doc._id, class: classLabel(doc), level: doc.level });
+  });
+
+  const rolledClasses = sourceClasses.filter(doc => doc.level);
+  const classById = new Map(rolledClasses.map(doc => [doc._id.toString(), doc]));
+  const students = await Student.find({ class: { $in: rolledClasses.map(doc => doc._id) }, status: 'Active' })
+    .select('name rollNumber class department courses academicYear')
+    .sort({ rollNumber: 1 })
+    .lean();
+  const cgpas = minimumCgpa !== undefined ? await getCgpas(students.map(student => student._id)) : new Map();
+
+  // Final-year students only graduate with a passing degree audit
+  const audits = new Map();
+  for (const student of students) {
+    const source = classById.get(student.class.toString());
+    if (source.level >= (durations.get(student.department.toString()) || 4)) {
+      audits.set(student._id.toString(), await runDegreeAudit(student));
+    }
+  }
+
+  const hasSeat = (doc) => seatsLeft.get(doc._id.toString()) > 0;
+
+  // A seat in a class of the given level, preferring the student's section
+  const takeSeat = (source, level, preferred) => {
+    const target = preferred && hasSeat(preferred) ? preferred :
+      (nextYearClasses.get(levelKey(source.department, level)) || [])
+        .filter(hasSeat)
+        .sort((a, b) => Number(b.section === source.section) - Number(a.section === source.section))[0];
+    if (target) seatsLeft.set(target._id.toString(), seatsLeft.get(target._id.toString()) - 1);
+    return target;
+  };
+
+  students.forEach(student => {
+    const source = classById.get(student.class.toString());
+    const duration = durations.get(student.department.toString()) || 4;
+    const cgpa = cgpas.get(student._id.toString());
+    const summary = {
+      id: student._id,
+      name: student.name,
+      rollNumber: student.rollNumber,
+      from: { id: source._id, class: classLabel(source), level: source.level }
+    };
+
+    let holdReason = null;
+    if (cgpa !== undefined && cgpa < minimumCgpa) {
+      holdReason = `CGPA ${cgpa.toFixed(2)} is below ${minimumCgpa}`;
+    } else if (audits.has(student._id.toString()) && !audits.get(student._id.toString()).eligible) {
+      const missing = audits.get(student._id.toString()).checks.filter(check => !check.satisfied);
+      holdReason = `Degree audit not passed, missing: ${missing.map(check => check.description).join('; ')}`;
+    }
+
+    if (!holdReason && source.level >= duration) {
+      plan.students.graduated.push(summary);
+      return;
+    }
+
+    const level = holdReason ? source.level : source.level + 1;
+    const target = takeSeat(source, level, holdReason ? copyOf.get(source._id.toString()) : null);
+
+    if (!target) {
+      plan.students.unplaced.push({
+        ...summary,
+        reason: `No class with free seats at level ${level} in ${toYear}`
+      });
+      return;
+    }
+
+    const move = { ...summary, to: { id: target._id, class: classLabel(target), level: target.level } };
+    if (holdReason) {
+      plan.students.repeating.push({ ...move, reason: holdReason });
+      return;
+    }
+
+    plan.students.promoted.push(move);
+    if (student.courses.length > 0) {
+      plan.warnings.push(`${student.rollNumber} is promoted while still enrolled in ${student.courses.length} course(s)`);
+    }
+  });
+
+  plan.summary = {
+    classesCreated: plan.classes.created.length,
+    classesReused: plan.classes.reused.length,
+    classesCompleted: plan.classes.completed.length,
+    classesSkipped: plan.classes.skipped.length,
+    promoted: plan.students.promoted.length,
+    graduated: plan.students.graduated.length,
+    repeating: plan.students.repeating.length,
+    unplaced: plan.students.unplaced.length
+  };
+  return plan;
+};
+
+/**
+ * Carry out a plan from planRollover in one transaction. Students are only
+ * moved if they are still in the class the plan found them in, and class
+ * strengths are recounted afterwards. Every change is audited as part of
+ * the rollover.
+ */
+const applyRollover = async (plan, req) => withTransaction(async (session) => {
+  const context = `rollover ${plan.fromYear} to ${plan.toYear}`;
+
+  if (plan.classes.created.length > 0) {
+    const created = await Class.insertMany(plan.classes.created, { session });
+    await recordAudits(req, created.map(doc => ({ action: 'create', entityType: 'Class', after: doc, context })), session);
+  }
+
+  const moves = [...plan.students.promoted, ...plan.students.repeating];
+  const studentOps = [
+    ...moves.map(move => ({
+      updateOne: {
+        filter: { _id: move.id, class: move.from.id, status: 'Active' },
+        update: { $set: { class: move.to.id, academicYear: plan.toYear, updatedAt: new Date() } }
+      }
+    })),
+    ...plan.students.graduated.map(graduate => ({
+      updateOne: {
+        filter: { _id: graduate.id, class: graduate.from.id, status: 'Active' },
+        update: { $set: { status: 'Graduated', updatedAt: new Date() } }
+      }
+    }))
+  ];
+  const result = studentOps.length > 0 ?
+    await withBulkAudit(
+      req,
+      { model: Student, entityType: 'Student', ids: studentOps.map(op => op.updateOne.filter._id), context },
+      session,
+      () => Student.bulkWrite(studentOps, { session })
+    ) :
+    { modifiedCount: 0 };
+
+  const completedIds = plan.classes.completed.map(doc => doc.id);
+  await withBulkAudit(
+    req,
+    { model: Class, entityType: 'Class', ids: completedIds, context },
+    session,
+    () => Class.updateMany({ _id: { $in: completedIds } }, { $set: { status: 'Completed' } }, { session })
+  );
+
+  // Strength of every class touched, from the students now in it
+  const touched = [...new Set([
+    ...plan.classes.completed.map(doc => doc.id.toString()),
+    ...moves.map(move => move.to.id.toString())
+  ])];
+  const counts = await Student.aggregate([
+    { $match: { class: { $in: touched.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$class', count: { $sum: 1 } } }
+  ]).session(session);
+  const countById = new Map(counts.map(row => [row._id.toString(), row.count]));
+  await Class.bulkWrite(touched.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { currentStrength: countById.get(id) || 0 } }
+    }
+  })), { session });
+
+  return { studentsUpdated: result.modifiedCount, classesRecounted: touched.length };
+});
+
+module.exports = {
+  nextAcademicYear,
+  planRollover,
+  applyRollover
+};
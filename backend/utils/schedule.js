@@ -0,0 +1,272 @@
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+
+/**
+ * Weekly timetable helpers. Classes and courses both store
+ * schedule.days, schedule.time.start/end ("HH:MM") and a room
+ * (Class.schedule.roomNumber, Course.schedule.room), and reference their
+ * teacher as a Faculty (Class.classTeacher, Course.instructor).
+ *
+ * Course sessions only clash within the same semester and class sessions
+ * within the same academic year; a class runs all year, so it can clash with
+ * a course of any semester.
+ */
+
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Minutes since midnight, or null for a missing/invalid time
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Problem with a submitted schedule, or null when it is usable (or empty)
+const scheduleError = (schedule) => {
+  if (!schedule || !schedule.time) return null;
+  const { start, end } = schedule.time;
+  if (!start && !end) return null;
+
+  if (parseTime(start) === null || parseTime(end) === null) {
+    return 'Schedule times must be in HH:MM format';
+  }
+  if (parseTime(start) >= parseTime(end)) {
+    return 'Schedule start time must be before end time';
+  }
+  return null;
+};
+
+// Instructors are matched by Faculty id; the name is known once populated
+const instructorOf = (faculty) => {
+  if (!faculty) return null;
+  const key = (faculty._id || faculty).toString();
+  return { key, name: faculty.name || key };
+};
+
+/**
+ * Flatten a class or course into a timetable entry, or null when its
+ * schedule has no days or times.
+ */
+const toScheduleEntry = (doc, kind) => {
+  const schedule = doc.schedule || {};
+  const start = parseTime(schedule.time && schedule.time.start);
+  const end = parseTime(schedule.time && schedule.time.end);
+  if (!schedule.days || schedule.days.length === 0 || start === null || end === null) {
+    return null;
+  }
+
+  const isClass = kind === 'class';
+  return {
+    kind,
+    id: doc._id ? doc._id.toString() : null,
+    label: isClass ? `${doc.className}-${doc.section}` : doc.courseCode,
+    department: doc.department ? (doc.department._id || doc.department).toString() : null,
+    semester: isClass ? null : doc.semester,
+    academicYear: isClass ? doc.academicYear : null,
+    days: [...schedule.days],
+    start,
+    end,
+    room: ((isClass ? schedule.roomNumber : schedule.room) || '').trim().toUpperCase() || null,
+    instructor: instructorOf(isClass ? doc.classTeacher : doc.instructor)
+  };
+};
+
+const sameTerm = (a, b) => {
+  if (a.kind === 'course' && b.kind === 'course') return a.semester === b.semester;
+  if (a.kind === 'class' && b.kind === 'class') return a.academicYear === b.academicYear;
+  return true;
+};
+
+// Shared days and time window of two entries, or null when they do not overlap
+const overlap = (a, b) => {
+  if (!sameTerm(a, b)) return null;
+  const days = a.days.filter(day => b.days.includes(day));
+  if (days.length === 0 || a.start >= b.end || b.start >= a.end) return null;
+  return {
+    days,
+    start: formatTime(Math.max(a.start, b.start)),
+    end: formatTime(Math.min(a.end, b.end))
+  };
+};
+
+const describeEntry = (entry) => ({ kind: entry.kind, id: entry.id, label: entry.label });
+
+// Room and instructor double-bookings between one entry and the others
+const findConflicts = (entry, others) => {
+  const conflicts = [];
+
+  others.forEach(other => {
+    if (other.kind === entry.kind && other.id && other.id === entry.id) return;
+
+    const window = overlap(entry, other);
+    if (!window) return;
+
+    if (entry.room && entry.room === other.room) {
+      conflicts.push({ type: 'room', room: entry.room, with: describeEntry(other), ...window });
+    }
+    if (entry.instructor && other.instructor && entry.instructor.key === other.instructor.key) {
+      conflicts.push({
+        type: 'instructor',
+        instructor: other.instructor.name,
+        with: describeEntry(other),
+        ...window
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+// Timetable entries of every active class and course
+const loadScheduleEntries = async () => {
+  const [classes, courses] = await Promise.all([
+    Class.find({ status: 'Active' })
+      .select('className section academicYear department classTeacher schedule')
+      .populate('classTeacher', 'name')
+      .lean(),
+    Course.find({ status: 'Active' })
+      .select('courseCode semester department instructor schedule')
+      .populate('instructor', 'name')
+      .lean()
+  ]);
+
+  return [
+    ...classes.map(doc => toScheduleEntry(doc, 'class')),
+    ...courses.map(doc => toScheduleEntry(doc, 'course'))
+  ].filter(Boolean);
+};
+
+/**
+ * Room and instructor clashes a class or course would have with the rest of
+ * the timetable, given its data after the create/update.
+ *
+ * @param {Object} doc   Class or course data (with _id when updating)
+ * @param {String} kind  'class' or 'course'
+ */
+const checkScheduleConflicts = async (doc, kind) => {
+  if (doc.status && doc.status !== 'Active') return [];
+
+  const entry = toScheduleEntry(doc, kind);
+  if (!entry) return [];
+
+  return findConflicts(entry, await loadScheduleEntries());
+};
+
+// Fields whose change can move a class or course in the timetable
+const SCHEDULE_FIELDS = ['schedule', 'classTeacher', 'instructor', 'semester', 'academicYear', 'status'];
+
+// Invalid times or double-bookings for a create/update, or null when the slot is free
+const getScheduleProblems = async (doc, kind) => {
+  const error = scheduleError(doc.schedule);
+  if (error) {
+    return { error, conflicts: [] };
+  }
+
+  const conflicts = await checkScheduleConflicts(doc, kind);
+  return conflicts.length > 0 ?
+    { error: 'Schedule conflicts with the existing timetable', conflicts } : null;
+};
+
+/**
+ * Clashes between a course and the timetable a student already has: their
+ * class and their current courses.
+ */
+const findStudentClashes = (courseEntry, studentEntries) => {
+  if (!courseEntry) return [];
+
+  return studentEntries
+    .filter(entry => !(entry.kind === 'course' && entry.id === courseEntry.id))
+    .map(entry => {
+      const window = overlap(courseEntry, entry);
+      return window ? { type: 'student', with: describeEntry(entry), ...window } : null;
+    })
+    .filter(Boolean);
+};
+
+// Clashes between a course and a student's class and current courses
+const getStudentScheduleClashes = async (student, course) => {
+  const [classData, courses] = await Promise.all([
+    Class.findById(student.class)
+      .select('className section academicYear schedule status')
+      .lean(),
+    Course.find({ _id: { $in: student.courses } })
+      .select('courseCode semester schedule')
+      .lean()
+  ]);
+
+  const entries = [
+    classData && classData.status === 'Active' ? toScheduleEntry(classData, 'class') : null,
+    ...courses.map(doc => toScheduleEntry(doc, 'course'))
+  ].filter(Boolean);
+
+  return findStudentClashes(toScheduleEntry(course, 'course'), entries);
+};
+
+/**
+ * Clashes of courses a student takes up together with their class, the
+ * courses they keep and each other, each with `for`, the course it belongs to.
+ * Takes loaded documents, so a whole import can be checked without queries.
+ */
+const findNewCourseClashes = (classData, keptCourses, newCourses) => {
+  const entries = [
+    classData && classData.status === 'Active' ? toScheduleEntry(classData, 'class') : null,
+    ...keptCourses.map(doc => toScheduleEntry(doc, 'course'))
+  ].filter(Boolean);
+
+  const clashes = [];
+  newCourses.forEach(course => {
+    const entry = toScheduleEntry(course, 'course');
+    if (!entry) return;
+
+    findStudentClashes(entry, entries).forEach(clash => {
+      clashes.push({ for: describeEntry(entry), ...clash });
+    });
+    entries.push(entry);
+  });
+
+  return clashes;
+};
+
+// Every room and instructor clash in a list of entries, each pair reported once
+const findAllConflicts = (entries) => {
+  const conflicts = [];
+
+  entries.forEach((entry, index) => {
+    findConflicts(entry, entries.slice(index + 1)).forEach(conflict => {
+      conflicts.push({
+        type: conflict.type,
+        ...(conflict.room && { room: conflict.room }),
+        ...(conflict.instructor && { instructor: conflict.instructor }),
+        between: [describeEntry(entry), conflict.with],
+        days: conflict.days,
+        start: conflict.start,
+        end: conflict.end
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  WEEK_DAYS,
+  parseTime,
+  formatTime,
+  scheduleError,
+  instructorOf,
+  toScheduleEntry,
+  overlap,
+  findConflicts,
+  loadScheduleEntries,
+  checkScheduleConflicts,
+  SCHEDULE_FIELDS,
+  getScheduleProblems,
+  findStudentClashes,
+  getStudentScheduleClashes,
+  findNewCourseClashes,
+  findAllConflicts
+};
@@ -0,0 +1,104 @@
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+
+/**
+ * Atomic seat counters for Class.currentStrength and Course.enrolledStudents.
+ * A seat is only taken when the conditional update finds capacity left, so two
+ * requests racing for the last seat cannot both succeed.
+ */
+
+class SeatUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SeatUnavailableError';
+    this.statusCode = 400;
+  }
+}
+
+const reserveClassSeat = async (classId, session) => {
+  const classData = await Class.findOneAndUpdate(
+    { _id: classId, $expr: { $lt: ['$currentStrength', '$capacity'] } },
+    { $inc: { currentStrength: 1 } },
+    { new: true, session }
+  );
+  if (!classData) {
+    throw new SeatUnavailableError('Class is full. No more seats available');
+  }
+  return classData;
+};
+
+const releaseClassSeat = (classId, session) => Class.updateOne(
+  { _id: classId, currentStrength: { $gt: 0 } },
+  { $inc: { currentStrength: -1 } },
+  { session }
+);
+
+// Returns the updated course, or null when it is full
+const reserveCourseSeat = (courseId, session) => Course.findOneAndUpdate(
+  { _id: courseId, $expr: { $lt: ['$enrolledStudents', '$maxStudents'] } },
+  { $inc: { enrolledStudents: 1 } },
+  { new: true, session }
+);
+
+// Take a seat in every course or throw; run inside a transaction so a full course undoes the others
+const reserveCourseSeats = async (courses, session) => {
+  const full = [];
+  for (const course of courses) {
+    const updated = await reserveCourseSeat(course._id, session);
+    if (!updated) {
+      full.push(course.courseCode);
+    }
+  }
+  if (full.length > 0) {
+    throw new SeatUnavailableError(`Course(s) ${full.join(', ')} are full`);
+  }
+};
+
+const releaseCourseSeats = (courseIds, session) => Course.updateMany(
+  { _id: { $in: courseIds }, enrolledStudents: { $gt: 0 } },
+  { $inc: { enrolledStudents: -1 } },
+  { session }
+);
+
+// Take count seats of a class at once, e.g. for an import, or throw when fewer are left
+const reserveClassSeatCount = async (classData, count, session) => {
+  const updated = await Class.findOneAndUpdate(
+    {
+      _id: classData._id,
+      $expr: { $lte: [{ $add: ['$currentStrength', count] }, '$capacity'] }
+    },
+    { $inc: { currentStrength: count } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new SeatUnavailableError(`Class ${classData.className}-${classData.section} has fewer than ${count} seats left`);
+  }
+  return updated;
+};
+
+// Take count seats of a course at once, or throw when fewer are left
+const reserveCourseSeatCount = async (course, count, session) => {
+  const updated = await Course.findOneAndUpdate(
+    {
+      _id: course._id,
+      $expr: { $lte: [{ $add: ['$enrolledStudents', count] }, '$maxStudents'] }
+    },
+    { $inc: { enrolledStudents: count } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new SeatUnavailableError(`Course ${course.courseCode} has fewer than ${count} seats left`);
+  }
+  return updated;
+};
+
+module.exports = {
+  SeatUnavailableError,
+  reserveClassSeat,
+  releaseClassSeat,
+  reserveCourseSeat,
+  reserveCourseSeats,
+  releaseCourseSeats,
+  reserveClassSeatCount,
+  reserveCourseSeatCount
+};
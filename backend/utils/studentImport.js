@@ -0,0 +1,483 @@
+const AdmZip = require('adm-zip');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const { studentValidators } = require('./validators');
+const { recordEnrollments } = require('./enrollment');
+const { reserveClassSeatCount, reserveCourseSeatCount } = require('./seats');
+const { withTransaction } = require('./transaction');
+const { recordAudits } = require('./audit');
+const { zipLimitProblem } = require('./zip');
+const { REQUIREMENT_POPULATE } = require('./prerequisites');
+const { checkNewCourses } = require('./studentWrites');
+
+/**
+ * Student import from a CSV or XLSX file with one student per row.
+ *
+ * planStudentImport checks every row the way POST /api/students checks a
+ * single student (the createStudent validators and the Student schema), and
+ * resolves the class by its class code, the department by its code and the
+ * courses by their codes. It also checks for duplicates within the file and
+ * against existing students, that classes and courses have seats for all
+ * the rows placed in them, and each row's courses against their prerequisites
+ * and the row's timetable. applyStudentImport then writes all the students in
+ * one transaction, so an import goes in completely or not at all.
+ */
+
+const IMPORT_MAX_ROWS = 5000;
+
+// Bounds on what an XLSX file (a zip) may unpack to, checked before it is loaded
+const XLSX_LIMITS = { maxEntries: 200, maxBytes: 50 * 1024 * 1024 };
+
+// Spreadsheet columns and the student fields they fill. Headers are matched
+// ignoring case, spaces and punctuation, so "Roll Number" and "rollNumber" both work.
+const IMPORT_COLUMNS = [
+  { field: 'name', headers: ['name', 'studentname'], required: true },
+  { field: 'rollNumber', headers: ['rollnumber', 'rollno'], required: true },
+  { field: 'email', headers: ['email'], required: true },
+  { field: 'phone', headers: ['phone'], required: true },
+  { field: 'dateOfBirth', headers: ['dateofbirth', 'dob'], required: true },
+  { field: 'gender', headers: ['gender'], required: true },
+  // Class code (className-section, e.g. CS1-A) in the row's academic year
+  { field: 'class', headers: ['class', 'classcode'], required: true },
+  // Department code
+  { field: 'department', headers: ['department', 'departmentcode'], required: true },
+  { field: 'academicYear', headers: ['academicyear'], required: true },
+  { field: 'status', headers: ['status'] },
+  // Course codes separated by ; or ,
+  { field: 'courses', headers: ['courses', 'coursecodes'] },
+  { field: 'address.street', headers: ['street', 'addressstreet'], required: true },
+  { field: 'address.city', headers: ['city', 'addresscity'], required: true },
+  { field: 'address.state', headers: ['state', 'addressstate'], required: true },
+  { field: 'address.zipCode', headers: ['zipcode', 'zip', 'addresszipcode'], required: true },
+  { field: 'address.country', headers: ['country', 'addresscountry'] },
+  { field: 'guardianInfo.name', headers: ['guardianname', 'guardianinfoname'], required: true },
+  { field: 'guardianInfo.relationship', headers: ['guardianrelationship', 'guardianinforelationship'], required: true },
+  { field: 'guardianInfo.phone', headers: ['guardianphone', 'guardianinfophone'], required: true },
+  { field: 'guardianInfo.email', headers: ['guardianemail', 'guardianinfoemail'] }
+];
+
+// Reference fields the import resolves itself, by code instead of id
+const REFERENCE_FIELDS = ['class', 'department', 'courses'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Text of a CSV or XLSX cell; dates become YYYY-MM-DD
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the first sheet of an uploaded file.
+ *
+ * @param {Object} file  Uploaded file with buffer and format ('csv' or 'xlsx')
+ * @returns {Object} { headers, rows: [{ line, values }] }, leaving out empty rows
+ */
+const parseSpreadsheet = async (file) => {
+  let records = [];
+
+  if (file.format === 'csv') {
+    records = parse(file.buffer, {
+      bom: true,
+      relax_column_count: true,
+      skip_empty_lines: false,
+      trim: true
+    }).map((values, index) => ({ line: index + 1, values }));
+  } else {
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries();
+    } catch (error) {
+      throw new Error('it is not a valid XLSX file');
+    }
+    const tooLarge = zipLimitProblem(entries, XLSX_LIMITS);
+    if (tooLarge) {
+      throw new Error(`it ${tooLarge}`);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const [sheet] = workbook.worksheets;
+    if (sheet) {
+      sheet.eachRow((row, rowNumber) => {
+        // row.values starts at index 1 and has holes for empty cells
+        records.push({ line: rowNumber, values: Array.from(row.values.slice(1), cellText) });
+      });
+    }
+  }
+
+  const filled = records.filter(record => record.values.some(value => cellText(value) !== ''));
+  const [header, ...rows] = filled;
+
+  return {
+    headers: header ? header.values.map(cellText) : [],
+    rows: rows.map(row => ({ line: row.line, values: row.values.map(cellText) }))
+  };
+};
+
+// Column index of every known field, and the headers nothing maps to
+const mapColumns = (headers) => {
+  const columns = {};
+  const ignoredColumns = [];
+
+  headers.forEach((header, index) => {
+    const column = IMPORT_COLUMNS.find(candidate => candidate.headers.includes(normalizeHeader(header)));
+    if (column && columns[column.field] === undefined) {
+      columns[column.field] = index;
+    } else if (header) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  return { columns, ignoredColumns };
+};
+
+// Field values of one row, by field path
+const readRow = (row, columns) => IMPORT_COLUMNS.reduce((values, column) => {
+  const index = columns[column.field];
+  values[column.field] = index === undefined ? '' : row.values[index] || '';
+  return values;
+}, {});
+
+// The sanitized email of a row; an invalid one does not take part in duplicate checks
+const emailOf = (row) => typeof row.data.email === 'string' ? row.data.email.toLowerCase() : '';
+
+const splitCodes = (text) => text.split(/[;,]/).map(code => code.trim().toUpperCase()).filter(Boolean);
+
+// Student document for a row, in the shape POST /api/students takes
+const buildStudentData = (values) => {
+  const data = {
+    name: values.name,
+    rollNumber: values.rollNumber.toUpperCase(),
+    email: values.email,
+    phone: values.phone,
+    dateOfBirth: values.dateOfBirth,
+    gender: values.gender,
+    academicYear: values.academicYear,
+    address: {
+      street: values['address.street'],
+      city: values['address.city'],
+      state: values['address.state'],
+      zipCode: values['address.zipCode']
+    },
+    guardianInfo: {
+      name: values['guardianInfo.name'],
+      relationship: values['guardianInfo.relationship'],
+      phone: values['guardianInfo.phone']
+    }
+  };
+
+  // Optional columns left empty take the schema defaults
+  if (values.status) data.status = values.status;
+  if (values['address.country']) data.address.country = values['address.country'];
+  if (values['guardianInfo.email']) data.guardianInfo.email = values['guardianInfo.email'];
+
+  return data;
+};
+
+// Errors of the createStudent validators and the Student schema, apart from the
+// fields given in ignoredFields (references are resolved from codes in a spreadsheet)
+const validateStudentData = async (data, ignoredFields = REFERENCE_FIELDS) => {
+  const req = { body: data };
+  for (const validation of studentValidators.createStudent) {
+    await validation.run(req);
+  }
+
+  const errors = validationResult(req).array()
+    .filter(error => !ignoredFields.includes(error.path))
+    .map(error => ({ field: error.path, message: error.msg }));
+
+  // Schema rules not covered by the validators, e.g. enums; one message per field is enough
+  const schemaErrors = new Student(req.body).validateSync();
+  if (schemaErrors) {
+    const reported = new Set(errors.map(error => error.field));
+    Object.values(schemaErrors.errors)
+      .filter(error => !ignoredFields.includes(error.path.split('.')[0]) && !reported.has(error.path))
+      .forEach(error => errors.push({ field: error.path, message: error.message }));
+  }
+
+  // Graduation needs a passing degree audit, which a new student cannot have
+  if (req.body.status === 'Graduated') {
+    errors.push({ field: 'status', message: 'A student cannot be created as Graduated' });
+  }
+
+  return { data: req.body, errors };
+};
+
+// Classes, departments, courses and existing students the rows refer to
+const loadReferences = async (rows) => {
+  const classNames = [...new Set(rows.map(row => row.values.class.split('-').slice(0, -1).join('-').toUpperCase()))];
+  const departmentCodes = [...new Set(rows.map(row => row.values.department.toUpperCase()))];
+  const courseCodes = [...new Set(rows.flatMap(row => splitCodes(row.values.courses)))];
+
+  const [classes, departments, courses, existing] = await Promise.all([
+    Class.find({ className: { $in: classNames } }),
+    Department.find({ departmentCode: { $in: departmentCodes } }),
+    Course.find({ courseCode: { $in: courseCodes } }).populate(REQUIREMENT_POPULATE),
+    Student.find({
+      $or: [
+        { rollNumber: { $in: rows.map(row => row.data.rollNumber) } },
+        { email: { $in: rows.map(row => emailOf(row)) } }
+      ]
+    }).setOptions({ withDeleted: true }).select('rollNumber email deletedAt').lean()
+  ]);
+
+  return {
+    classes: new Map(classes.map(classData => [
+      `${classData.className}-${classData.section}|${classData.academicYear}`, classData
+    ])),
+    departments: new Map(departments.map(department => [department.departmentCode, department])),
+    courses: new Map(courses.map(course => [course.courseCode, course])),
+    existing
+  };
+};
+
+// Resolve the class, department and course codes of a row
+const resolveReferences = (row, references) => {
+  const classCode = row.values.class.toUpperCase();
+  const departmentCode = row.values.department.toUpperCase();
+
+  const department = references.departments.get(departmentCode);
+  if (!department) {
+    row.errors.push({ field: 'department', message: `Department ${departmentCode} not found` });
+  }
+
+  if (classCode.lastIndexOf('-') <= 0) {
+    row.errors.push({ field: 'class', message: 'Class must be a class code such as CS1-A' });
+  } else {
+    row.classData = references.classes.get(`${classCode}|${row.data.academicYear}`);
+    if (!row.classData) {
+      row.errors.push({ field: 'class', message: `Class ${classCode} not found for ${row.data.academicYear}` });
+    } else if (department && row.classData.department.toString() !== department._id.toString()) {
+      row.errors.push({ field: 'class', message: `Class ${classCode} belongs to another department` });
+    }
+  }
+
+  row.courses = [];
+  const listed = new Set();
+  splitCodes(row.values.courses).forEach(code => {
+    if (listed.has(code)) {
+      row.errors.push({ field: 'courses', message: `Course ${code} is listed more than once` });
+      return;
+    }
+    listed.add(code);
+
+    const course = references.courses.get(code);
+    if (course) {
+      row.courses.push(course);
+    } else {
+      row.errors.push({ field: 'courses', message: `Course ${code} not found` });
+    }
+  });
+
+  if (row.classData) row.data.class = row.classData._id;
+  if (department) row.data.department = department._id;
+  row.data.courses = row.courses.map(course => course._id);
+};
+
+// Roll numbers and emails used twice in the file or by existing students, trashed ones included
+const checkDuplicates = (rows, existing) => {
+  const takenRollNumbers = new Map(existing.map(student => [student.rollNumber, student]));
+  const takenEmails = new Map(existing.map(student => [student.email, student]));
+  const fileRollNumbers = new Map();
+  const fileEmails = new Map();
+
+  rows.forEach(row => {
+    const rollNumber = row.data.rollNumber;
+    const email = emailOf(row);
+
+    if (takenRollNumbers.has(rollNumber)) {
+      const trashed = takenRollNumbers.get(rollNumber).deletedAt ? ' (by a student in the trash)' : '';
+      row.errors.push({ field: 'rollNumber', message: `Roll number already exists${trashed}` });
+    } else if (rollNumber && fileRollNumbers.has(rollNumber)) {
+      row.errors.push({ field: 'rollNumber', message: `Roll number also on line ${fileRollNumbers.get(rollNumber)}` });
+    }
+
+    if (takenEmails.has(email)) {
+      const trashed = takenEmails.get(email).deletedAt ? ' (by a student in the trash)' : '';
+      row.errors.push({ field: 'email', message: `Email already exists${trashed}` });
+    } else if (email && fileEmails.has(email)) {
+      row.errors.push({ field: 'email', message: `Email also on line ${fileEmails.get(email)}` });
+    }
+
+    if (!fileRollNumbers.has(rollNumber)) fileRollNumbers.set(rollNumber, row.line);
+    if (!fileEmails.has(email)) fileEmails.set(email, row.line);
+  });
+};
+
+// Prerequisites and timetable clashes of each row's courses, as for a direct enrollment
+const checkCourses = async (rows) => {
+  for (const row of rows) {
+    if (!row.classData || row.courses.length === 0) continue;
+
+    const problem = await checkNewCourses({
+      studentId: null,
+      classData: row.classData,
+      keptCourses: [],
+      courses: row.courses,
+      droppedCourseIds: [],
+      options: {}
+    });
+    if (problem) {
+      row.errors.push({ field: 'courses', message: problem.error });
+    }
+  }
+};
+
+// Seats in classes and courses, given to valid rows in file order
+const checkSeats = (rows) => {
+  const taken = new Map();
+  const takeSeat = (doc, counter, capacity) => {
+    const key = doc._id.toString();
+    const used = (taken.get(key) || 0) + 1;
+    taken.set(key, used);
+    return doc[counter] + used <= doc[capacity];
+  };
+
+  rows.filter(row => row.errors.length === 0).forEach(row => {
+    if (!takeSeat(row.classData, 'currentStrength', 'capacity')) {
+      row.errors.push({ field: 'class', message: `Class ${row.classData.className}-${row.classData.section} has no seats left for this row` });
+    }
+    row.courses.forEach(course => {
+      if (!takeSeat(course, 'enrolledStudents', 'maxStudents')) {
+        row.errors.push({ field: 'courses', message: `Course ${course.courseCode} has no seats left for this row` });
+      }
+    });
+  });
+};
+
+/**
+ * Check an uploaded file row by row without writing anything.
+ *
+ * @param {Object} file  Uploaded file with buffer and format ('csv' or 'xlsx')
+ * @returns {Object} { problem } when the file cannot be imported at all, or
+ *                   { report: { summary, rows }, plan } with plan.rows the checked rows
+ */
+const planStudentImport = async (file) => {
+  let sheet;
+  try {
+    sheet = await parseSpreadsheet(file);
+  } catch (error) {
+    return { problem: `The file could not be read: ${error.message}` };
+  }
+
+  if (sheet.rows.length === 0) {
+    return { problem: 'The file has no student rows below its header row' };
+  }
+  if (sheet.rows.length > IMPORT_MAX_ROWS) {
+    return { problem: `The file has ${sheet.rows.length} rows; at most ${IMPORT_MAX_ROWS} can be imported at once` };
+  }
+
+  const { columns, ignoredColumns } = mapColumns(sheet.headers);
+  const missing = IMPORT_COLUMNS
+    .filter(column => column.required && columns[column.field] === undefined)
+    .map(column => column.field);
+  if (missing.length > 0) {
+    return { problem: `Missing columns: ${missing.join(', ')}` };
+  }
+
+  const rows = [];
+  for (const sheetRow of sheet.rows) {
+    const values = readRow(sheetRow, columns);
+    const { data, errors } = await validateStudentData(buildStudentData(values));
+    rows.push({ line: sheetRow.line, values, data, errors });
+  }
+
+  const references = await loadReferences(rows);
+  rows.forEach(row => resolveReferences(row, references));
+  checkDuplicates(rows, references.existing);
+  await checkCourses(rows);
+  checkSeats(rows);
+
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+
+  return {
+    report: {
+      summary: {
+        rows: rows.length,
+        valid: rows.length - invalid,
+        invalid,
+        ignoredColumns
+      },
+      rows: rows.map(row => ({
+        line: row.line,
+        rollNumber: row.data.rollNumber,
+        name: row.data.name,
+        valid: row.errors.length === 0,
+        errors: row.errors
+      }))
+    },
+    plan: { rows }
+  };
+};
+
+// Count rows per document, keeping one document per id
+const countBy = (docs) => {
+  const counts = new Map();
+  docs.forEach(doc => {
+    const key = doc._id.toString();
+    const entry = counts.get(key) || { doc, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+  return [...counts.values()];
+};
+
+/**
+ * Import the rows of a plan whose rows are all valid, in one transaction:
+ * seats, department counters, students, enrollment history and audit entries.
+ *
+ * @throws {SeatUnavailableError} When seats were taken since the plan was made
+ * @returns {Array} The created students
+ */
+const applyStudentImport = (req, plan) => withTransaction(async (session) => {
+  for (const { doc, count } of countBy(plan.rows.map(row => row.classData))) {
+    await reserveClassSeatCount(doc, count, session);
+  }
+  for (const { doc, count } of countBy(plan.rows.flatMap(row => row.courses))) {
+    await reserveCourseSeatCount(doc, count, session);
+  }
+  for (const { doc, count } of countBy(plan.rows.map(row => ({ _id: row.data.department })))) {
+    await Department.updateOne(
+      { _id: doc._id },
+      { $inc: { totalStudents: count } },
+      { session }
+    );
+  }
+
+  const students = await Student.insertMany(plan.rows.map(row => row.data), { session });
+
+  for (const [index, student] of students.entries()) {
+    await recordEnrollments(student, plan.rows[index].courses, { session });
+  }
+
+  await recordAudits(req, students.map(student => ({
+    action: 'create',
+    entityType: 'Student',
+    after: student,
+    context: 'import'
+  })), session);
+
+  return students;
+});
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  IMPORT_COLUMNS,
+  parseSpreadsheet,
+  validateStudentData,
+  planStudentImport,
+  applyStudentImport
+};
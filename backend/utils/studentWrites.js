@@ -0,0 +1,391 @@
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const { recordEnrollments, recordWithdrawals } = require('./enrollment');
+const { promoteFromWaitlist } = require('./waitlist');
+const { withTransaction } = require('./transaction');
+const { runDegreeAudit } = require('./degreeAudit');
+const { snapshot, recordAudit } = require('./audit');
+const { getUnmetRequirementsForCourses } = require('./prerequisites');
+const { findNewCourseClashes } = require('./schedule');
+const {
+  SeatUnavailableError,
+  reserveClassSeat,
+  releaseClassSeat,
+  reserveCourseSeats,
+  releaseCourseSeats
+} = require('./seats');
+
+/**
+ * Creating and changing students with everything that goes with it: checks
+ * for duplicates, class and course seats, department totals, enrollment
+ * history and the audit entry. Shared by the student endpoints, bulk
+ * creation, reverts and the OneRoster import, so they all keep the counters
+ * the same way and apply the same prerequisite and timetable checks as a
+ * direct enrollment.
+ */
+
+// Courses that fail the checks of a direct enrollment (POST /api/courses/:id/enroll):
+// prerequisites, and timetable clashes unless allowScheduleConflicts is set
+const checkNewCourses = async ({ studentId, classData, keptCourses, courses, droppedCourseIds, options }) => {
+  const unmetRequirements = await getUnmetRequirementsForCourses(studentId, courses, droppedCourseIds);
+  if (unmetRequirements.length > 0) {
+    const codes = [...new Set(unmetRequirements.map(requirement => requirement.for.courseCode))];
+    return {
+      status: 400,
+      error: `Student does not meet the prerequisites of ${codes.join(', ')}`,
+      field: 'courses',
+      unmetRequirements
+    };
+  }
+
+  const scheduleClashes = findNewCourseClashes(classData, keptCourses, courses);
+  if (scheduleClashes.length > 0 && options.allowScheduleConflicts !== true) {
+    const codes = [...new Set(scheduleClashes.map(clash => clash.for.label))];
+    return {
+      status: 400,
+      error: `The schedule of ${codes.join(', ')} clashes with the student's timetable`,
+      field: 'courses',
+      scheduleClashes
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check a change to a student before anything is written.
+ *
+ * @param {Object} options  { allowScheduleConflicts } to add clashing courses anyway
+ * @returns {Object} { problem: { status, error, ... } } to reject it, or { plan } for saveStudentChanges
+ */
+const planStudentChanges = async (student, changes, options = {}) => {
+  // Kept by the delete and restore endpoints
+  delete changes.deletedAt;
+  delete changes.deletedBy;
+
+  // Check if updating email and if it already exists (excluding current student)
+  if (changes.email && changes.email !== student.email) {
+    const existingEmail = await Student.findOne({
+      email: changes.email.toLowerCase(),
+      _id: { $ne: student._id }
+    }).setOptions({ withDeleted: true });
+
+    if (existingEmail) {
+      return { problem: { status: 400, error: 'Email already exists' } };
+    }
+    changes.email = changes.email.toLowerCase();
+  }
+
+  // Check if updating roll number and if it already exists
+  if (changes.rollNumber && changes.rollNumber !== student.rollNumber) {
+    const existingRollNumber = await Student.findOne({
+      rollNumber: changes.rollNumber.toUpperCase(),
+      _id: { $ne: student._id }
+    }).setOptions({ withDeleted: true });
+
+    if (existingRollNumber) {
+      return { problem: { status: 400, error: 'Roll number already exists' } };
+    }
+    changes.rollNumber = changes.rollNumber.toUpperCase();
+  }
+
+  // Check the new class and department before writing anything
+  const classChanged = Boolean(changes.class) && changes.class.toString() !== student.class.toString();
+  let newClass = null;
+  if (classChanged) {
+    newClass = await Class.findById(changes.class);
+
+    if (!newClass) {
+      return { problem: { status: 404, error: 'New class not found' } };
+    }
+
+    if (newClass.currentStrength >= newClass.capacity) {
+      return { problem: { status: 400, error: 'New class is full' } };
+    }
+
+    // A class only takes students of its own department, as in the import
+    const departmentId = changes.department || student.department;
+    if (newClass.department.toString() !== departmentId.toString()) {
+      return { problem: { status: 400, error: 'New class belongs to another department', field: 'class' } };
+    }
+  }
+
+  const departmentChanged = Boolean(changes.department) &&
+    changes.department.toString() !== student.department.toString();
+  if (departmentChanged) {
+    const newDepartment = await Department.findById(changes.department);
+
+    if (!newDepartment) {
+      return { problem: { status: 404, error: 'New department not found' } };
+    }
+  }
+
+  // Graduation needs a passing degree audit
+  if (changes.status === 'Graduated' && student.status !== 'Graduated') {
+    const audit = await runDegreeAudit({
+      _id: student._id,
+      department: changes.department || student.department
+    });
+
+    if (!audit.eligible) {
+      return {
+        problem: {
+          status: 400,
+          error: 'Student does not meet the graduation requirements',
+          missing: audit.checks.filter(check => !check.satisfied)
+        }
+      };
+    }
+  }
+
+  // Work out the course changes
+  let coursesToRemove = [];
+  let coursesToAddData = [];
+  if (changes.courses) {
+    const oldCourses = student.courses.map(c => c.toString());
+    const newCourses = changes.courses.map(c => c.toString());
+
+    // Find courses to remove
+    coursesToRemove = oldCourses.filter(courseId =>
+      !newCourses.includes(courseId)
+    );
+
+    // Find courses to add
+    const coursesToAdd = newCourses.filter(courseId =>
+      !oldCourses.includes(courseId)
+    );
+
+    if (coursesToAdd.length > 0) {
+      coursesToAddData = await Course.find({ _id: { $in: coursesToAdd } });
+
+      if (coursesToAddData.length !== coursesToAdd.length) {
+        return { problem: { status: 404, error: 'One or more courses not found' } };
+      }
+
+      const fullCourses = coursesToAddData.filter(course =>
+        course.enrolledStudents >= course.maxStudents
+      );
+
+      if (fullCourses.length > 0) {
+        return {
+          problem: {
+            status: 400,
+            error: `Course(s) ${fullCourses.map(c => c.courseCode).join(', ')} are full`
+          }
+        };
+      }
+
+      const [classData, keptCourses] = await Promise.all([
+        newClass || Class.findById(student.class),
+        Course.find({ _id: { $in: oldCourses.filter(courseId => !coursesToRemove.includes(courseId)) } })
+      ]);
+      const problem = await checkNewCourses({
+        studentId: student._id,
+        classData,
+        keptCourses,
+        courses: coursesToAddData,
+        droppedCourseIds: coursesToRemove,
+        options
+      });
+      if (problem) {
+        return { problem };
+      }
+    }
+  }
+
+  return { plan: { classChanged, newClass, departmentChanged, coursesToRemove, coursesToAddData } };
+};
+
+// Write a checked change to a student together with the seat and department
+// counters, enrollment history and audit entry
+const saveStudentChanges = async (req, student, changes, plan, context) => {
+  const { classChanged, departmentChanged, coursesToRemove, coursesToAddData } = plan;
+  const oldClassId = student.class;
+  const oldDepartmentId = student.department;
+  const before = snapshot(student);
+
+  // Update student
+  Object.keys(changes).forEach(key => {
+    student[key] = changes[key];
+  });
+
+  student.updatedAt = Date.now();
+
+  await withTransaction(async (session) => {
+    if (classChanged) {
+      await releaseClassSeat(oldClassId, session);
+      try {
+        await reserveClassSeat(changes.class, session);
+      } catch (error) {
+        if (error instanceof SeatUnavailableError) {
+          throw new SeatUnavailableError('New class is full');
+        }
+        throw error;
+      }
+    }
+
+    if (departmentChanged) {
+      await Department.updateOne(
+        { _id: oldDepartmentId, totalStudents: { $gt: 0 } },
+        { $inc: { totalStudents: -1 } },
+        { session }
+      );
+      await Department.updateOne(
+        { _id: changes.department },
+        { $inc: { totalStudents: 1 } },
+        { session }
+      );
+    }
+
+    if (coursesToRemove.length > 0) {
+      await releaseCourseSeats(coursesToRemove, session);
+      await recordWithdrawals(student._id, coursesToRemove, { session });
+    }
+
+    if (coursesToAddData.length > 0) {
+      await reserveCourseSeats(coursesToAddData, session);
+      await recordEnrollments(student, coursesToAddData, {
+        academicYear: student.academicYear,
+        session
+      });
+    }
+
+    await student.save({ session });
+    await recordAudit(req, { action: 'update', entityType: 'Student', before, after: student, context }, session);
+  });
+
+  // Seats given up in this update go to the course waitlists
+  for (const courseId of coursesToRemove) {
+    await promoteFromWaitlist(courseId);
+  }
+};
+
+/**
+ * Check a new student before anything is written.
+ *
+ * @param {Object} options  { allowScheduleConflicts } to add clashing courses anyway
+ * @returns {Object} { problem: { status, error, field } } to reject it, or { plan } for saveNewStudent
+ */
+const planNewStudent = async (data, options = {}) => {
+  // Graduation needs a passing degree audit, which a student without enrollments cannot have
+  if (data.status === 'Graduated') {
+    return {
+      problem: {
+        status: 400,
+        error: 'A student cannot be created as Graduated; graduate them once the degree audit passes',
+        field: 'status'
+      }
+    };
+  }
+
+  // Check if roll number already exists
+  const existingStudent = await Student.findOne({
+    rollNumber: data.rollNumber.toUpperCase()
+  }).setOptions({ withDeleted: true });
+
+  if (existingStudent) {
+    return { problem: { status: 400, error: 'Roll number already exists', field: 'rollNumber' } };
+  }
+
+  // Check if email already exists
+  const existingEmail = await Student.findOne({
+    email: data.email.toLowerCase()
+  }).setOptions({ withDeleted: true });
+
+  if (existingEmail) {
+    return { problem: { status: 400, error: 'Email already exists', field: 'email' } };
+  }
+
+  // Check if class exists and has available seats
+  const classData = await Class.findById(data.class);
+  if (!classData) {
+    return { problem: { status: 404, error: 'Class not found', field: 'class' } };
+  }
+
+  if (classData.currentStrength >= classData.capacity) {
+    return { problem: { status: 400, error: 'Class is full. No more seats available', field: 'class' } };
+  }
+
+  if (classData.department.toString() !== String(data.department)) {
+    return { problem: { status: 400, error: 'Class belongs to another department', field: 'class' } };
+  }
+
+  // Check if department exists
+  const department = await Department.findById(data.department);
+  if (!department) {
+    return { problem: { status: 404, error: 'Department not found', field: 'department' } };
+  }
+
+  // Check if courses exist and have available seats
+  let courses = [];
+  if (data.courses && data.courses.length > 0) {
+    courses = await Course.find({ _id: { $in: data.courses } });
+
+    if (courses.length !== data.courses.length) {
+      return { problem: { status: 404, error: 'One or more courses not found', field: 'courses' } };
+    }
+
+    const fullCourses = courses.filter(course =>
+      course.enrolledStudents >= course.maxStudents
+    );
+
+    if (fullCourses.length > 0) {
+      return {
+        problem: {
+          status: 400,
+          error: `Course(s) ${fullCourses.map(c => c.courseCode).join(', ')} are full`,
+          field: 'courses'
+        }
+      };
+    }
+
+    const problem = await checkNewCourses({
+      studentId: null,
+      classData,
+      keptCourses: [],
+      courses,
+      droppedCourseIds: [],
+      options
+    });
+    if (problem) {
+      return { problem };
+    }
+  }
+
+  return { plan: { classData, department, courses } };
+};
+
+// Write a checked new student together with the seat and department counters,
+// enrollment history and audit entry, in the caller's transaction
+const saveNewStudent = async (req, data, plan, session, context) => {
+  const { classData, department, courses } = plan;
+
+  await reserveClassSeat(classData._id, session);
+  await reserveCourseSeats(courses, session);
+
+  const [created] = await Student.create([{
+    ...data,
+    email: data.email.toLowerCase(),
+    rollNumber: data.rollNumber.toUpperCase()
+  }], { session });
+
+  await Department.updateOne(
+    { _id: department._id },
+    { $inc: { totalStudents: 1 } },
+    { session }
+  );
+
+  await recordEnrollments(created, courses, { session });
+  await recordAudit(req, { action: 'create', entityType: 'Student', after: created, context }, session);
+  return created;
+};
+
+module.exports = {
+  checkNewCourses,
+  planNewStudent,
+  saveNewStudent,
+  planStudentChanges,
+  saveStudentChanges
+};
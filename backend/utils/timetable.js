@@ -0,0 +1,232 @@
+const { parseTime, formatTime } = require('./schedule');
+
+/**
+ * Weekly timetable solver for the courses of one term.
+ *
+ * Every course gets one meeting pattern: the same time slot on a set of days
+ * and one room, stored as Course.schedule. A course meets for its credit hours
+ * each week, so a 3 credit course takes three 1 hour sessions or two 90 minute
+ * ones. Hard constraints:
+ *   - a room or instructor is never double-booked, by the new timetable or by
+ *     sessions that stay fixed (classes and courses not being scheduled)
+ *   - instructors are only scheduled inside their availability, when given
+ *   - rooms with a known capacity must fit the course's maxStudents
+ *   - courses of the same cohort (department and year) or sharing enrolled
+ *     students never overlap, nor do they overlap those students' classes
+ *
+ * The search places the most constrained course first and backtracks; when it
+ * runs out of steps it falls back to a greedy pass and reports the courses it
+ * could not place.
+ */
+
+const DEFAULT_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// 1 hour slots from 08:00 and 90 minute slots from 08:00, both until 17:00
+const DEFAULT_TIME_SLOTS = [
+  ...['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00']
+    .map(start => ({ start, end: formatTime(parseTime(start) + 60) })),
+  ...['08:00', '09:30', '11:00', '12:30', '14:00', '15:30']
+    .map(start => ({ start, end: formatTime(parseTime(start) + 90) }))
+];
+
+const DEFAULT_MAX_STEPS = 50000;
+
+// Every way of choosing `count` days, most evenly spread first
+const dayPatterns = (days, count) => {
+  const patterns = [];
+  const choose = (start, chosen) => {
+    if (chosen.length === count) {
+      patterns.push(chosen);
+      return;
+    }
+    for (let i = start; i < days.length; i += 1) {
+      choose(i + 1, [...chosen, i]);
+    }
+  };
+  choose(0, []);
+
+  const minGap = (pattern) => pattern.slice(1).reduce(
+    (gap, dayIndex, i) => Math.min(gap, dayIndex - pattern[i]), days.length
+  );
+  return patterns
+    .sort((a, b) => minGap(b) - minGap(a))
+    .map(pattern => pattern.map(index => days[index]));
+};
+
+const sessionsOverlap = (a, b) =>
+  a.days.some(day => b.days.includes(day)) && a.start < b.end && b.start < a.end;
+
+const withinAvailability = (option, windows) => {
+  if (!windows) return true;
+  return option.days.every(day => windows.some(window =>
+    window.days.includes(day) && window.start <= option.start && option.end <= window.end
+  ));
+};
+
+/**
+ * @param {Object} input
+ * @param {Array} input.courses   [{ id, label, creditHours, maxStudents, department, cohort,
+ *                                   instructor: { key, name } | null, preferredRooms: [String],
+ *                                   blockedEntries: [entry] }]
+ * @param {Array} input.rooms     [{ name, capacity }]
+ * @param {Array} input.days      Weekdays to use
+ * @param {Array} input.timeSlots [{ start, end }] as HH:MM
+ * @param {Array} input.fixed     Timetable entries that stay as they are (see utils/schedule)
+ * @param {Map}   input.availability  Instructor key -> [{ days, start, end }] in minutes
+ * @param {Set}   input.sharedStudents  'courseA|courseB' pairs with common students
+ */
+const solveTimetable = ({
+  courses,
+  rooms,
+  days = DEFAULT_DAYS,
+  timeSlots = DEFAULT_TIME_SLOTS,
+  fixed = [],
+  availability = new Map(),
+  sharedStudents = new Set(),
+  maxSteps = DEFAULT_MAX_STEPS
+}) => {
+  const slots = timeSlots.map(slot => ({ start: parseTime(slot.start), end: parseTime(slot.end) }));
+
+  // Every static option of each course, with the reason when there are none
+  const candidates = new Map();
+  const noOptionReasons = new Map();
+
+  courses.forEach(course => {
+    const options = [];
+    const rejected = { days: 0, availability: 0, capacity: 0, fixed: 0 };
+    const windows = course.instructor ? availability.get(course.instructor.key) : null;
+    const preferred = new Set(course.preferredRooms || []);
+    const orderedRooms = [...rooms].sort((a, b) =>
+      Number(preferred.has(b.name)) - Number(preferred.has(a.name))
+    );
+
+    slots.forEach(slot => {
+      const sessions = Math.ceil((course.creditHours * 60) / (slot.end - slot.start));
+      if (sessions > days.length) {
+        rejected.days += 1;
+        return;
+      }
+
+      dayPatterns(days, sessions).forEach(pattern => {
+        const base = { days: pattern, start: slot.start, end: slot.end };
+        if (!withinAvailability(base, windows)) {
+          rejected.availability += 1;
+          return;
+        }
+
+        // The instructor or the course's students may already be busy
+        const busy = fixed.some(entry => sessionsOverlap(base, entry) && (
+          (course.instructor && entry.instructor && entry.instructor.key === course.instructor.key)
+        )) || (course.blockedEntries || []).some(entry => sessionsOverlap(base, entry));
+        if (busy) {
+          rejected.fixed += 1;
+          return;
+        }
+
+        orderedRooms.forEach(room => {
+          if (room.capacity && course.maxStudents && room.capacity < course.maxStudents) {
+            rejected.capacity += 1;
+            return;
+          }
+          const roomTaken = fixed.some(entry => entry.room === room.name && sessionsOverlap(base, entry));
+          if (roomTaken) {
+            rejected.fixed += 1;
+            return;
+          }
+          options.push({ ...base, room: room.name });
+        });
+      });
+    });
+
+    candidates.set(course.id, options);
+    if (options.length === 0) {
+      const reasons = [];
+      if (rooms.length === 0) reasons.push('no rooms available');
+      if (rejected.capacity > 0) reasons.push('no room is large enough');
+      if (rejected.availability > 0) reasons.push('instructor is not available in any slot');
+      if (rejected.fixed > 0) reasons.push('every free slot clashes with fixed sessions');
+      if (rejected.days > 0 && reasons.length === 0) reasons.push('too many credit hours for the week');
+      noOptionReasons.set(course.id, reasons.join('; ') || 'no usable time slot');
+    }
+  });
+
+  const byId = new Map(courses.map(course => [course.id, course]));
+  const assignments = new Map();
+
+  const mustNotOverlap = (a, b) =>
+    (a.cohort && a.cohort === b.cohort) ||
+    sharedStudents.has(`${a.id}|${b.id}`) ||
+    (a.instructor && b.instructor && a.instructor.key === b.instructor.key);
+
+  const fits = (course, option) => {
+    for (const [otherId, placed] of assignments) {
+      if (!sessionsOverlap(option, placed)) continue;
+      if (placed.room === option.room) return false;
+      if (mustNotOverlap(course, byId.get(otherId))) return false;
+    }
+    return true;
+  };
+
+  // Most constrained first
+  const order = courses
+    .filter(course => candidates.get(course.id).length > 0)
+    .sort((a, b) => candidates.get(a.id).length - candidates.get(b.id).length)
+    .map(course => course.id);
+
+  let steps = 0;
+  const search = (index) => {
+    if (index === order.length) return true;
+    const course = byId.get(order[index]);
+
+    for (const option of candidates.get(course.id)) {
+      steps += 1;
+      if (steps > maxSteps) return false;
+      if (!fits(course, option)) continue;
+
+      assignments.set(course.id, option);
+      if (search(index + 1)) return true;
+      assignments.delete(course.id);
+      if (steps > maxSteps) return false;
+    }
+    return false;
+  };
+
+  const complete = search(0);
+
+  // Out of steps or infeasible: place what fits, in the same order
+  if (!complete) {
+    assignments.clear();
+    order.forEach(courseId => {
+      const course = byId.get(courseId);
+      const option = candidates.get(courseId).find(candidate => fits(course, candidate));
+      if (option) assignments.set(courseId, option);
+    });
+  }
+
+  const unscheduled = courses
+    .filter(course => !assignments.has(course.id))
+    .map(course => ({
+      id: course.id,
+      label: course.label,
+      reason: noOptionReasons.get(course.id) ||
+        'every remaining slot clashes with a room, instructor or cohort already scheduled'
+    }));
+
+  return {
+    assignments: new Map([...assignments].map(([courseId, option]) => [courseId, {
+      days: option.days,
+      start: formatTime(option.start),
+      end: formatTime(option.end),
+      room: option.room
+    }])),
+    unscheduled,
+    steps,
+    complete: unscheduled.length === 0
+  };
+};
+
+module.exports = {
+  DEFAULT_DAYS,
+  DEFAULT_TIME_SLOTS,
+  solveTimetable
+};
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run a unit of work in a MongoDB transaction.
+ * The callback receives the session and must pass it to every read and write
+ * that belongs to the transaction. Transient errors (write conflicts, primary
+ * step-downs) retry the whole callback, so it must not have side effects
+ * outside the database. Transactions require a replica set.
+ *
+ * @param {Function} work  async (session) => result
+ * @returns The value returned by the callback once committed
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,125 @@
+const { round } = require('./grading');
+
+// Order of semesters within an academic year (YYYY-YYYY starts in the fall)
+const SEMESTER_ORDER = ['Fall', 'Winter', 'Spring', 'Summer'];
+
+const compareTerms = (a, b) => {
+  if (a.academicYear !== b.academicYear) {
+    return a.academicYear < b.academicYear ? -1 : 1;
+  }
+  return SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester);
+};
+
+const termKey = (record) => `${record.academicYear}:${record.semester}`;
+
+const courseKey = (record) => (record.course._id || record.course).toString();
+
+/**
+ * Build a term-by-term transcript from enrollment records.
+ *
+ * Term GPA counts every course graded that term. When a course is repeated,
+ * only the latest attempt counts towards the cumulative CGPA; earlier attempts
+ * stay on the transcript flagged as repeated. Withdrawn enrollments are listed
+ * with a W and carry no credit.
+ *
+ * @param {Array} enrollments  Completed, Failed and Withdrawn enrollments with course populated
+ */
+const buildTranscript = (enrollments) => {
+  const sorted = [...enrollments].sort(compareTerms);
+
+  // Latest graded attempt per course
+  const latestAttempt = new Map();
+  sorted
+    .filter(record => record.status !== 'Withdrawn')
+    .forEach(record => latestAttempt.set(courseKey(record), record));
+
+  const terms = [];
+  const cumulative = {
+    creditsAttempted: 0,
+    creditsEarned: 0,
+    qualityPoints: 0
+  };
+  const countedCourses = new Map();
+
+  sorted.forEach(record => {
+    let term = terms[terms.length - 1];
+    if (!term || termKey(term) !== termKey(record)) {
+      term = {
+        academicYear: record.academicYear,
+        semester: record.semester,
+        courses: [],
+        creditsAttempted: 0,
+        creditsEarned: 0,
+        qualityPoints: 0,
+        gpa: 0,
+        cgpa: cumulative.creditsAttempted > 0 ?
+          round(cumulative.qualityPoints / cumulative.creditsAttempted) : 0
+      };
+      terms.push(term);
+    }
+
+    if (record.status === 'Withdrawn') {
+      term.courses.push({
+        course: record.course,
+        grade: 'W',
+        gradePoints: null,
+        creditHours: record.creditHours,
+        qualityPoints: 0,
+        repeated: false
+      });
+      return;
+    }
+
+    const passed = record.gradePoints > 0;
+    const repeated = latestAttempt.get(courseKey(record)) !== record;
+
+    term.courses.push({
+      course: record.course,
+      grade: record.grade,
+      gradePoints: record.gradePoints,
+      creditHours: record.creditHours,
+      qualityPoints: round(record.gradePoints * record.creditHours),
+      repeated
+    });
+    term.creditsAttempted += record.creditHours;
+    term.creditsEarned += passed ? record.creditHours : 0;
+    term.qualityPoints += record.gradePoints * record.creditHours;
+
+    // A later attempt replaces the earlier one in the cumulative totals
+    const previous = countedCourses.get(courseKey(record));
+    if (previous) {
+      cumulative.creditsAttempted -= previous.creditHours;
+      cumulative.creditsEarned -= previous.gradePoints > 0 ? previous.creditHours : 0;
+      cumulative.qualityPoints -= previous.gradePoints * previous.creditHours;
+    }
+    countedCourses.set(courseKey(record), record);
+    cumulative.creditsAttempted += record.creditHours;
+    cumulative.creditsEarned += passed ? record.creditHours : 0;
+    cumulative.qualityPoints += record.gradePoints * record.creditHours;
+
+    term.gpa = term.creditsAttempted > 0 ? round(term.qualityPoints / term.creditsAttempted) : 0;
+    term.cgpa = cumulative.creditsAttempted > 0 ?
+      round(cumulative.qualityPoints / cumulative.creditsAttempted) : 0;
+  });
+
+  terms.forEach(term => {
+    term.qualityPoints = round(term.qualityPoints);
+  });
+
+  return {
+    terms,
+    summary: {
+      creditsAttempted: cumulative.creditsAttempted,
+      creditsEarned: cumulative.creditsEarned,
+      qualityPoints: round(cumulative.qualityPoints),
+      cgpa: cumulative.creditsAttempted > 0 ?
+        round(cumulative.qualityPoints / cumulative.creditsAttempted) : 0
+    }
+  };
+};
+
+module.exports = {
+  SEMESTER_ORDER,
+  compareTerms,
+  buildTranscript
+};
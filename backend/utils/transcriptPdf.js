@@ -0,0 +1,83 @@
+const PDFDocument = require('pdfkit');
+
+const COLUMNS = [
+  { label: 'Code', key: 'courseCode', width: 70 },
+  { label: 'Course', key: 'courseName', width: 220 },
+  { label: 'Credits', key: 'creditHours', width: 60 },
+  { label: 'Grade', key: 'grade', width: 60 },
+  { label: 'Points', key: 'qualityPoints', width: 60 }
+];
+
+const drawRow = (doc, values, options = {}) => {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  COLUMNS.forEach((column, index) => {
+    doc.text(String(values[index]), x, y, { width: column.width - 5, lineBreak: false, ellipsis: true });
+    x += column.width;
+  });
+  doc.moveDown(0.4);
+  doc.x = doc.page.margins.left;
+};
+
+/**
+ * Stream a printable transcript to a writable stream (e.g. the response)
+ *
+ * @param {Object} student     Student with class and department populated
+ * @param {Object} transcript  Output of buildTranscript()
+ * @param {Stream} output      Writable stream
+ */
+const renderTranscriptPdf = (student, transcript, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Official Academic Transcript', { align: 'center' });
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(11);
+  doc.text(`Name: ${student.name}`);
+  doc.text(`Roll Number: ${student.rollNumber}`);
+  if (student.department) {
+    doc.text(`Department: ${student.department.departmentName} (${student.department.departmentCode})`);
+  }
+  doc.text(`Status: ${student.status}`);
+  doc.text(`Issued: ${new Date().toISOString().slice(0, 10)}`);
+  doc.moveDown();
+
+  transcript.terms.forEach(term => {
+    if (doc.y > doc.page.height - 150) {
+      doc.addPage();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text(`${term.semester} ${term.academicYear}`);
+    doc.moveDown(0.3);
+    drawRow(doc, COLUMNS.map(column => column.label), { bold: true });
+
+    term.courses.forEach(entry => {
+      drawRow(doc, [
+        entry.course.courseCode,
+        entry.course.courseName + (entry.repeated ? ' (repeated)' : ''),
+        entry.creditHours,
+        entry.grade,
+        entry.qualityPoints.toFixed(2)
+      ]);
+    });
+
+    doc.font('Helvetica').fontSize(10).text(
+      `Term GPA: ${term.gpa.toFixed(2)}    Credits Earned: ${term.creditsEarned}/${term.creditsAttempted}    CGPA: ${term.cgpa.toFixed(2)}`
+    );
+    doc.moveDown();
+  });
+
+  const { summary } = transcript;
+  doc.font('Helvetica-Bold').fontSize(12).text('Cumulative Summary');
+  doc.font('Helvetica').fontSize(11);
+  doc.text(`Credits Attempted: ${summary.creditsAttempted}`);
+  doc.text(`Credits Earned: ${summary.creditsEarned}`);
+  doc.text(`Cumulative GPA: ${summary.cgpa.toFixed(2)}`);
+
+  doc.end();
+};
+
+module.exports = { renderTranscriptPdf };
@@ -0,0 +1,270 @@
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const Assessment = require('../models/Assessment');
+const Score = require('../models/Score');
+const Attendance = require('../models/Attendance');
+const Waitlist = require('../models/Waitlist');
+const Notification = require('../models/Notification');
+const ProgramRequirement = require('../models/ProgramRequirement');
+const Version = require('../models/Version');
+const { recordEnrollments } = require('./enrollment');
+const { reserveClassSeat, reserveCourseSeats } = require('./seats');
+const { withTransaction } = require('./transaction');
+const { recordAudit } = require('./audit');
+
+/**
+ * Trash for students, classes, departments and courses (see
+ * models/plugins/softDelete). Deleting moves a document to the trash; it can
+ * be restored until it has been there for TRASH_RETENTION_DAYS, after which
+ * the purge removes it for good together with the records that belong to it.
+ * A document that other records, trashed ones included, still refer to is
+ * kept and reported until those are purged as well.
+ */
+
+// Days a deleted document stays in the trash before it may be purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TRASH_MODELS = { Student, Class, Department, Course };
+
+// Students go first, so the classes, courses and departments they held on to can follow
+const PURGE_ORDER = ['Student', 'Course', 'Class', 'Department'];
+
+const TRASH_LABELS = {
+  Student: doc => `${doc.name} (${doc.rollNumber})`,
+  Class: doc => `${doc.className} - ${doc.section} (${doc.academicYear})`,
+  Department: doc => `${doc.departmentName} (${doc.departmentCode})`,
+  Course: doc => `${doc.courseName} (${doc.courseCode})`
+};
+
+class TrashError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TrashError';
+    this.statusCode = statusCode;
+  }
+}
+
+const purgeDate = (doc) => new Date(new Date(doc.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY);
+
+/**
+ * Move a document to the trash and record the delete, in the caller's transaction.
+ * Counters and enrollments are released by the caller, as for a hard delete.
+ */
+const moveToTrash = async (req, doc, entityType, session) => {
+  await recordAudit(req, { action: 'delete', entityType, before: doc }, session);
+
+  doc.deletedAt = new Date();
+  doc.deletedBy = req && req.user ? {
+    user: req.user._id,
+    name: req.user.name,
+    email: req.user.email
+  } : undefined;
+
+  // A record that no longer passes validation can still be deleted
+  return doc.save({ session, validateBeforeSave: false });
+};
+
+// Live class, department and courses a student needs back before it is restored
+const studentRestorePlan = async (student) => {
+  const [classData, department, courses] = await Promise.all([
+    Class.findById(student.class),
+    Department.findById(student.department),
+    Course.find({ _id: { $in: student.courses } })
+  ]);
+
+  if (!classData) {
+    throw new TrashError('The student\'s class is in the trash or no longer exists. Restore it first.');
+  }
+  if (!department) {
+    throw new TrashError('The student\'s department is in the trash or no longer exists. Restore it first.');
+  }
+  if (courses.length !== student.courses.length) {
+    throw new TrashError('Some of the student\'s courses are in the trash or no longer exist. Restore them first.');
+  }
+
+  return { courses };
+};
+
+// Checks before a class, department or course comes back
+const checkParentDepartment = async (doc, entityType) => {
+  const department = await Department.findById(doc.department);
+  if (!department) {
+    throw new TrashError(`The ${entityType.toLowerCase()}'s department is in the trash or no longer exists. Restore it first.`);
+  }
+};
+
+/**
+ * Take a document out of the trash. A student takes its class, department and
+ * course seats back and is enrolled again in its courses.
+ *
+ * @throws {TrashError} When it is not in the trash or what it belongs to is not available
+ * @throws {SeatUnavailableError} When its class or a course is full by now
+ */
+const restoreFromTrash = async (req, entityType, id) => {
+  const Model = TRASH_MODELS[entityType];
+  const doc = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+  if (!doc) {
+    throw new TrashError(`${entityType} not found in the trash`, 404);
+  }
+
+  const plan = entityType === 'Student' ? await studentRestorePlan(doc) : null;
+  if (entityType !== 'Student' && entityType !== 'Department') {
+    await checkParentDepartment(doc, entityType);
+  }
+
+  doc.deletedAt = null;
+  doc.deletedBy = undefined;
+
+  await withTransaction(async (session) => {
+    if (plan) {
+      await reserveClassSeat(doc.class, session);
+      await Department.updateOne(
+        { _id: doc.department },
+        { $inc: { totalStudents: 1 } },
+        { session }
+      );
+      if (plan.courses.length > 0) {
+        await reserveCourseSeats(plan.courses, session);
+        await recordEnrollments(doc, plan.courses, { session });
+      }
+    }
+
+    await doc.save({ session, validateBeforeSave: false });
+    await recordAudit(req, { action: 'restore', entityType, after: doc }, session);
+  });
+
+  return doc;
+};
+
+// Other records that still refer to a trashed document, leaving out those
+// about to be purged in the same run
+const REFERENCES = {
+  Student: () => [],
+  Course: (id, purged) => [
+    ['students', Student.countDocuments({ courses: id, _id: { $nin: purged.Student } })
+      .setOptions({ withDeleted: true })],
+    ['courses (as a prerequisite)', Course.countDocuments({
+      $or: [{ prerequisites: id }, { 'prerequisiteGroups.courses': id }, { corequisites: id }],
+      _id: { $nin: purged.Course }
+    }).setOptions({ withDeleted: true })],
+    ['enrollments', Enrollment.countDocuments({ course: id, student: { $nin: purged.Student } })],
+    ['scores', Score.countDocuments({ course: id, student: { $nin: purged.Student } })],
+    ['attendance records', Attendance.countDocuments({ course: id, student: { $nin: purged.Student } })]
+  ],
+  Class: (id, purged) => [
+    ['students', Student.countDocuments({ class: id, _id: { $nin: purged.Student } })
+      .setOptions({ withDeleted: true })],
+    ['attendance records', Attendance.countDocuments({ class: id, student: { $nin: purged.Student } })]
+  ],
+  Department: (id, purged) => [
+    ['students', Student.countDocuments({ department: id, _id: { $nin: purged.Student } })
+      .setOptions({ withDeleted: true })],
+    ['classes', Class.countDocuments({ department: id, _id: { $nin: purged.Class } })
+      .setOptions({ withDeleted: true })],
+    ['courses', Course.countDocuments({ department: id, _id: { $nin: purged.Course } })
+      .setOptions({ withDeleted: true })],
+    ['faculty', Faculty.countDocuments({ department: id })],
+    ['user accounts', User.countDocuments({ department: id })]
+  ]
+};
+
+// Remove a document for good with the records that only exist for it
+const OWNED_RECORDS = {
+  Student: async (id, session) => {
+    await Promise.all([Enrollment, Score, Attendance, Waitlist, Notification]
+      .map(model => model.deleteMany({ student: id }, { session })));
+    await User.updateMany(
+      { student: id },
+      { $unset: { student: 1 }, $set: { status: 'Inactive' } },
+      { session }
+    );
+    await User.updateMany({ wards: id }, { $pull: { wards: id } }, { session });
+  },
+  Course: async (id, session) => {
+    await Promise.all([Assessment, Waitlist, Notification]
+      .map(model => model.deleteMany({ course: id }, { session })));
+  },
+  Class: async () => {},
+  Department: async (id, session) => {
+    await ProgramRequirement.deleteMany({ department: id }, { session });
+  }
+};
+
+const findReferences = async (entityType, id, purged) => {
+  const counts = REFERENCES[entityType](id, purged);
+  const totals = await Promise.all(counts.map(([, count]) => count));
+  return counts
+    .map(([name], index) => totals[index] > 0 ? `${totals[index]} ${name}` : null)
+    .filter(Boolean);
+};
+
+/**
+ * Permanently remove documents that have been in the trash for at least
+ * olderThanDays. Without apply, only reports what would be removed.
+ *
+ * @param {Object} options  { olderThanDays, apply, req } (req is null for the scheduled job)
+ * @returns {Object} { olderThanDays, cutoff, apply, purged, kept }
+ */
+const purgeTrash = async ({ olderThanDays = TRASH_RETENTION_DAYS, apply = false, req = null } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanDays * DAY);
+  const purged = { Student: [], Course: [], Class: [], Department: [] };
+  const report = { olderThanDays, cutoff, apply, purged: [], kept: [] };
+
+  for (const entityType of PURGE_ORDER) {
+    const Model = TRASH_MODELS[entityType];
+    const docs = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    for (const doc of docs) {
+      const item = {
+        entityType,
+        id: doc._id,
+        label: TRASH_LABELS[entityType](doc),
+        deletedAt: doc.deletedAt
+      };
+
+      const references = await findReferences(entityType, doc._id, purged);
+      if (references.length > 0) {
+        report.kept.push({ ...item, reason: `Still referred to by ${references.join(', ')}` });
+        continue;
+      }
+
+      if (apply) {
+        await withTransaction(async (session) => {
+          await OWNED_RECORDS[entityType](doc._id, session);
+          await Version.deleteMany({ entityType, entityId: doc._id }, { session });
+          await Model.deleteOne({ _id: doc._id }, { session });
+          await recordAudit(req, {
+            action: 'purge',
+            entityType,
+            before: doc,
+            context: `purged after ${olderThanDays} days in the trash`
+          }, session);
+        });
+      }
+
+      purged[entityType].push(doc._id);
+      report.purged.push(item);
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_MODELS,
+  TRASH_LABELS,
+  TrashError,
+  purgeDate,
+  moveToTrash,
+  restoreFromTrash,
+  purgeTrash
+};
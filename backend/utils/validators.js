@@ -1,4 +1,57 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { GRADING_CATEGORIES, GRADE_SCALE, PASSING_GRADES, isValidGradingPolicy } = require('./grading');
+const { ATTENDANCE_STATUSES } = require('./attendance');
+const { EXPORT_FORMATS, EXPORT_COLUMNS, parseExportFields } = require('./export');
+const { STUDENT_FILTER_FIELDS } = require('./filters');
+
+const FACULTY_RANKS = ['Professor', 'Associate Professor', 'Assistant Professor', 'Lecturer', 'Teaching Assistant'];
+const COURSE_TYPES = ['Core', 'Elective', 'Lab', 'Project', 'Thesis'];
+const SCHEDULE_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const AUDITED_ENTITIES = ['Student', 'Class', 'Department', 'Course'];
+const TRASH_COLLECTIONS = ['students', 'classes', 'departments', 'courses'];
+const STUDENT_STATUSES = ['Active', 'Inactive', 'Graduated', 'Suspended'];
+const BULK_UPDATE_FIELDS = ['class', 'department', 'academicYear', 'status'];
+// Student fields kept by the trash and the OneRoster import
+const SYSTEM_STUDENT_FIELDS = ['deletedAt', 'deletedBy', 'sourcedId'];
+
+// Format and column choice of the student, class, course and department exports
+const exportOptions = (entityType) => [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+
+  query('fields')
+    .optional()
+    .custom((value) => {
+      const unknown = parseExportFields(value)
+        .filter(field => !EXPORT_COLUMNS[entityType].some(column => column.field === field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown field(s): ${unknown.join(', ')}`);
+      }
+      return true;
+    })
+];
+
+// Filters shared by student search, export and bulk update; field() picks
+// where they are read from
+const studentFilterRules = (field) => [
+  field('name').optional().trim(),
+  field('rollNumber').optional().trim(),
+  field('email').optional().trim().normalizeEmail(),
+  field('class').optional().isMongoId().withMessage('Invalid class ID'),
+  field('department').optional().isMongoId().withMessage('Invalid department ID'),
+  field('status').optional().isIn(STUDENT_STATUSES),
+  field('gender').optional().isIn(['Male', 'Female', 'Other']).withMessage('Invalid gender'),
+  field('academicYear').optional().matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+  field('enrollmentDateFrom').optional().isISO8601().withMessage('Please enter a valid date'),
+  field('enrollmentDateTo').optional().isISO8601().withMessage('Please enter a valid date'),
+  field('minAge').optional().isInt({ min: 0 }).withMessage('Minimum age must be a whole number'),
+  field('maxAge').optional().isInt({ min: 0 }).withMessage('Maximum age must be a whole number')
+];
+
+const studentFilters = studentFilterRules(query);
 
 // Student validators
 const studentValidators = {
@@ -82,7 +135,10 @@ const studentValidators = {
     body('address.street').trim().notEmpty().withMessage('Street address is required'),
     body('address.city').trim().notEmpty().withMessage('City is required'),
     body('address.state').trim().notEmpty().withMessage('State is required'),
-    body('address.zipCode').trim().notEmpty().withMessage('Zip code is required')
+    body('address.zipCode').trim().notEmpty().withMessage('Zip code is required'),
+
+    body(SYSTEM_STUDENT_FIELDS)
+      .not().exists().withMessage((value, { path }) => `${path} cannot be set`)
   ],
 
   updateStudent: [
@@ -117,12 +173,104 @@ const studentValidators = {
     
     body('status')
       .optional()
-      .isIn(['Active', 'Inactive', 'Graduated', 'Suspended']).withMessage('Invalid status')
+      .isIn(['Active', 'Inactive', 'Graduated', 'Suspended']).withMessage('Invalid status'),
+
+    body(SYSTEM_STUDENT_FIELDS)
+      .not().exists().withMessage((value, { path }) => `${path} cannot be set`)
   ],
 
   getStudentById: [
     param('id')
-      .isMongoId().withMessage('Invalid student ID')
+      .isMongoId().withMessage('Invalid student ID'),
+    query('asOf').optional().isISO8601().withMessage('Please enter a valid date')
+  ],
+
+  bulkCreateStudents: [
+    body('students')
+      .isArray({ min: 1, max: 100 }).withMessage('Students must be an array of 1 to 100 students'),
+    body('allOrNothing')
+      .optional()
+      .isBoolean().withMessage('allOrNothing must be true or false')
+      .toBoolean()
+  ],
+
+  bulkUpdateStudents: [
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: 500 }).withMessage('IDs must be an array of 1 to 500 student IDs'),
+    body('ids.*')
+      .isMongoId().withMessage('Invalid student ID'),
+    body('filter')
+      .optional()
+      .custom((value, { req }) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new Error('Filter must be an object of search criteria');
+        }
+        if (Object.keys(value).length === 0) {
+          throw new Error('Filter must have at least one criterion');
+        }
+        const unknown = Object.keys(value).filter(field => !STUDENT_FILTER_FIELDS.includes(field));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown filter criteria: ${unknown.join(', ')}`);
+        }
+        if (Object.values(value).some(criterion => criterion === null || typeof criterion === 'object')) {
+          throw new Error('Filter criteria must be plain values');
+        }
+        if (Object.values(value).some(criterion => String(criterion).trim() === '')) {
+          throw new Error('Filter criteria cannot be empty');
+        }
+        if (req.body.ids) {
+          throw new Error('Send either ids or filter, not both');
+        }
+        return true;
+      }),
+    body()
+      .custom((value) => {
+        if (!value.ids && !value.filter) {
+          throw new Error('Either ids or filter is required');
+        }
+        return true;
+      }),
+    ...studentFilterRules(field => body(`filter.${field}`)),
+    body('changes')
+      .custom((value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+          throw new Error(`Changes must set at least one of: ${BULK_UPDATE_FIELDS.join(', ')}`);
+        }
+        const unknown = Object.keys(value).filter(field => !BULK_UPDATE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+          throw new Error(`Only ${BULK_UPDATE_FIELDS.join(', ')} can be changed in bulk; not ${unknown.join(', ')}`);
+        }
+        return true;
+      }),
+    body('changes.class')
+      .optional()
+      .isMongoId().withMessage('Invalid class ID'),
+    body('changes.department')
+      .optional()
+      .isMongoId().withMessage('Invalid department ID'),
+    body('changes.academicYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+    body('changes.status')
+      .optional()
+      .isIn(STUDENT_STATUSES).withMessage('Invalid status'),
+    body('apply')
+      .optional()
+      .isBoolean().withMessage('Apply must be true or false')
+  ],
+
+  importStudents: [
+    body('apply')
+      .optional()
+      .isBoolean().withMessage('Apply must be true or false')
+  ],
+
+  revertStudent: [
+    param('id')
+      .isMongoId().withMessage('Invalid student ID'),
+    param('version')
+      .isInt({ min: 1 }).withMessage('Version must be a positive integer')
   ],
 
   deleteStudent: [
@@ -130,15 +278,49 @@ const studentValidators = {
       .isMongoId().withMessage('Invalid student ID')
   ],
 
+  recordFinalGrade: [
+    param('id')
+      .isMongoId().withMessage('Invalid student ID'),
+    
+    body('course')
+      .notEmpty().withMessage('Course is required')
+      .isMongoId().withMessage('Invalid course ID'),
+    
+    body('grade')
+      .optional()
+      .isIn(GRADE_SCALE.map(grade => grade.letter)).withMessage('Invalid letter grade'),
+    
+    body('academicYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY'),
+    
+    body('semester')
+      .optional()
+      .isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester')
+  ],
+
+  getStudentEnrollments: [
+    param('id')
+      .isMongoId().withMessage('Invalid student ID'),
+    
+    query('status')
+      .optional()
+      .isIn(['Enrolled', 'Withdrawn', 'Completed', 'Failed']).withMessage('Invalid enrollment status'),
+    
+    query('semester')
+      .optional()
+      .isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester')
+  ],
+
   searchStudents: [
-    query('name').optional().trim(),
-    query('rollNumber').optional().trim(),
-    query('email').optional().trim().normalizeEmail(),
-    query('class').optional().isMongoId().withMessage('Invalid class ID'),
-    query('department').optional().isMongoId().withMessage('Invalid department ID'),
-    query('status').optional().isIn(['Active', 'Inactive', 'Graduated', 'Suspended']),
+    ...studentFilters,
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  exportStudents: [
+    ...studentFilters,
+    ...exportOptions('Student')
   ]
 };
 
@@ -166,7 +348,44 @@ const classValidators = {
     
     body('department')
       .notEmpty().withMessage('Department is required')
-      .isMongoId().withMessage('Invalid department ID')
+      .isMongoId().withMessage('Invalid department ID'),
+    
+    body('classTeacher')
+      .optional()
+      .isMongoId().withMessage('Class teacher must be a faculty ID'),
+    
+    body('level')
+      .optional()
+      .isInt({ min: 1, max: 8 }).withMessage('Level must be between 1 and 8')
+  ],
+  
+  rollover: [
+    body('fromYear')
+      .trim()
+      .notEmpty().withMessage('Academic year to roll over is required')
+      .matches(/^\d{4}-\d{4}$/).withMessage('Academic year must be in format YYYY-YYYY')
+      .custom((value) => parseInt(value.slice(5), 10) === parseInt(value.slice(0, 4), 10) + 1)
+      .withMessage('Academic year must span two consecutive years'),
+    
+    body('department').optional().isMongoId().withMessage('Invalid department ID'),
+    
+    body('minimumCgpa')
+      .optional()
+      .isFloat({ min: 0, max: 4 }).withMessage('Minimum CGPA must be between 0 and 4'),
+    
+    body('mode')
+      .optional()
+      .isIn(['preview', 'apply']).withMessage('Mode must be preview or apply'),
+    
+    body('allowPartial')
+      .optional()
+      .isBoolean().withMessage('Must be true or false')
+  ],
+
+  exportClasses: [
+    query('department').optional().isMongoId().withMessage('Invalid department ID'),
+    query('status').optional().isIn(['Active', 'Inactive', 'Completed']).withMessage('Invalid status'),
+    ...exportOptions('Class')
   ]
 };
 
@@ -183,24 +402,154 @@ const departmentValidators = {
       .notEmpty().withMessage('Department code is required')
       .matches(/^[A-Z]{2,6}$/).withMessage('Department code must be 2-6 uppercase letters'),
     
-    body('headOfDepartment.name')
+    body('headOfDepartment')
+      .optional()
+      .isMongoId().withMessage('Head of department must be a faculty ID'),
+    
+    body('establishmentYear')
+      .notEmpty().withMessage('Establishment year is required')
+      .isInt({ min: 1900, max: new Date().getFullYear() })
+      .withMessage(`Establishment year must be between 1900 and ${new Date().getFullYear()}`),
+    
+    body('programDuration')
+      .optional()
+      .isInt({ min: 1, max: 8 }).withMessage('Program duration must be between 1 and 8 years')
+  ],
+  
+  getDepartmentById: [
+    param('id')
+      .isMongoId().withMessage('Invalid department ID')
+  ],
+  
+  updateProgramRequirements: [
+    param('id')
+      .isMongoId().withMessage('Invalid department ID'),
+    
+    body('totalCredits')
+      .notEmpty().withMessage('Total credits are required')
+      .isInt({ min: 1 }).withMessage('Total credits must be a positive number'),
+    
+    body('minimumCgpa')
+      .optional()
+      .isFloat({ min: 0, max: 4 }).withMessage('Minimum CGPA must be between 0 and 4'),
+    
+    body('requiredCourseTypes')
+      .optional()
+      .isArray().withMessage('Required course types must be an array'),
+    
+    body('requiredCourseTypes.*')
+      .isIn(COURSE_TYPES).withMessage(`Course type must be one of: ${COURSE_TYPES.join(', ')}`),
+    
+    body('electiveRequirements')
+      .optional()
+      .isArray().withMessage('Elective requirements must be an array'),
+    
+    body('electiveRequirements.*.courseType')
+      .isIn(COURSE_TYPES).withMessage(`Course type must be one of: ${COURSE_TYPES.join(', ')}`),
+    
+    body('electiveRequirements.*.minCourses')
+      .isInt({ min: 1 }).withMessage('Minimum number of courses must be a positive number')
+  ],
+
+  exportDepartments: [
+    query('status').optional().isIn(['Active', 'Inactive', 'Under Maintenance']).withMessage('Invalid status'),
+    ...exportOptions('Department')
+  ]
+};
+
+// Faculty validators
+const facultyValidators = {
+  createFaculty: [
+    body('name')
       .trim()
-      .notEmpty().withMessage('Head of department name is required'),
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 3 }).withMessage('Name must be at least 3 characters')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
     
-    body('headOfDepartment.email')
+    body('email')
       .trim()
-      .notEmpty().withMessage('Head of department email is required')
+      .notEmpty().withMessage('Email is required')
       .isEmail().withMessage('Please enter a valid email'),
     
-    body('headOfDepartment.phone')
+    body('phone')
+      .optional()
       .trim()
-      .notEmpty().withMessage('Head of department phone is required')
       .matches(/^[0-9]{10,11}$/).withMessage('Please enter a valid phone number'),
     
-    body('establishmentYear')
-      .notEmpty().withMessage('Establishment year is required')
-      .isInt({ min: 1900, max: new Date().getFullYear() })
-      .withMessage(`Establishment year must be between 1900 and ${new Date().getFullYear()}`)
+    body('rank')
+      .optional()
+      .isIn(FACULTY_RANKS).withMessage(`Rank must be one of: ${FACULTY_RANKS.join(', ')}`),
+    
+    body('department')
+      .notEmpty().withMessage('Department is required')
+      .isMongoId().withMessage('Invalid department ID'),
+    
+    body('status')
+      .optional()
+      .isIn(['Active', 'On Leave', 'Inactive']).withMessage('Status must be Active, On Leave or Inactive')
+  ],
+
+  updateFaculty: [
+    param('id').isMongoId().withMessage('Invalid faculty ID'),
+    
+    body('email')
+      .optional()
+      .trim()
+      .isEmail().withMessage('Please enter a valid email'),
+    
+    body('phone')
+      .optional()
+      .trim()
+      .matches(/^[0-9]{10,11}$/).withMessage('Please enter a valid phone number'),
+    
+    body('rank')
+      .optional()
+      .isIn(FACULTY_RANKS).withMessage(`Rank must be one of: ${FACULTY_RANKS.join(', ')}`),
+    
+    body('department')
+      .optional()
+      .isMongoId().withMessage('Invalid department ID'),
+    
+    body('status')
+      .optional()
+      .isIn(['Active', 'On Leave', 'Inactive']).withMessage('Status must be Active, On Leave or Inactive')
+  ],
+
+  getFacultyById: [
+    param('id').isMongoId().withMessage('Invalid faculty ID')
+  ],
+
+  getWorkload: [
+    query('semester').optional().isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester'),
+    query('department').optional().isMongoId().withMessage('Invalid department ID'),
+    query('overloaded').optional().isBoolean().withMessage('Overloaded must be true or false')
+  ],
+
+  getFacultyWorkload: [
+    param('id').isMongoId().withMessage('Invalid faculty ID'),
+    query('semester').optional().isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester')
+  ],
+
+  updateLoadRule: [
+    param('rank')
+      .isIn(FACULTY_RANKS).withMessage(`Rank must be one of: ${FACULTY_RANKS.join(', ')}`),
+    
+    body('maxCreditHours')
+      .notEmpty().withMessage('Maximum credit hours are required')
+      .isFloat({ min: 0 }).withMessage('Maximum credit hours must be a positive number'),
+    
+    body('maxContactHours')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Maximum contact hours must be a positive number'),
+    
+    body('maxCourses')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 }).withMessage('Maximum courses must be a positive whole number')
+  ],
+
+  resetLoadRule: [
+    param('rank')
+      .isIn(FACULTY_RANKS).withMessage(`Rank must be one of: ${FACULTY_RANKS.join(', ')}`)
   ]
 };
 
@@ -224,6 +573,16 @@ const courseValidators = {
       .notEmpty().withMessage('Department is required')
       .isMongoId().withMessage('Invalid department ID'),
     
+    body('instructor')
+      .optional()
+      .isMongoId().withMessage('Instructor must be a faculty ID'),
+    
+    body('loadOverrideReason')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Override reason cannot be empty')
+      .isLength({ max: 500 }).withMessage('Override reason cannot exceed 500 characters'),
+    
     body('semester')
       .trim()
       .notEmpty().withMessage('Semester is required')
@@ -235,7 +594,397 @@ const courseValidators = {
     
     body('maxStudents')
       .optional()
-      .isInt({ min: 1, max: 100 }).withMessage('Maximum students must be between 1 and 100')
+      .isInt({ min: 1, max: 100 }).withMessage('Maximum students must be between 1 and 100'),
+    
+    body('gradingPolicy')
+      .optional()
+      .custom((policy) => isValidGradingPolicy(policy))
+      .withMessage('Grading policy weights must sum to 100'),
+    
+    body('prerequisites.*')
+      .isMongoId().withMessage('Invalid prerequisite course ID'),
+    
+    body('prerequisiteMinGrade')
+      .optional()
+      .isIn(PASSING_GRADES).withMessage(`Minimum grade must be one of: ${PASSING_GRADES.join(', ')}`),
+    
+    body('prerequisiteGroups')
+      .optional()
+      .isArray().withMessage('Prerequisite groups must be an array'),
+    
+    body('prerequisiteGroups.*.courses')
+      .isArray({ min: 1 }).withMessage('A prerequisite group needs at least one course'),
+    
+    body('prerequisiteGroups.*.courses.*')
+      .isMongoId().withMessage('Invalid prerequisite course ID'),
+    
+    body('prerequisiteGroups.*.minGrade')
+      .optional()
+      .isIn(PASSING_GRADES).withMessage(`Minimum grade must be one of: ${PASSING_GRADES.join(', ')}`),
+    
+    body('corequisites.*')
+      .isMongoId().withMessage('Invalid corequisite course ID')
+  ],
+
+  getCourseById: [
+    param('id')
+      .isMongoId().withMessage('Invalid course ID')
+  ],
+
+  updateCourse: [
+    param('id')
+      .isMongoId().withMessage('Invalid course ID'),
+    
+    body('courseName')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Course name cannot be empty'),
+    
+    body('courseCode')
+      .optional()
+      .trim()
+      .matches(/^[A-Z]{2,4}\d{3,4}$/).withMessage('Course code must be like CS101, MATH201, etc.'),
+    
+    body('creditHours')
+      .optional()
+      .isFloat({ min: 1, max: 6 }).withMessage('Credit hours must be between 1 and 6'),
+    
+    body('department')
+      .optional()
+      .isMongoId().withMessage('Invalid department ID'),
+    
+    body('instructor')
+      .optional()
+      .isMongoId().withMessage('Instructor must be a faculty ID'),
+    
+    body('loadOverrideReason')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Override reason cannot be empty')
+      .isLength({ max: 500 }).withMessage('Override reason cannot exceed 500 characters'),
+    
+    body('semester')
+      .optional()
+      .isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester'),
+    
+    body('year')
+      .optional()
+      .isInt({ min: 1, max: 4 }).withMessage('Year must be between 1 and 4'),
+    
+    body('courseType')
+      .optional()
+      .isIn(COURSE_TYPES).withMessage(`Course type must be one of: ${COURSE_TYPES.join(', ')}`),
+    
+    body('maxStudents')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Maximum students must be between 1 and 100'),
+    
+    body('status')
+      .optional()
+      .isIn(['Active', 'Inactive', 'Completed', 'Cancelled']).withMessage('Invalid status'),
+    
+    body('gradingPolicy')
+      .optional()
+      .custom((policy) => isValidGradingPolicy(policy))
+      .withMessage('Grading policy weights must sum to 100'),
+    
+    body('prerequisites.*')
+      .isMongoId().withMessage('Invalid prerequisite course ID'),
+    
+    body('prerequisiteMinGrade')
+      .optional()
+      .isIn(PASSING_GRADES).withMessage(`Minimum grade must be one of: ${PASSING_GRADES.join(', ')}`),
+    
+    body('prerequisiteGroups')
+      .optional()
+      .isArray().withMessage('Prerequisite groups must be an array'),
+    
+    body('prerequisiteGroups.*.courses')
+      .isArray({ min: 1 }).withMessage('A prerequisite group needs at least one course'),
+    
+    body('prerequisiteGroups.*.courses.*')
+      .isMongoId().withMessage('Invalid prerequisite course ID'),
+    
+    body('prerequisiteGroups.*.minGrade')
+      .optional()
+      .isIn(PASSING_GRADES).withMessage(`Minimum grade must be one of: ${PASSING_GRADES.join(', ')}`),
+    
+    body('corequisites.*')
+      .isMongoId().withMessage('Invalid corequisite course ID')
+  ],
+
+  exportCourses: [
+    query('department').optional().isMongoId().withMessage('Invalid department ID'),
+    query('semester').optional().isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester'),
+    query('courseType').optional().isIn(COURSE_TYPES).withMessage(`Course type must be one of: ${COURSE_TYPES.join(', ')}`),
+    query('status').optional().isIn(['Active', 'Inactive', 'Completed', 'Cancelled']).withMessage('Invalid status'),
+    ...exportOptions('Course')
+  ]
+};
+
+// Assessment validators
+const assessmentValidators = {
+  createAssessment: [
+    param('id')
+      .isMongoId().withMessage('Invalid course ID'),
+    
+    body('title')
+      .trim()
+      .notEmpty().withMessage('Title is required'),
+    
+    body('category')
+      .notEmpty().withMessage('Category is required')
+      .isIn(GRADING_CATEGORIES).withMessage(`Category must be one of: ${GRADING_CATEGORIES.join(', ')}`),
+    
+    body('maxScore')
+      .notEmpty().withMessage('Maximum score is required')
+      .isFloat({ min: 1 }).withMessage('Maximum score must be at least 1'),
+    
+    body('dueDate')
+      .optional()
+      .isISO8601().withMessage('Please enter a valid date')
+  ],
+
+  updateAssessment: [
+    param('id')
+      .isMongoId().withMessage('Invalid assessment ID'),
+    
+    body('category')
+      .optional()
+      .isIn(GRADING_CATEGORIES).withMessage(`Category must be one of: ${GRADING_CATEGORIES.join(', ')}`),
+    
+    body('maxScore')
+      .optional()
+      .isFloat({ min: 1 }).withMessage('Maximum score must be at least 1'),
+    
+    body('dueDate')
+      .optional()
+      .isISO8601().withMessage('Please enter a valid date')
+  ],
+
+  recordScores: [
+    param('id')
+      .isMongoId().withMessage('Invalid assessment ID'),
+    
+    body('scores')
+      .isArray({ min: 1 }).withMessage('Scores array is required'),
+    
+    body('scores.*.student')
+      .isMongoId().withMessage('Invalid student ID'),
+    
+    body('scores.*.score')
+      .isFloat({ min: 0 }).withMessage('Score must be a non-negative number')
+  ]
+};
+
+// Attendance validators
+const attendanceValidators = {
+  markSession: [
+    param('id')
+      .isMongoId().withMessage('Invalid ID'),
+    
+    body('date')
+      .notEmpty().withMessage('Date is required')
+      .isISO8601().withMessage('Please enter a valid date (YYYY-MM-DD)'),
+    
+    body('defaultStatus')
+      .optional()
+      .isIn(ATTENDANCE_STATUSES).withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`),
+    
+    body('records')
+      .optional()
+      .isArray().withMessage('Records must be an array'),
+    
+    body('records.*.student')
+      .isMongoId().withMessage('Invalid student ID'),
+    
+    body('records.*.status')
+      .isIn(ATTENDANCE_STATUSES).withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`)
+  ],
+
+  getAttendance: [
+    query('class').optional().isMongoId().withMessage('Invalid class ID'),
+    query('course').optional().isMongoId().withMessage('Invalid course ID'),
+    query('date').optional().isISO8601().withMessage('Please enter a valid date'),
+    query('from').optional().isISO8601().withMessage('Please enter a valid date'),
+    query('to').optional().isISO8601().withMessage('Please enter a valid date'),
+    query('status').optional().isIn(ATTENDANCE_STATUSES).withMessage('Invalid status')
+  ],
+
+  report: [
+    query('threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Threshold must be between 0 and 100'),
+    query('class').optional().isMongoId().withMessage('Invalid class ID'),
+    query('course').optional().isMongoId().withMessage('Invalid course ID'),
+    query('department').optional().isMongoId().withMessage('Invalid department ID'),
+    query('from').optional().isISO8601().withMessage('Please enter a valid date'),
+    query('to').optional().isISO8601().withMessage('Please enter a valid date')
+  ],
+
+  studentAttendance: [
+    param('id').isMongoId().withMessage('Invalid student ID'),
+    query('class').optional().isMongoId().withMessage('Invalid class ID'),
+    query('course').optional().isMongoId().withMessage('Invalid course ID'),
+    query('from').optional().isISO8601().withMessage('Please enter a valid date'),
+    query('to').optional().isISO8601().withMessage('Please enter a valid date')
+  ]
+};
+
+// Auth validators
+const scheduleValidators = {
+  getConflicts: [
+    query('type').optional().isIn(['room', 'instructor', 'student']).withMessage('Type must be room, instructor or student'),
+    query('department').optional().isMongoId().withMessage('Invalid department ID')
+  ],
+
+  generate: [
+    body('semester')
+      .notEmpty().withMessage('Semester is required')
+      .isIn(['Fall', 'Spring', 'Summer', 'Winter']).withMessage('Invalid semester'),
+    
+    body('department').optional().isMongoId().withMessage('Invalid department ID'),
+    
+    body('mode')
+      .optional()
+      .isIn(['preview', 'apply']).withMessage('Mode must be preview or apply'),
+    
+    body('days')
+      .optional()
+      .isArray({ min: 1 }).withMessage('Days must be a non-empty array'),
+    
+    body('days.*')
+      .isIn(SCHEDULE_DAYS).withMessage(`Days must be one of: ${SCHEDULE_DAYS.join(', ')}`),
+    
+    body('timeSlots')
+      .optional()
+      .isArray({ min: 1 }).withMessage('Time slots must be a non-empty array'),
+    
+    body(['timeSlots.*.start', 'timeSlots.*.end'])
+      .matches(TIME_PATTERN).withMessage('Time slots must be in HH:MM format'),
+    
+    body('timeSlots.*')
+      .custom((slot) => slot.start < slot.end).withMessage('Time slot start must be before end'),
+    
+    body('rooms')
+      .optional()
+      .isArray({ min: 1 }).withMessage('Rooms must be a non-empty array'),
+    
+    body('rooms.*.name')
+      .trim()
+      .notEmpty().withMessage('Room name is required'),
+    
+    body('rooms.*.capacity')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Room capacity must be a positive number'),
+    
+    body('instructorAvailability')
+      .optional()
+      .isArray().withMessage('Instructor availability must be an array'),
+    
+    body('instructorAvailability.*.instructor')
+      .trim()
+      .notEmpty().withMessage('Instructor faculty ID or email is required'),
+    
+    body('instructorAvailability.*.days')
+      .isArray({ min: 1 }).withMessage('Availability days must be a non-empty array'),
+    
+    body('instructorAvailability.*.days.*')
+      .isIn(SCHEDULE_DAYS).withMessage(`Days must be one of: ${SCHEDULE_DAYS.join(', ')}`),
+    
+    body(['instructorAvailability.*.start', 'instructorAvailability.*.end'])
+      .optional()
+      .matches(TIME_PATTERN).withMessage('Availability times must be in HH:MM format'),
+    
+    body(['keepExisting', 'allowPartial'])
+      .optional()
+      .isBoolean().withMessage('Must be true or false')
+  ]
+};
+
+const waitlistValidators = {
+  joinWaitlist: [
+    param('id')
+      .isMongoId().withMessage('Invalid student ID'),
+    
+    body('course')
+      .notEmpty().withMessage('Course is required')
+      .isMongoId().withMessage('Invalid course ID')
+  ],
+
+  respondToEntry: [
+    param('id').isMongoId().withMessage('Invalid student ID'),
+    param('entryId').isMongoId().withMessage('Invalid waitlist entry ID')
+  ],
+
+  getCourseWaitlist: [
+    param('id').isMongoId().withMessage('Invalid course ID')
+  ]
+};
+
+const notificationValidators = {
+  getNotifications: [
+    param('id').isMongoId().withMessage('Invalid student ID'),
+    query('unread').optional().isBoolean().withMessage('Unread must be true or false')
+  ],
+
+  markRead: [
+    param('id').isMongoId().withMessage('Invalid student ID'),
+    param('notificationId').isMongoId().withMessage('Invalid notification ID')
+  ]
+};
+
+const authValidators = {
+  register: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
+    
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Please enter a valid email'),
+    
+    body('password')
+      .notEmpty().withMessage('Password is required')
+      .isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    
+    body('role')
+      .notEmpty().withMessage('Role is required')
+      .isIn(['admin', 'registrar', 'hod', 'teacher', 'student', 'guardian']).withMessage('Invalid role'),
+    
+    body('department')
+      .if(body('role').equals('hod'))
+      .notEmpty().withMessage('Department is required for heads of department'),
+    
+    body('department')
+      .optional()
+      .isMongoId().withMessage('Invalid department ID'),
+    
+    body('student')
+      .if(body('role').equals('student'))
+      .notEmpty().withMessage('Student ID is required for student accounts')
+      .isMongoId().withMessage('Invalid student ID'),
+    
+    body('wards')
+      .optional()
+      .isArray().withMessage('Wards must be an array')
+      .custom((wards) => wards.every(id => /^[0-9a-fA-F]{24}$/.test(id)))
+      .withMessage('Invalid student IDs in wards')
+  ],
+
+  login: [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Please enter a valid email'),
+    
+    body('password')
+      .notEmpty().withMessage('Password is required')
+  ],
+
+  refresh: [
+    body('refreshToken')
+      .notEmpty().withMessage('Refresh token is required')
   ]
 };
 
@@ -264,10 +1013,92 @@ const validate = (validations) => {
   };
 };
 
+// Filters shared by the audit list and export
+const auditFilters = [
+  query('entityType')
+    .optional()
+    .isIn(AUDITED_ENTITIES).withMessage(`Entity type must be one of: ${AUDITED_ENTITIES.join(', ')}`),
+  
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS).withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+  
+  query('actor').optional().isMongoId().withMessage('Invalid user ID'),
+  
+  query('actorEmail').optional().trim().isEmail().withMessage('Please enter a valid email'),
+  
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be in ISO 8601 format')
+];
+
+const auditValidators = {
+  getAuditLogs: [
+    ...auditFilters,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  
+  exportAuditLogs: [
+    ...auditFilters,
+    query('format')
+      .optional()
+      .isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson')
+  ],
+  
+  getAuditLogById: [
+    param('id')
+      .isMongoId().withMessage('Invalid audit entry ID')
+  ]
+};
+
+// Trash validators
+const trashCollection = param('collection')
+  .isIn(TRASH_COLLECTIONS).withMessage(`Collection must be one of: ${TRASH_COLLECTIONS.join(', ')}`);
+
+const trashValidators = {
+  getTrash: [
+    trashCollection,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  restoreItem: [
+    trashCollection,
+    param('id')
+      .isMongoId().withMessage('Invalid ID')
+  ],
+
+  purgeTrash: [
+    body('olderThanDays')
+      .optional()
+      .isInt({ min: 0 }).withMessage('olderThanDays must be a whole number of days')
+  ]
+};
+
+// OneRoster validators
+const onerosterValidators = {
+  importOneRoster: [
+    body('apply')
+      .optional()
+      .isBoolean().withMessage('Apply must be true or false')
+  ]
+};
+
 module.exports = {
   studentValidators,
   classValidators,
   departmentValidators,
+  facultyValidators,
   courseValidators,
+  assessmentValidators,
+  attendanceValidators,
+  scheduleValidators,
+  waitlistValidators,
+  notificationValidators,
+  authValidators,
+  auditValidators,
+  trashValidators,
+  onerosterValidators,
   validate
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Version = require('../models/Version');
+
+/**
+ * Version history of students, classes, departments and courses.
+ *
+ * Every change recorded in the audit trail also stores the full document as
+ * it was after the change, numbered per document, in the same transaction.
+ * The first change to a document that predates versioning stores its old
+ * state as a 'baseline' version first, so it can still be viewed and restored.
+ * Seat and student counters are kept by atomic updates that are not audited;
+ * a version holds them as they were at the last recorded change.
+ */
+
+// Highest version number per document, by id
+const latestVersions = async (entityType, entityIds, session) => {
+  if (entityIds.length === 0) return new Map();
+
+  const latest = await Version.aggregate([
+    {
+      $match: {
+        entityType,
+        entityId: { $in: entityIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    { $group: { _id: '$entityId', version: { $max: '$version' } } }
+  ]).session(session || null);
+
+  return new Map(latest.map(row => [row._id.toString(), row.version]));
+};
+
+/**
+ * Store the versions for a set of recorded changes.
+ *
+ * @param {Object} source   { actor, requestId } of the request making the changes
+ * @param {Array}  changes  [{ action, entityType, entityId, before, after, context }]
+ *                          with before and after as plain snapshots
+ * @param {Object} session  Session of the transaction the changes are written in
+ */
+const recordVersions = async ({ actor, requestId }, changes, session) => {
+  const versions = [];
+
+  for (const entityType of [...new Set(changes.map(change => change.entityType))]) {
+    const ofType = changes.filter(change => change.entityType === entityType);
+    const latest = await latestVersions(
+      entityType,
+      [...new Set(ofType.filter(change => change.action !== 'create').map(change => change.entityId.toString()))],
+      session
+    );
+
+    ofType.forEach(change => {
+      const key = change.entityId.toString();
+      let version = latest.get(key) || 0;
+
+      if (version === 0 && change.before) {
+        version += 1;
+        versions.push({
+          entityType,
+          entityId: change.entityId,
+          version,
+          action: 'baseline',
+          data: change.before,
+          timestamp: new Date(change.before.updatedAt || change.before.createdAt || Date.now())
+        });
+      }
+
+      version += 1;
+      versions.push({
+        entityType,
+        entityId: change.entityId,
+        version,
+        action: change.action,
+        data: change.after || null,
+        actor,
+        requestId,
+        context: change.context,
+        // A new document dates from its creation, not from when the version was written
+        timestamp: change.action === 'create' && change.after.createdAt ?
+          new Date(change.after.createdAt) :
+          new Date()
+      });
+      latest.set(key, version);
+    });
+  }
+
+  if (versions.length === 0) return [];
+  return Version.insertMany(versions, { session });
+};
+
+// All versions of a document, oldest first
+const getVersionHistory = (entityType, entityId) => Version.find({ entityType, entityId })
+  .sort({ version: 1 })
+  .lean();
+
+const getVersion = (entityType, entityId, version) => Version.findOne({ entityType, entityId, version }).lean();
+
+/**
+ * The version of a document in effect at a point in time, or null when
+ * nothing is known about it then. A baseline also stands for the time
+ * between the creation of the document and the start of versioning.
+ */
+const getVersionAsOf = async (entityType, entityId, asOf) => {
+  const version = await Version.findOne({ entityType, entityId, timestamp: { $lte: asOf } })
+    .sort({ timestamp: -1, version: -1 })
+    .lean();
+  if (version) return version;
+
+  const first = await Version.findOne({ entityType, entityId }).sort({ version: 1 }).lean();
+  if (first && first.action === 'baseline' && first.data.createdAt &&
+      new Date(first.data.createdAt) <= asOf) {
+    return first;
+  }
+  return null;
+};
+
+module.exports = {
+  recordVersions,
+  getVersionHistory,
+  getVersion,
+  getVersionAsOf
+};
@@ -0,0 +1,216 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Waitlist = require('../models/Waitlist');
+const Notification = require('../models/Notification');
+const { recordEnrollments, recordWithdrawals } = require('./enrollment');
+const { reserveCourseSeat, releaseCourseSeats } = require('./seats');
+const { withTransaction } = require('./transaction');
+const { snapshot, recordAudit } = require('./audit');
+const { getUnmetRequirements } = require('./prerequisites');
+const { getStudentScheduleClashes } = require('./schedule');
+
+// Hours a promoted student has to accept the seat before it passes to the next in line
+const WAITLIST_OFFER_HOURS = parseFloat(process.env.WAITLIST_OFFER_HOURS) || 48;
+
+// How often expired offers are released while the server is running
+const WAITLIST_SWEEP_INTERVAL = 15 * 60 * 1000;
+
+const QUEUE_ORDER = { requestedAt: 1, _id: 1 };
+
+// 1-based position of a waiting entry in its course queue
+const getWaitlistPosition = async (entry) => {
+  const ahead = await Waitlist.countDocuments({
+    course: entry.course._id || entry.course,
+    status: 'Waiting',
+    $or: [
+      { requestedAt: { $lt: entry.requestedAt } },
+      { requestedAt: entry.requestedAt, _id: { $lt: entry._id } }
+    ]
+  });
+  return ahead + 1;
+};
+
+// Why a waiting student cannot take a seat in the course, with the same
+// checks as a direct enrollment, or null when they can
+const promotionProblem = async (student, course) => {
+  if (!student) return 'Student not found';
+  if (student.status !== 'Active') return `Student is ${student.status.toLowerCase()}`;
+  if (student.courses.some(id => id.toString() === course._id.toString())) {
+    return 'Student is already enrolled in this course';
+  }
+
+  const unmetRequirements = await getUnmetRequirements(student._id, course);
+  if (unmetRequirements.length > 0) return 'Student does not meet course prerequisites';
+
+  const scheduleClashes = await getStudentScheduleClashes(student, course);
+  if (scheduleClashes.length > 0) return 'Course schedule clashes with the student\'s timetable';
+
+  return null;
+};
+
+/**
+ * Fill the free seats of a course from its waitlist, in queue order.
+ * Each promoted student is enrolled straight away and has WAITLIST_OFFER_HOURS
+ * to accept; a notification records the offer. Students who could not enroll
+ * directly (prerequisites, timetable clashes) are dropped from the queue.
+ *
+ * @returns {Array} The promoted waitlist entries
+ */
+const promoteFromWaitlist = async (courseId) => {
+  const promoted = [];
+
+  const course = await Course.findById(courseId);
+  if (!course) return promoted;
+
+  for (;;) {
+    const entry = await Waitlist.findOne({ course: courseId, status: 'Waiting' }).sort(QUEUE_ORDER);
+    if (!entry) break;
+
+    // Drop entries that can no longer be served
+    const student = await Student.findById(entry.student);
+    const problem = await promotionProblem(student, course);
+    if (problem) {
+      entry.status = 'Removed';
+      entry.respondedAt = new Date();
+      entry.removalReason = problem;
+      await entry.save();
+      continue;
+    }
+
+    const before = snapshot(student);
+
+    // The seat, enrollment, offer and notification are written together
+    const seated = await withTransaction(async (session) => {
+      const updatedCourse = await reserveCourseSeat(courseId, session);
+      if (!updatedCourse) return null;
+
+      student.courses.addToSet(updatedCourse._id);
+      await student.save({ session });
+      await recordAudit(null, {
+        action: 'update',
+        entityType: 'Student',
+        before,
+        after: student,
+        context: `waitlist promotion into ${updatedCourse.courseCode}`
+      }, session);
+      const [enrollment] = await recordEnrollments(student, [updatedCourse], { session });
+
+      const now = new Date();
+      entry.status = 'Offered';
+      entry.offeredAt = now;
+      entry.offerExpiresAt = new Date(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000);
+      entry.enrollment = enrollment._id;
+      await entry.save({ session });
+
+      await Notification.create([{
+        student: student._id,
+        type: 'WaitlistOffer',
+        title: `A seat is available in ${updatedCourse.courseCode}`,
+        message: `You have been enrolled in ${updatedCourse.courseName} (${updatedCourse.courseCode}) ` +
+          `from the waitlist. Accept the seat before ${entry.offerExpiresAt.toISOString()} ` +
+          'or it will be released.',
+        course: updatedCourse._id,
+        waitlist: entry._id
+      }], { session });
+
+      return updatedCourse;
+    });
+    if (!seated) break;
+
+    promoted.push(entry);
+  }
+
+  return promoted;
+};
+
+/**
+ * Undo the enrollment made for an offer that was declined or has expired.
+ * The freed seat is not refilled here; callers promote the next in line.
+ * The request is passed when a user declines, for the audit trail.
+ */
+const releaseOffer = async (entry, status, reason, req = null) => {
+  const courseId = entry.course._id || entry.course;
+
+  const student = await Student.findById(entry.student);
+  const before = snapshot(student);
+  entry.status = status;
+  entry.respondedAt = new Date();
+
+  await withTransaction(async (session) => {
+    if (student && student.courses.some(id => id.toString() === courseId.toString())) {
+      student.courses = student.courses.filter(id => id.toString() !== courseId.toString());
+      await student.save({ session });
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'Student',
+        before,
+        after: student,
+        context: `waitlist offer ${status.toLowerCase()}`
+      }, session);
+      await releaseCourseSeats([courseId], session);
+      await recordWithdrawals(entry.student, [courseId], { reason, session });
+    }
+
+    await entry.save({ session });
+  });
+
+  return entry;
+};
+
+// Release one expired offer and tell the student; the entry's course must be
+// populated with its name and code. Callers pass the seat on.
+const expireOffer = async (entry) => {
+  await releaseOffer(entry, 'Expired', 'Waitlist offer expired');
+
+  await Notification.create({
+    student: entry.student,
+    type: 'WaitlistOfferExpired',
+    title: `Your seat in ${entry.course.courseCode} has been released`,
+    message: `The waitlist offer for ${entry.course.courseName} (${entry.course.courseCode}) ` +
+      'was not accepted in time and the seat has passed to the next student.',
+    course: entry.course._id,
+    waitlist: entry._id
+  });
+};
+
+// Release every offer past its expiry window and pass the seats on
+const expireWaitlistOffers = async () => {
+  const expired = await Waitlist.find({
+    status: 'Offered',
+    offerExpiresAt: { $lte: new Date() }
+  }).populate('course', 'courseName courseCode');
+
+  const courseIds = new Map();
+  for (const entry of expired) {
+    await expireOffer(entry);
+    courseIds.set(entry.course._id.toString(), entry.course._id);
+  }
+
+  for (const courseId of courseIds.values()) {
+    await promoteFromWaitlist(courseId);
+  }
+
+  return expired.length;
+};
+
+// Periodically release expired offers; the timer does not keep the process alive
+const startWaitlistSweep = () => {
+  const timer = setInterval(() => {
+    expireWaitlistOffers().catch(error => {
+      console.error('Error in waitlist sweep:', error);
+    });
+  }, WAITLIST_SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WAITLIST_OFFER_HOURS,
+  QUEUE_ORDER,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+  releaseOffer,
+  expireOffer,
+  expireWaitlistOffers,
+  startWaitlistSweep
+};
@@ -0,0 +1,211 @@
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const LoadRule = require('../models/LoadRule');
+const { parseTime } = require('./schedule');
+const { round } = require('./grading');
+
+/**
+ * Teaching load per faculty member and term (Course.semester), from the
+ * active courses they are the instructor of. Credit hours come from
+ * Course.creditHours and weekly contact hours from Course.schedule.
+ *
+ * Limits are set per faculty rank (LoadRule); ranks without a stored rule use
+ * DEFAULT_LOAD_RULES. An unset maxContactHours or maxCourses is not enforced.
+ */
+
+const DEFAULT_LOAD_RULES = {
+  Professor: { maxCreditHours: 9, maxContactHours: 12, maxCourses: 3 },
+  'Associate Professor': { maxCreditHours: 12, maxContactHours: 15, maxCourses: 4 },
+  'Assistant Professor': { maxCreditHours: 12, maxContactHours: 16, maxCourses: 4 },
+  Lecturer: { maxCreditHours: 15, maxContactHours: 18, maxCourses: 5 },
+  'Teaching Assistant': { maxCreditHours: 6, maxContactHours: 10, maxCourses: 2 }
+};
+
+// Course fields whose change can move an instructor's load
+const LOAD_FIELDS = ['instructor', 'creditHours', 'schedule', 'semester', 'status'];
+
+const WORKLOAD_COURSE_FIELDS = 'courseName courseCode creditHours semester schedule instructor department status loadOverride';
+
+// Weekly hours a course meets, or 0 when it has no usable schedule
+const contactHours = (course) => {
+  const schedule = course.schedule || {};
+  const start = parseTime(schedule.time && schedule.time.start);
+  const end = parseTime(schedule.time && schedule.time.end);
+  if (!schedule.days || schedule.days.length === 0 || start === null || end === null || end <= start) {
+    return 0;
+  }
+  return round((schedule.days.length * (end - start)) / 60);
+};
+
+// Limits of every rank: stored rules over the defaults
+const getLoadRules = async () => {
+  const stored = await LoadRule.find().lean();
+  const storedByRank = new Map(stored.map(rule => [rule.rank, rule]));
+
+  return Faculty.RANKS.reduce((rules, rank) => {
+    const rule = storedByRank.get(rank);
+    rules[rank] = rule ? {
+      rank,
+      maxCreditHours: rule.maxCreditHours,
+      maxContactHours: rule.maxContactHours === undefined ? null : rule.maxContactHours,
+      maxCourses: rule.maxCourses === undefined ? null : rule.maxCourses,
+      source: 'configured',
+      updatedAt: rule.updatedAt
+    } : { rank, ...DEFAULT_LOAD_RULES[rank], source: 'default' };
+    return rules;
+  }, {});
+};
+
+const summarizeLoad = (courses) => ({
+  courses: courses.length,
+  creditHours: round(courses.reduce((total, course) => total + (course.creditHours || 0), 0)),
+  contactHours: round(courses.reduce((total, course) => total + contactHours(course), 0)),
+  unscheduledCourses: courses.filter(course => contactHours(course) === 0).length
+});
+
+// Limits a load goes over, with the amount
+const loadExcess = (totals, rule) => {
+  if (!rule) return [];
+
+  return [
+    ['creditHours', rule.maxCreditHours],
+    ['contactHours', rule.maxContactHours],
+    ['courses', rule.maxCourses]
+  ]
+    .filter(([field, max]) => max !== null && max !== undefined && totals[field] > max)
+    .map(([field, max]) => ({ limit: field, max, actual: totals[field], over: round(totals[field] - max) }));
+};
+
+const describeCourse = (course) => ({
+  id: course._id,
+  courseCode: course.courseCode,
+  courseName: course.courseName,
+  creditHours: course.creditHours,
+  contactHours: contactHours(course),
+  ...(course.loadOverride && course.loadOverride.reason && { loadOverride: course.loadOverride })
+});
+
+/**
+ * Workload of faculty members per term.
+ *
+ * @param {Object} options
+ * @param {String} options.semester    Only this term
+ * @param {String} options.department  Only faculty of this department
+ * @param {String} options.facultyId   Only this faculty member
+ * @returns {Array} One row per faculty member and term, most loaded first
+ */
+const buildWorkloadReport = async ({ semester, department, facultyId } = {}) => {
+  const facultyFilter = {};
+  if (facultyId) facultyFilter._id = facultyId;
+  if (department) facultyFilter.department = department;
+
+  const [faculty, rules] = await Promise.all([
+    Faculty.find(facultyFilter)
+      .select('name email rank department status')
+      .populate('department', 'departmentName departmentCode')
+      .lean(),
+    getLoadRules()
+  ]);
+
+  const courseFilter = { status: 'Active', instructor: { $in: faculty.map(member => member._id) } };
+  if (semester) courseFilter.semester = semester;
+
+  const courses = await Course.find(courseFilter)
+    .select(WORKLOAD_COURSE_FIELDS)
+    .sort({ courseCode: 1 })
+    .lean();
+
+  // instructor id -> semester -> courses
+  const byInstructor = new Map();
+  courses.forEach(course => {
+    const key = course.instructor.toString();
+    if (!byInstructor.has(key)) byInstructor.set(key, new Map());
+    const terms = byInstructor.get(key);
+    if (!terms.has(course.semester)) terms.set(course.semester, []);
+    terms.get(course.semester).push(course);
+  });
+
+  const rows = [];
+  faculty.forEach(member => {
+    const terms = byInstructor.get(member._id.toString()) || new Map();
+
+    // With a term selected, members without courses are listed at zero load
+    if (semester && terms.size === 0 && Faculty.COUNTED_STATUSES.includes(member.status)) {
+      terms.set(semester, []);
+    }
+
+    terms.forEach((termCourses, term) => {
+      const totals = summarizeLoad(termCourses);
+      const limits = rules[member.rank] || null;
+      const exceeded = loadExcess(totals, limits);
+      rows.push({
+        faculty: {
+          id: member._id,
+          name: member.name,
+          email: member.email,
+          rank: member.rank,
+          department: member.department,
+          status: member.status
+        },
+        semester: term,
+        courses: termCourses.map(describeCourse),
+        totals,
+        limits,
+        overloaded: exceeded.length > 0,
+        exceeded
+      });
+    });
+  });
+
+  return rows.sort((a, b) => b.totals.creditHours - a.totals.creditHours ||
+    a.faculty.name.localeCompare(b.faculty.name));
+};
+
+/**
+ * Check an instructor assignment against the instructor's limits.
+ *
+ * @param {Object} course  Course data after the create/update (with _id when updating)
+ * @returns {Object|null}  The load and the exceeded limits, or null when within limits
+ */
+const checkAssignmentLoad = async (course) => {
+  if (!course.instructor || (course.status && course.status !== 'Active')) {
+    return null;
+  }
+
+  const instructorId = course.instructor._id || course.instructor;
+  const faculty = await Faculty.findById(instructorId).select('name email rank').lean();
+  if (!faculty) return null;
+
+  const otherFilter = { instructor: instructorId, semester: course.semester, status: 'Active' };
+  if (course._id) otherFilter._id = { $ne: course._id };
+
+  const [others, rules] = await Promise.all([
+    Course.find(otherFilter).select(WORKLOAD_COURSE_FIELDS).lean(),
+    getLoadRules()
+  ]);
+
+  const totals = summarizeLoad([...others, course]);
+  const limits = rules[faculty.rank] || null;
+  const exceeded = loadExcess(totals, limits);
+  if (exceeded.length === 0) return null;
+
+  return {
+    faculty: { id: faculty._id, name: faculty.name, email: faculty.email, rank: faculty.rank },
+    semester: course.semester,
+    courses: [...others.map(describeCourse), describeCourse(course)],
+    totals,
+    limits,
+    exceeded
+  };
+};
+
+module.exports = {
+  DEFAULT_LOAD_RULES,
+  LOAD_FIELDS,
+  contactHours,
+  getLoadRules,
+  summarizeLoad,
+  loadExcess,
+  buildWorkloadReport,
+  checkAssignmentLoad
+};
@@ -0,0 +1,27 @@
+/**
+ * Bounds on uploaded zip archives (OneRoster bundles, XLSX workbooks), checked
+ * from the central directory before anything is inflated. adm-zip inflates no
+ * more than an entry's declared size, so the headers bound the total.
+ */
+
+/**
+ * @param {Array} entries  adm-zip entries of the archive
+ * @param {Object} limits  { maxEntries, maxBytes }
+ * @returns {String|null} Why the archive is refused, or null when it is within bounds
+ */
+const zipLimitProblem = (entries, { maxEntries, maxBytes }) => {
+  if (entries.length > maxEntries) {
+    return `has more than ${maxEntries} files`;
+  }
+
+  const unpackedBytes = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (unpackedBytes > maxBytes) {
+    return `unpacks to more than ${maxBytes / (1024 * 1024)} MB`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  zipLimitProblem
+};